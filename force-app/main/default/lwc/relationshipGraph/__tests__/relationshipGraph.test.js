@@ -1,11 +1,35 @@
 import { createElement } from 'lwc';
 import RelationshipGraph from 'c/relationshipGraph';
+import { SvgContext, PdfDocument } from '../vectorExport';
+import { buildGraphData, toCsvSheets, toGraphMl, toGexf } from '../dataExport';
+import { VIEW_STATE_PARAM, encodeViewState, decodeViewState, serializeViewState, parseViewState } from '../viewLink';
+import { Quadtree, nodeBox } from '../spatialIndex';
+import { PriorityQueue } from '../priorityQueue';
 import getGraphData from '@salesforce/apex/RelationshipGraphController.getGraphData';
 import refreshGraphData from '@salesforce/apex/RelationshipGraphController.refreshGraphData';
 import getGraphConfig from '@salesforce/apex/RelationshipGraphController.getGraphConfig';
 import overrideClassification from '@salesforce/apex/RelationshipGraphController.overrideClassification';
+import getTimelineData from '@salesforce/apex/RelationshipGraphController.getTimelineData';
+import getRiskHistory from '@salesforce/apex/RelationshipGraphController.getRiskHistory';
+import getAccountHealth from '@salesforce/apex/RelationshipGraphController.getAccountHealth';
+import getPortfolioGraphData from '@salesforce/apex/RelationshipGraphController.getPortfolioGraphData';
+import getAccountListViews from '@salesforce/apex/RelationshipGraphController.getAccountListViews';
+import getOpportunityGraphData from '@salesforce/apex/RelationshipGraphController.getOpportunityGraphData';
+import revertClassification from '@salesforce/apex/RelationshipGraphController.revertClassification';
+import getOverrideHistory from '@salesforce/apex/RelationshipGraphController.getOverrideHistory';
+import getPendingOverrides from '@salesforce/apex/RelationshipGraphController.getPendingOverrides';
+import reviewOverride from '@salesforce/apex/RelationshipGraphController.reviewOverride';
+import saveGraphView from '@salesforce/apex/RelationshipGraphController.saveGraphView';
+import getGraphViews from '@salesforce/apex/RelationshipGraphController.getGraphViews';
+import deleteGraphView from '@salesforce/apex/RelationshipGraphController.deleteGraphView';
+import getGraphDataPage from '@salesforce/apex/RelationshipGraphController.getGraphDataPage';
+import getContactNeighbourhood from '@salesforce/apex/RelationshipGraphController.getContactNeighbourhood';
+import getGraphClusters from '@salesforce/apex/RelationshipGraphController.getGraphClusters';
+import saveGraphClusters from '@salesforce/apex/RelationshipGraphController.saveGraphClusters';
+import resetGraphClusters from '@salesforce/apex/RelationshipGraphController.resetGraphClusters';
 import { loadScript } from 'lightning/platformResourceLoader';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { CurrentPageReference } from 'lightning/navigation';
 
 // ─── Mocks ───────────────────────────────────────────────────────────
 
@@ -30,6 +54,98 @@ jest.mock(
     { virtual: true }
 );
 
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.getTimelineData',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.getRiskHistory',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.getAccountHealth',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.getPortfolioGraphData',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.getAccountListViews',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.getOpportunityGraphData',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.revertClassification',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.getOverrideHistory',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.getPendingOverrides',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.reviewOverride',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.saveGraphView',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.getGraphViews',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.deleteGraphView',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.getGraphDataPage',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.getContactNeighbourhood',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.getGraphClusters',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.saveGraphClusters',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/RelationshipGraphController.resetGraphClusters',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
 jest.mock('lightning/platformResourceLoader', () => ({
     loadScript: jest.fn()
 }), { virtual: true });
@@ -172,7 +288,8 @@ const MOCK_GRAPH_DATA = {
 const MOCK_TRUNCATED_DATA = {
     ...MOCK_GRAPH_DATA,
     isTruncated: true,
-    totalContactCount: 550
+    totalContactCount: 550,
+    loadedContactCount: 500
 };
 
 // ─── Helpers ─────────────────────────────────────────────────────────
@@ -1300,3 +1417,3291 @@ describe('zoom controls', () => {
         expect(slider.type).toBe('range');
     });
 });
+
+describe('path finder', () => {
+    // c1 → c2 → c4 (0.9 × 0.8) is stronger than c1 → c3 → c4 (0.5 × 0.5)
+    const MOCK_PATH_DATA = {
+        nodes: [
+            { id: 'acct1', name: 'Test Corp', nodeType: 'Account', interactionCount: 0 },
+            { id: 'c1', name: 'Alice', nodeType: 'Contact', classification: 'Champion', interactionCount: 10 },
+            { id: 'c2', name: 'Bob', nodeType: 'Contact', classification: 'Influencer', interactionCount: 8 },
+            { id: 'c3', name: 'Carol', nodeType: 'Contact', classification: 'End User', interactionCount: 5 },
+            { id: 'c4', name: 'Dave', nodeType: 'Contact', classification: 'Economic Buyer', interactionCount: 3 },
+            { id: 'c5', name: 'Eve', nodeType: 'Contact', classification: 'Unknown', interactionCount: 1 }
+        ],
+        edges: [
+            { source: 'c1', target: 'c2', strength: 0.9, interactionCount: 15, edgeType: 'co_occurrence' },
+            { source: 'c2', target: 'c4', strength: 0.8, interactionCount: 10, edgeType: 'co_occurrence' },
+            { source: 'c1', target: 'c3', strength: 0.5, interactionCount: 4, edgeType: 'co_occurrence' },
+            { source: 'c3', target: 'c4', strength: 0.5, interactionCount: 4, edgeType: 'co_occurrence' }
+        ],
+        riskAlerts: [],
+        isTruncated: false,
+        totalContactCount: 5
+    };
+
+    beforeEach(() => {
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(MOCK_PATH_DATA);
+        loadScript.mockResolvedValue();
+    });
+
+    async function openPathPanel(element) {
+        const buttons = element.shadowRoot.querySelectorAll('lightning-button');
+        Array.from(buttons).find(b => b.label === 'Find Path').click();
+        await flushPromises();
+        return element.shadowRoot.querySelector('.path-panel');
+    }
+
+    it('opens path panel pre-filled with champion and economic buyer', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const panel = await openPathPanel(element);
+        expect(panel).toBeTruthy();
+        expect(panel.querySelector('.path-start').value).toBe('c1');
+        expect(panel.querySelector('.path-target').value).toBe('c4');
+    });
+
+    it('ranks the strongest path first with alternatives after', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const panel = await openPathPanel(element);
+        const items = panel.querySelectorAll('.path-item');
+        expect(items.length).toBe(2);
+        expect(items[0].textContent).toContain('Alice → Bob → Dave');
+        expect(items[0].textContent).toContain('72%');
+        expect(items[1].textContent).toContain('Alice → Carol → Dave');
+        expect(items[0].className).toContain('path-item-selected');
+    });
+
+    it('selects an alternative path when clicked', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const panel = await openPathPanel(element);
+        panel.querySelectorAll('.path-item')[1].click();
+        await flushPromises();
+
+        const items = element.shadowRoot.querySelectorAll('.path-item');
+        expect(items[1].className).toContain('path-item-selected');
+        expect(items[0].className).not.toContain('path-item-selected');
+    });
+
+    it('shows a message when no path connects the contacts', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const panel = await openPathPanel(element);
+        const target = panel.querySelector('.path-target');
+        target.dispatchEvent(new CustomEvent('change', { detail: { value: 'c5' } }));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelectorAll('.path-item').length).toBe(0);
+        expect(element.shadowRoot.querySelector('.path-empty')).toBeTruthy();
+    });
+
+    it('closes path panel and clears the search', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const panel = await openPathPanel(element);
+        panel.querySelector('.path-panel-header lightning-button-icon').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.path-panel')).toBeNull();
+    });
+
+    it('pops queued nodes closest first', () => {
+        const queue = new PriorityQueue();
+        [['a', 3], ['b', 0.5], ['c', 7], ['d', 0.5], ['e', 2]].forEach(([id, cost]) => queue.push(id, cost));
+
+        const costs = { a: 3, b: 0.5, c: 7, d: 0.5, e: 2 };
+        const popped = [];
+        while (queue.size > 0) popped.push(costs[queue.pop()]);
+
+        expect(popped).toEqual([0.5, 0.5, 2, 3, 7]);
+        expect(queue.pop()).toBeUndefined();
+    });
+});
+
+describe('timeline playback', () => {
+    const MOCK_TIMELINE = {
+        startDate: '2026-07-21',
+        endDate: '2026-10-19',
+        snapshots: [
+            {
+                snapshotDate: '2026-07-21',
+                nodes: [
+                    { id: '003xx000004TxyZAAU', interactionCount: 2, strength: 0.3, classification: 'Unknown' }
+                ],
+                edges: []
+            },
+            {
+                snapshotDate: '2026-10-19',
+                nodes: [
+                    { id: '003xx000004TxyZAAU', interactionCount: 12, strength: 0.8, classification: 'Champion' },
+                    { id: '003xx000004TxyAAAA', interactionCount: 5, strength: 0.4, classification: 'Blocker' }
+                ],
+                edges: []
+            }
+        ]
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(MOCK_GRAPH_DATA);
+        getTimelineData.mockResolvedValue(MOCK_TIMELINE);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    async function openTimeline(element) {
+        const buttons = element.shadowRoot.querySelectorAll('lightning-button');
+        Array.from(buttons).find(b => b.label === 'Timeline').click();
+        await flushPromises();
+        return element.shadowRoot.querySelector('.timeline-bar');
+    }
+
+    it('loads timeline snapshots for the last quarter', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const bar = await openTimeline(element);
+        expect(getTimelineData).toHaveBeenCalledWith({ accountId: 'acct1', periodDays: 90 });
+        expect(bar).toBeTruthy();
+        expect(bar.querySelector('.timeline-slider').max).toBe('1');
+    });
+
+    it('starts at the latest snapshot', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const bar = await openTimeline(element);
+        const label = bar.querySelector('.timeline-label');
+        expect(label.textContent).toContain('2026-10-19');
+        expect(label.textContent).toContain('2 engaged');
+    });
+
+    it('scrubs back to an earlier snapshot', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const bar = await openTimeline(element);
+        const slider = bar.querySelector('.timeline-slider');
+        slider.value = '0';
+        slider.dispatchEvent(new CustomEvent('input'));
+        await flushPromises();
+
+        const label = element.shadowRoot.querySelector('.timeline-label');
+        expect(label.textContent).toContain('2026-07-21');
+        expect(label.textContent).toContain('1 engaged');
+    });
+
+    it('toggles play and pause', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const bar = await openTimeline(element);
+        const playBtn = bar.querySelector('.timeline-play');
+        expect(playBtn.alternativeText).toBe('Play');
+
+        playBtn.click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.timeline-play').alternativeText).toBe('Pause');
+
+        element.shadowRoot.querySelector('.timeline-play').click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.timeline-play').alternativeText).toBe('Play');
+    });
+
+    it('exits timeline mode', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const bar = await openTimeline(element);
+        bar.querySelector('.timeline-close').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.timeline-bar')).toBeNull();
+    });
+
+    it('shows info toast when there is no history', async () => {
+        getTimelineData.mockResolvedValue({ snapshots: [] });
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const bar = await openTimeline(element);
+        expect(bar).toBeNull();
+        expect(ShowToastEvent).toHaveBeenCalledWith(
+            expect.objectContaining({ variant: 'info' })
+        );
+    });
+
+    it('shows error toast when timeline load fails', async () => {
+        getTimelineData.mockRejectedValue({ body: { message: 'Timeline failed' } });
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        await openTimeline(element);
+        expect(ShowToastEvent).toHaveBeenCalledWith(
+            expect.objectContaining({ title: 'Error', message: 'Failed to load timeline: Timeline failed' })
+        );
+    });
+});
+
+describe('risk history', () => {
+    const LAST_VISIT = Date.parse('2026-10-01T00:00:00Z');
+    const MOCK_RISK_HISTORY = {
+        openAlerts: [
+            {
+                riskType: 'no_economic_buyer', severity: 'high', contactId: null,
+                firstSeen: '2026-08-01T10:00:00.000Z', lastSeen: '2026-10-18T10:00:00.000Z'
+            },
+            {
+                riskType: 'active_blocker', severity: 'high', contactId: '003xx000004TxyAAAA',
+                firstSeen: '2026-10-10T10:00:00.000Z', lastSeen: '2026-10-18T10:00:00.000Z'
+            }
+        ],
+        resolvedAlerts: [
+            {
+                riskType: 'stale_champion', severity: 'high', message: 'Jane Doe — no activity in 45 days',
+                contactId: '003xx000004TxyZAAU', firstSeen: '2026-09-01T10:00:00.000Z',
+                resolvedAt: '2026-10-05T10:00:00.000Z'
+            },
+            {
+                riskType: 'weak_key_buyer', severity: 'medium', message: 'Old weak buyer',
+                contactId: '003xx000004TxyZAAU', firstSeen: '2026-07-01T10:00:00.000Z',
+                resolvedAt: '2026-09-01T10:00:00.000Z'
+            }
+        ],
+        trends: [
+            { riskType: 'no_economic_buyer', dailyCounts: [0, 1, 1], currentCount: 1, direction: 'worsening' },
+            { riskType: 'stale_champion', dailyCounts: [1, 1, 0], currentCount: 0, direction: 'improving' }
+        ]
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        localStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(MOCK_GRAPH_DATA);
+        getRiskHistory.mockResolvedValue(MOCK_RISK_HISTORY);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    async function openRiskPanel(element) {
+        element.shadowRoot.querySelector('.risk-alert-button').click();
+        await flushPromises();
+        return element.shadowRoot.querySelector('.risk-panel');
+    }
+
+    it('loads risk history when the panel opens', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+        expect(getRiskHistory).not.toHaveBeenCalled();
+
+        await openRiskPanel(element);
+        expect(getRiskHistory).toHaveBeenCalledWith({ accountId: 'acct1' });
+    });
+
+    it('records the visit time per account', async () => {
+        createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        expect(Number(localStorage.getItem('relgraph_lastvisit_acct1'))).toBeGreaterThan(0);
+    });
+
+    it('flags alerts first seen since the last visit', async () => {
+        localStorage.setItem('relgraph_lastvisit_acct1', String(LAST_VISIT));
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const panel = await openRiskPanel(element);
+        const items = Array.from(panel.querySelectorAll('.risk-alert-item'));
+        const flagged = items.filter(item => item.querySelector('.risk-new-badge'));
+        expect(flagged).toHaveLength(1);
+        expect(flagged[0].dataset.contactId).toBe('003xx000004TxyAAAA');
+        expect(panel.querySelector('.risk-visit-summary').textContent)
+            .toBe('1 new · 1 resolved since last visit');
+    });
+
+    it('does not flag anything on the first visit', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const panel = await openRiskPanel(element);
+        expect(panel.querySelectorAll('.risk-new-badge')).toHaveLength(0);
+        expect(panel.querySelector('.risk-visit-summary')).toBeNull();
+    });
+
+    it('lists resolved alerts most recent first', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const panel = await openRiskPanel(element);
+        const resolved = panel.querySelectorAll('.risk-resolved-item');
+        expect(resolved).toHaveLength(2);
+        expect(resolved[0].textContent).toContain('stale_champion');
+        expect(resolved[1].textContent).toContain('weak_key_buyer');
+    });
+
+    it('renders a sparkline per risk type', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const panel = await openRiskPanel(element);
+        const trends = panel.querySelectorAll('.risk-trend-item');
+        expect(trends).toHaveLength(2);
+        expect(trends[0].querySelector('polyline').getAttribute('points')).toBe('0,19 45,1 90,1');
+        expect(trends[0].querySelector('.risk-trend-worsening')).toBeTruthy();
+        expect(trends[1].querySelector('.risk-trend-improving')).toBeTruthy();
+    });
+
+    it('shows error toast when risk history fails to load', async () => {
+        getRiskHistory.mockRejectedValue({ body: { message: 'History failed' } });
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const panel = await openRiskPanel(element);
+        expect(panel.querySelectorAll('.risk-alert-item')).toHaveLength(3);
+        expect(ShowToastEvent).toHaveBeenCalledWith(
+            expect.objectContaining({ title: 'Error', message: 'Failed to load risk history: History failed' })
+        );
+    });
+});
+
+describe('portfolio mode', () => {
+    // Two accounts sharing Sam: Beta sees them as external, Alpha owns them
+    function alphaGraph() {
+        return {
+            nodes: [
+                { id: 'acctA', name: 'Alpha Corp', nodeType: 'Account', interactionCount: 0 },
+                { id: 'sam', name: 'Sam Shared', nodeType: 'Contact', classification: 'Champion', interactionCount: 10 },
+                { id: 'ann', name: 'Ann Alpha', nodeType: 'Contact', classification: 'Blocker', interactionCount: 4 }
+            ],
+            edges: [
+                { source: 'sam', target: 'acctA', strength: 0.8, interactionCount: 10, edgeType: 'account_relationship' },
+                { source: 'ann', target: 'acctA', strength: 0.5, interactionCount: 4, edgeType: 'account_relationship' },
+                { source: 'sam', target: 'ann', strength: 0.6, interactionCount: 3, edgeType: 'co_occurrence' }
+            ],
+            riskAlerts: [],
+            warnings: [],
+            isTruncated: false,
+            totalContactCount: 2
+        };
+    }
+
+    function betaGraph() {
+        return {
+            nodes: [
+                { id: 'acctB', name: 'Beta Corp', nodeType: 'Account', interactionCount: 0 },
+                { id: 'bob', name: 'Bob Beta', nodeType: 'Contact', classification: 'Champion', interactionCount: 6 },
+                { id: 'sam', name: 'Sam Shared', nodeType: 'External_Contact', interactionCount: 2 }
+            ],
+            edges: [
+                { source: 'bob', target: 'acctB', strength: 0.7, interactionCount: 6, edgeType: 'account_relationship' },
+                { source: 'bob', target: 'sam', strength: 0.4, interactionCount: 2, edgeType: 'co_occurrence' }
+            ],
+            riskAlerts: [
+                { severity: 'high', riskType: 'no_economic_buyer', message: 'Beta Corp: No Economic Buyer identified', contactId: null }
+            ],
+            warnings: [],
+            isTruncated: false,
+            totalContactCount: 1
+        };
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        loadScript.mockResolvedValue();
+        getAccountListViews.mockResolvedValue([
+            { label: 'All Accounts', value: '00Bxx0000001' },
+            { label: 'Key Accounts', value: '00Bxx0000002' }
+        ]);
+        getPortfolioGraphData.mockImplementation(() => Promise.resolve({
+            graph: alphaGraph(),
+            loadedAccountIds: ['acctA'],
+            pendingAccountIds: [],
+            totalAccountCount: 1
+        }));
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('loads my accounts when there is no record context', async () => {
+        const element = createComponent();
+        await flushPromises();
+
+        expect(getGraphData).not.toHaveBeenCalled();
+        expect(getPortfolioGraphData).toHaveBeenCalledWith(expect.objectContaining({
+            source: 'mine',
+            hidePassive: true,
+            forceRefresh: false
+        }));
+        expect(element.shadowRoot.querySelector('.portfolio-bar')).toBeTruthy();
+        expect(element.shadowRoot.querySelector('.portfolio-summary').textContent).toBe('1 account');
+    });
+
+    it('keeps account anchor nodes and their edges', async () => {
+        const element = createComponent();
+        await flushPromises();
+
+        const statsBar = element.shadowRoot.querySelector('.stats-bar');
+        expect(statsBar.textContent).toContain('Nodes: 3');
+        expect(statsBar.textContent).toContain('Edges: 3');
+    });
+
+    it('requests pending accounts in further batches and bridges shared contacts', async () => {
+        getPortfolioGraphData
+            .mockImplementationOnce(() => Promise.resolve({
+                graph: alphaGraph(),
+                loadedAccountIds: ['acctA'],
+                pendingAccountIds: ['acctB'],
+                totalAccountCount: 2
+            }))
+            .mockImplementationOnce(() => Promise.resolve({
+                graph: betaGraph(),
+                loadedAccountIds: ['acctB'],
+                pendingAccountIds: [],
+                totalAccountCount: 1
+            }));
+
+        const element = createComponent();
+        await flushPromises();
+
+        expect(getPortfolioGraphData).toHaveBeenCalledTimes(2);
+        expect(getPortfolioGraphData.mock.calls[1][0]).toEqual(expect.objectContaining({
+            source: 'selected',
+            accountIds: ['acctB']
+        }));
+        // Sam stays one owned Contact node linking both accounts
+        const statsBar = element.shadowRoot.querySelector('.stats-bar');
+        expect(statsBar.textContent).toContain('Nodes: 5');
+        expect(statsBar.textContent).toContain('Edges: 5');
+        expect(element.shadowRoot.querySelector('.portfolio-summary').textContent).toBe('2 accounts');
+        expect(element.shadowRoot.querySelector('.risk-alert-button')).toBeTruthy();
+    });
+
+    it('loads list views and graphs the chosen one', async () => {
+        const element = createComponent({ portfolioSource: 'list_view' });
+        await flushPromises();
+
+        // Nothing to graph until a list view is picked
+        expect(getPortfolioGraphData).not.toHaveBeenCalled();
+        const listView = element.shadowRoot.querySelector('.portfolio-list-view');
+        expect(listView.options).toHaveLength(2);
+
+        listView.dispatchEvent(new CustomEvent('change', { detail: { value: '00Bxx0000002' } }));
+        await flushPromises();
+
+        expect(getPortfolioGraphData).toHaveBeenCalledWith(expect.objectContaining({
+            source: 'list_view',
+            listViewId: '00Bxx0000002'
+        }));
+    });
+
+    it('switches source without writing to the portfolioSource property', async () => {
+        const element = createComponent({ portfolioSource: 'mine' });
+        await flushPromises();
+
+        const source = element.shadowRoot.querySelector('.portfolio-source');
+        source.dispatchEvent(new CustomEvent('change', { detail: { value: 'selected' } }));
+        await flushPromises();
+
+        expect(element.portfolioSource).toBe('mine');
+        expect(source.value).toBe('selected');
+        expect(element.shadowRoot.querySelector('.portfolio-picker')).toBeTruthy();
+        expect(JSON.parse(sessionStorage.getItem('relgraph_')).portfolioSource).toBe('selected');
+    });
+
+    it('adds and removes picked accounts', async () => {
+        const element = createComponent({ portfolioSource: 'selected' });
+        await flushPromises();
+        expect(getPortfolioGraphData).not.toHaveBeenCalled();
+
+        const picker = element.shadowRoot.querySelector('.portfolio-picker');
+        picker.dispatchEvent(new CustomEvent('change', { detail: { recordId: 'acctA' } }));
+        await flushPromises();
+
+        expect(getPortfolioGraphData).toHaveBeenCalledWith(expect.objectContaining({
+            source: 'selected',
+            accountIds: ['acctA']
+        }));
+        const pills = element.shadowRoot.querySelector('.portfolio-pills');
+        expect(pills.items).toEqual([expect.objectContaining({ name: 'acctA', label: 'Alpha Corp' })]);
+        expect(JSON.parse(sessionStorage.getItem('relgraph_')).portfolioAccountIds).toEqual(['acctA']);
+
+        pills.dispatchEvent(new CustomEvent('itemremove', { detail: { item: { name: 'acctA' }, index: 0 } }));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.portfolio-pills').items).toEqual([]);
+        expect(element.shadowRoot.querySelector('.stats-bar').textContent).toContain('Nodes: 0');
+    });
+
+    it('bypasses the cache on refresh', async () => {
+        const element = createComponent();
+        await flushPromises();
+
+        const buttons = element.shadowRoot.querySelectorAll('lightning-button');
+        Array.from(buttons).find(b => b.label === 'Refresh').click();
+        await flushPromises();
+
+        expect(refreshGraphData).not.toHaveBeenCalled();
+        expect(getPortfolioGraphData).toHaveBeenLastCalledWith(expect.objectContaining({ forceRefresh: true }));
+    });
+
+    it('hides per-account controls', async () => {
+        const element = createComponent();
+        await flushPromises();
+
+        const labels = Array.from(element.shadowRoot.querySelectorAll('lightning-button')).map(b => b.label);
+        expect(labels).not.toContain('Show Hierarchy');
+        const timeline = Array.from(element.shadowRoot.querySelectorAll('lightning-button'))
+            .find(b => b.label === 'Timeline');
+        expect(timeline.disabled).toBe(true);
+    });
+
+    it('shows error toast when the portfolio fails to load', async () => {
+        getPortfolioGraphData.mockRejectedValue({ body: { message: 'Too many accounts' } });
+        createComponent();
+        await flushPromises();
+
+        expect(ShowToastEvent).toHaveBeenCalledWith(
+            expect.objectContaining({ title: 'Error', message: 'Failed to load portfolio: Too many accounts' })
+        );
+    });
+});
+
+describe('opportunity buying committee', () => {
+    const MOCK_COMMITTEE = {
+        nodes: [
+            { id: '006xx000001', name: 'Big Deal', nodeType: 'Opportunity', classification: 'Negotiation', interactionCount: 0 },
+            { id: 'c1', name: 'Eve Buyer', nodeType: 'Contact', classification: 'Economic Buyer', interactionCount: 6, accountId: 'acct1' },
+            { id: 'c2', name: 'Tom Tech', nodeType: 'Contact', classification: 'Technical Buyer', interactionCount: 4, accountId: 'acct1' }
+        ],
+        edges: [
+            { source: 'c1', target: '006xx000001', strength: 0.9, interactionCount: 6, edgeType: 'opportunity_role', label: 'Economic Buyer' },
+            { source: 'c2', target: '006xx000001', strength: 0.6, interactionCount: 4, edgeType: 'opportunity_role', label: 'Evaluator, Technical Buyer' },
+            { source: 'c1', target: 'c2', strength: 0.1, interactionCount: 2, edgeType: 'co_occurrence' }
+        ],
+        riskAlerts: [],
+        warnings: [],
+        isTruncated: false,
+        totalContactCount: 2
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getOpportunityGraphData.mockResolvedValue(MOCK_COMMITTEE);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    function createOnOpportunity() {
+        return createComponent({ recordId: '006xx000001', objectApiName: 'Opportunity' });
+    }
+
+    it('loads the buying committee instead of the account graph', async () => {
+        const element = createOnOpportunity();
+        await flushPromises();
+
+        expect(getGraphData).not.toHaveBeenCalled();
+        expect(getOpportunityGraphData).toHaveBeenCalledWith(expect.objectContaining({
+            opportunityId: '006xx000001',
+            hidePassive: true,
+            forceRefresh: false
+        }));
+        // Opportunity stays as the central node, role edges are kept
+        const statsBar = element.shadowRoot.querySelector('.stats-bar');
+        expect(statsBar.textContent).toContain('Nodes: 3');
+        expect(statsBar.textContent).toContain('Edges: 3');
+        expect(element.shadowRoot.querySelector('.portfolio-bar')).toBeNull();
+    });
+
+    it('bypasses the cache on refresh', async () => {
+        const element = createOnOpportunity();
+        await flushPromises();
+
+        const buttons = element.shadowRoot.querySelectorAll('lightning-button');
+        Array.from(buttons).find(b => b.label === 'Refresh').click();
+        await flushPromises();
+
+        expect(refreshGraphData).not.toHaveBeenCalled();
+        expect(getOpportunityGraphData).toHaveBeenLastCalledWith(expect.objectContaining({ forceRefresh: true }));
+    });
+
+    it('hides account-only controls', async () => {
+        const element = createOnOpportunity();
+        await flushPromises();
+
+        const buttons = Array.from(element.shadowRoot.querySelectorAll('lightning-button'));
+        expect(buttons.map(b => b.label)).not.toContain('Show Hierarchy');
+        expect(buttons.find(b => b.label === 'Timeline').disabled).toBe(true);
+    });
+
+    it('does not load account risk history', async () => {
+        getOpportunityGraphData.mockResolvedValue({
+            ...MOCK_COMMITTEE,
+            riskAlerts: [{ severity: 'high', riskType: 'no_economic_buyer', message: 'No Economic Buyer identified', contactId: null }]
+        });
+        const element = createOnOpportunity();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.risk-alert-button').click();
+        await flushPromises();
+
+        expect(getRiskHistory).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelectorAll('.risk-alert-item')).toHaveLength(1);
+    });
+
+    it('shows error toast when the committee fails to load', async () => {
+        getOpportunityGraphData.mockRejectedValue({ body: { message: 'No access' } });
+        createOnOpportunity();
+        await flushPromises();
+
+        expect(ShowToastEvent).toHaveBeenCalledWith(
+            expect.objectContaining({ title: 'Error', message: 'Failed to load buying committee: No access' })
+        );
+    });
+});
+
+describe('ensemble classification', () => {
+    function dataWithVotes(votes) {
+        return {
+            ...MOCK_GRAPH_DATA,
+            nodes: MOCK_GRAPH_DATA.nodes.map(n => (
+                n.id === '003xx000004TxyAAAA' ? { ...n, providerVotes: votes } : n
+            ))
+        };
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getRiskHistory.mockResolvedValue(null);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    // Node selection on canvas needs hit detection, so select via the risk panel instead
+    async function selectJohn(element) {
+        element.shadowRoot.querySelector('.risk-alert-button').click();
+        await flushPromises();
+        element.shadowRoot
+            .querySelector('.risk-alert-item[data-contact-id="003xx000004TxyAAAA"]')
+            .click();
+        await flushPromises();
+    }
+
+    it('shows which providers disagreed in the detail panel', async () => {
+        getGraphData.mockResolvedValue(dataWithVotes([
+            { label: 'Heuristic', classification: 'Influencer', confidenceScore: 0.6, weight: 1 },
+            { label: 'LLM', classification: 'Blocker', confidenceScore: 0.8, weight: 1.5 }
+        ]));
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+        await selectJohn(element);
+
+        const row = element.shadowRoot.querySelector('.provider-disagreement');
+        expect(row).toBeTruthy();
+        expect(row.querySelector('.detail-value').textContent).toBe('Heuristic: Influencer / LLM: Blocker');
+    });
+
+    it('hides provider votes when all providers agree', async () => {
+        getGraphData.mockResolvedValue(dataWithVotes([
+            { label: 'Heuristic', classification: 'Blocker', confidenceScore: 0.6, weight: 1 },
+            { label: 'LLM', classification: 'Blocker', confidenceScore: 0.8, weight: 1.5 }
+        ]));
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+        await selectJohn(element);
+
+        expect(element.shadowRoot.querySelector('.detail-panel')).toBeTruthy();
+        expect(element.shadowRoot.querySelector('.provider-disagreement')).toBeNull();
+    });
+});
+
+describe('classification reasons', () => {
+    const REASONS = [
+        { signal: 'title', detail: 'Title "CTO" matches "cto" (Technical Buyer)' },
+        { signal: 'sentiment', detail: 'Email sentiment: 0 positive, 4 negative signals' }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue({
+            ...MOCK_GRAPH_DATA,
+            nodes: MOCK_GRAPH_DATA.nodes.map(n => (
+                n.id === '003xx000004TxyAAAA' ? { ...n, classificationReasons: REASONS } : n
+            ))
+        });
+        getRiskHistory.mockResolvedValue(null);
+        overrideClassification.mockResolvedValue({
+            classification: 'Champion', confidenceScore: 1.0, providerName: 'UserOverride',
+            isUserOverride: true, reasons: []
+        });
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    async function selectJohn(element) {
+        element.shadowRoot.querySelector('.risk-alert-button').click();
+        await flushPromises();
+        element.shadowRoot
+            .querySelector('.risk-alert-item[data-contact-id="003xx000004TxyAAAA"]')
+            .click();
+        await flushPromises();
+    }
+
+    it('lists the reasons under the classification badge', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+        await selectJohn(element);
+
+        const items = element.shadowRoot.querySelectorAll('.classification-reasons .classification-reason');
+        expect(Array.from(items).map(li => li.textContent)).toEqual(REASONS.map(r => r.detail));
+    });
+
+    it('drops the reasons once the classification is overridden', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+        await selectJohn(element);
+
+        const combobox = element.shadowRoot.querySelector('.override-section lightning-combobox');
+        combobox.dispatchEvent(new CustomEvent('change', { detail: { value: 'Champion' } }));
+        await flushPromises();
+        element.shadowRoot.querySelector('.override-save').click();
+        await flushPromises();
+
+        expect(overrideClassification).toHaveBeenCalledWith(expect.objectContaining({
+            contactId: '003xx000004TxyAAAA', classification: 'Champion'
+        }));
+        expect(element.shadowRoot.querySelector('.classification-reasons')).toBeNull();
+    });
+});
+
+describe('override audit trail', () => {
+    const PROVIDER_RESULT = {
+        classification: 'Blocker', confidenceScore: 0.7, providerName: 'HeuristicClassificationProvider',
+        isUserOverride: false, reasons: [{ signal: 'title', detail: 'Title "CTO" matches "cto" (Technical Buyer)' }]
+    };
+    const HISTORY = [
+        {
+            id: 'a0Bxx0000000002', contactId: '003xx000004TxyAAAA', action: 'Revert',
+            previousClassification: 'Champion', newClassification: 'Blocker', justification: null,
+            changedBy: 'Pat Lee', changedAt: '2026-03-02T10:00:00.000Z', reviewStatus: 'Not Required'
+        },
+        {
+            id: 'a0Bxx0000000001', contactId: '003xx000004TxyAAAA', action: 'Override',
+            previousClassification: 'Blocker', newClassification: 'Champion', justification: 'Ran the pilot',
+            changedBy: 'Pat Lee', changedAt: '2026-03-01T10:00:00.000Z', reviewStatus: 'Superseded'
+        }
+    ];
+    const PENDING = [
+        {
+            id: 'a0Bxx0000000003', contactId: '003xx000004TxyAAAA', contactName: 'John Smith',
+            accountId: '001xx000003DGbYAAW', accountName: 'Test Corp', action: 'Override',
+            previousClassification: 'Influencer', newClassification: 'Blocker',
+            justification: 'Vetoed the security review', changedBy: 'Pat Lee',
+            changedAt: '2026-03-03T10:00:00.000Z', reviewStatus: 'Pending'
+        }
+    ];
+
+    function dataWithOverride() {
+        return {
+            ...MOCK_GRAPH_DATA,
+            nodes: MOCK_GRAPH_DATA.nodes.map(n => (
+                n.id === '003xx000004TxyAAAA' ? { ...n, confidence: 1.0, isUserOverride: true } : n
+            ))
+        };
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(MOCK_GRAPH_DATA);
+        getRiskHistory.mockResolvedValue(null);
+        overrideClassification.mockResolvedValue({
+            classification: 'Champion', confidenceScore: 1.0, providerName: 'UserOverride',
+            isUserOverride: true, reasons: []
+        });
+        revertClassification.mockResolvedValue(PROVIDER_RESULT);
+        getOverrideHistory.mockResolvedValue(HISTORY);
+        getPendingOverrides.mockResolvedValue(PENDING);
+        reviewOverride.mockResolvedValue(null);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    async function selectJohn(element) {
+        element.shadowRoot.querySelector('.risk-alert-button').click();
+        await flushPromises();
+        element.shadowRoot
+            .querySelector('.risk-alert-item[data-contact-id="003xx000004TxyAAAA"]')
+            .click();
+        await flushPromises();
+    }
+
+    async function pickRole(element, value) {
+        const combobox = element.shadowRoot.querySelector('.override-section lightning-combobox');
+        combobox.dispatchEvent(new CustomEvent('change', { detail: { value } }));
+        await flushPromises();
+    }
+
+    it('saves the override with the justification', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+        await selectJohn(element);
+        await pickRole(element, 'Champion');
+
+        expect(overrideClassification).not.toHaveBeenCalled();
+        const textarea = element.shadowRoot.querySelector('.override-justification-input');
+        textarea.dispatchEvent(new CustomEvent('change', { detail: { value: '  Ran the pilot  ' } }));
+        await flushPromises();
+        element.shadowRoot.querySelector('.override-save').click();
+        await flushPromises();
+
+        expect(overrideClassification).toHaveBeenCalledWith({
+            contactId: '003xx000004TxyAAAA',
+            accountId: '001xx000003DGbYAAW',
+            classification: 'Champion',
+            justification: 'Ran the pilot'
+        });
+        expect(element.shadowRoot.querySelector('.override-justification-input')).toBeNull();
+        expect(element.shadowRoot.querySelector('.override-revert')).toBeTruthy();
+    });
+
+    it('discards the staged role on cancel', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+        await selectJohn(element);
+        await pickRole(element, 'Champion');
+
+        element.shadowRoot.querySelector('.override-cancel').click();
+        await flushPromises();
+
+        expect(overrideClassification).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.override-justification-input')).toBeNull();
+        expect(element.shadowRoot.querySelector('.override-section lightning-combobox').value).toBe('Blocker');
+    });
+
+    it('reverts an override to the provider classification', async () => {
+        getGraphData.mockResolvedValue(dataWithOverride());
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+        await selectJohn(element);
+
+        element.shadowRoot.querySelector('.override-revert').click();
+        await flushPromises();
+
+        expect(revertClassification).toHaveBeenCalledWith(expect.objectContaining({
+            contactId: '003xx000004TxyAAAA', accountId: '001xx000003DGbYAAW'
+        }));
+        expect(element.shadowRoot.querySelector('.override-revert')).toBeNull();
+        const reasons = element.shadowRoot.querySelectorAll('.classification-reason');
+        expect(reasons.length).toBe(1);
+    });
+
+    it('hides the revert action for provider classifications', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+        await selectJohn(element);
+
+        expect(element.shadowRoot.querySelector('.override-revert')).toBeNull();
+    });
+
+    it('lists the change history with who changed what', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+        await selectJohn(element);
+
+        element.shadowRoot.querySelector('.override-history-toggle').click();
+        await flushPromises();
+
+        expect(getOverrideHistory).toHaveBeenCalledWith({
+            contactId: '003xx000004TxyAAAA', accountId: '001xx000003DGbYAAW'
+        });
+        const items = element.shadowRoot.querySelectorAll('.override-history-item');
+        expect(items.length).toBe(2);
+        expect(items[0].querySelector('.override-change').textContent).toBe('Champion \u2192 Blocker');
+        expect(items[0].querySelector('.override-status').textContent).toBe('Reverted');
+        expect(items[1].querySelector('.override-justification').textContent).toBe('Ran the pilot');
+        expect(items[1].querySelector('.override-meta').textContent).toContain('Pat Lee');
+    });
+
+    it('shows the review button only to reviewers', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.review-overrides-button')).toBeNull();
+    });
+
+    it('lets a reviewer reject a pending override', async () => {
+        getGraphConfig.mockResolvedValue({ ...MOCK_CONFIG, canReviewOverrides: true });
+        reviewOverride.mockResolvedValue({ ...PROVIDER_RESULT, classification: 'Influencer' });
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.review-overrides-button').click();
+        await flushPromises();
+
+        expect(getPendingOverrides).toHaveBeenCalledWith({ accountId: '001xx000003DGbYAAW' });
+        const item = element.shadowRoot.querySelector('.review-item');
+        expect(item.querySelector('.override-justification').textContent).toBe('Vetoed the security review');
+
+        item.querySelector('.review-reject').click();
+        await flushPromises();
+
+        expect(reviewOverride).toHaveBeenCalledWith({ overrideId: 'a0Bxx0000000003', approve: false });
+        expect(element.shadowRoot.querySelector('.review-item')).toBeNull();
+        expect(element.shadowRoot.querySelector('.review-empty')).toBeTruthy();
+    });
+
+    it('offers no review of the reviewer\'s own override', async () => {
+        getGraphConfig.mockResolvedValue({ ...MOCK_CONFIG, canReviewOverrides: true });
+        getPendingOverrides.mockResolvedValue([{ ...PENDING[0], isOwnChange: true }]);
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.review-overrides-button').click();
+        await flushPromises();
+
+        const item = element.shadowRoot.querySelector('.review-item');
+        expect(item.querySelector('.review-own')).toBeTruthy();
+        expect(item.querySelector('.review-approve')).toBeNull();
+        expect(item.querySelector('.review-reject')).toBeNull();
+    });
+
+    it('reviews overrides across accounts outside a record page', async () => {
+        getGraphConfig.mockResolvedValue({ ...MOCK_CONFIG, canReviewOverrides: true });
+        getAccountListViews.mockResolvedValue([]);
+        getPortfolioGraphData.mockResolvedValue(MOCK_GRAPH_DATA);
+        const element = createComponent();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.review-overrides-button').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.review-approve').click();
+        await flushPromises();
+
+        expect(getPendingOverrides).toHaveBeenCalledWith({ accountId: null });
+        expect(reviewOverride).toHaveBeenCalledWith({ overrideId: 'a0Bxx0000000003', approve: true });
+    });
+});
+
+describe('vector export', () => {
+    let exportedBlobs;
+
+    // Stand-in for the d3 force layout: fixed positions and resolved edge endpoints
+    function installFakeD3() {
+        const chain = () => {
+            const force = {};
+            ['id', 'distance', 'strength', 'distanceMax', 'radius'].forEach(m => { force[m] = () => force; });
+            return force;
+        };
+        window.d3 = {
+            forceSimulation: (nodes) => {
+                nodes.forEach((n, i) => { n.x = 100 + i * 80; n.y = 100 + (i % 2) * 60; });
+                const byId = new Map(nodes.map(n => [n.id, n]));
+                const sim = {
+                    force: (name, force) => {
+                        if (name === 'link') {
+                            force.links.forEach(l => {
+                                l.source = byId.get(l.source) || l.source;
+                                l.target = byId.get(l.target) || l.target;
+                            });
+                        }
+                        return sim;
+                    },
+                    alphaDecay: () => sim,
+                    alphaTarget: () => sim,
+                    alpha: () => sim,
+                    restart: () => sim,
+                    on: () => sim,
+                    stop: () => {}
+                };
+                return sim;
+            },
+            forceLink: (links) => Object.assign(chain(), { links }),
+            forceManyBody: chain,
+            forceCenter: chain,
+            forceCollide: chain
+        };
+    }
+
+    function readBlob(blob) {
+        return new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.readAsText(blob);
+        });
+    }
+
+    async function exportAs(element, format) {
+        element.shadowRoot.querySelector('.export-menu')
+            .dispatchEvent(new CustomEvent('select', { detail: { value: format } }));
+        await flushPromises();
+        return readBlob(exportedBlobs[exportedBlobs.length - 1]);
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        installFakeD3();
+        exportedBlobs = [];
+        URL.createObjectURL = jest.fn((blob) => { exportedBlobs.push(blob); return 'blob:export'; });
+        URL.revokeObjectURL = jest.fn();
+        jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(MOCK_GRAPH_DATA);
+        getRiskHistory.mockResolvedValue(null);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        delete window.d3;
+        HTMLAnchorElement.prototype.click.mockRestore();
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('offers image and data formats', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+
+        const items = element.shadowRoot.querySelectorAll('.export-menu lightning-menu-item');
+        expect(Array.from(items).map(i => i.value))
+            .toEqual(['png', 'svg', 'pdf', 'csv', 'json', 'graphml', 'gexf']);
+    });
+
+    it('exports the graph as SVG vector elements', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+
+        const svg = await exportAs(element, 'svg');
+
+        expect(exportedBlobs[0].type).toBe('image/svg+xml');
+        expect(svg).toMatch(/^<\?xml[^>]*>\n<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+        expect(svg).toContain('>Jane Doe</text>');
+        expect(svg).toContain('>John Smith</text>');
+        // Champion fill and the dashed high-severity risk ring around John Smith
+        expect(svg).toContain('fill="rgb(46,125,50)"');
+        expect(svg).toMatch(/stroke="rgb\(198,40,40\)"[^>]*stroke-dasharray="4 3"/);
+        expect(svg).toContain('text-anchor="middle"');
+    });
+
+    it('exports a printable PDF with a legend and a risk summary page', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+
+        const pdf = await exportAs(element, 'pdf');
+
+        expect(exportedBlobs[0].type).toBe('application/pdf');
+        expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+        expect(pdf.trim().endsWith('%%EOF')).toBe(true);
+        expect(pdf).toContain('/Count 2');
+        expect(pdf).toContain('(Legend) Tj');
+        expect(pdf).toContain('(Champion \\(1\\)) Tj');
+        expect(pdf).toMatch(/\(Test Corp . Risk Summary\) Tj/);
+        expect(pdf).toContain('(No Economic Buyer identified) Tj');
+    });
+
+    it('keeps the PNG export on the Export button', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+
+        jest.spyOn(HTMLCanvasElement.prototype, 'toBlob')
+            .mockImplementation((callback) => callback(new Blob(['png'], { type: 'image/png' })));
+        const exportBtn = Array.from(element.shadowRoot.querySelectorAll('lightning-button'))
+            .find(b => b.label === 'Export');
+        exportBtn.click();
+        await flushPromises();
+
+        expect(HTMLCanvasElement.prototype.toBlob).toHaveBeenCalledWith(expect.any(Function), 'image/png');
+        expect(exportedBlobs.map(b => b.type)).toEqual(['image/png']);
+        HTMLCanvasElement.prototype.toBlob.mockRestore();
+    });
+
+    it('converts canvas arcs and transforms into SVG paths', () => {
+        const ctx = new SvgContext();
+        ctx.translate(10, 20);
+        ctx.scale(2, 2);
+        ctx.beginPath();
+        ctx.arc(0, 0, 5, 0, 2 * Math.PI);
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+
+        const svg = ctx.toSvg(100, 100);
+        expect(svg).toContain('d="M 20 20 C');
+        expect((svg.match(/ C /g) || []).length).toBe(4);
+        expect(svg).toContain('stroke-opacity="0.5"');
+        expect(svg).toContain('stroke-width="3"');
+    });
+
+    it('writes a PDF cross-reference table that points at each object', () => {
+        const doc = new PdfDocument(200, 100, 'Test (map)');
+        const page = doc.addPage();
+        page.globalAlpha = 0.5;
+        page.fillRect(0, 0, 10, 10);
+        page.fillText('Caf\u00E9 \u2192 A&B', 5, 50);
+
+        const pdf = String.fromCharCode(...doc.toBytes());
+        const xrefStart = Number(pdf.match(/startxref\n(\d+)/)[1]);
+        expect(pdf.slice(xrefStart, xrefStart + 4)).toBe('xref');
+        const offsets = pdf.slice(xrefStart).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+        offsets.forEach((offset, idx) => {
+            expect(pdf.slice(offset).startsWith((idx + 1) + ' 0 obj')).toBe(true);
+        });
+        expect(pdf).toContain('/Title (Test \\(map\\))');
+        expect(pdf).toContain('/ca 0.5');
+        expect(pdf).toContain('(Caf\u00E9 -> A&B) Tj');
+        expect(pdf).toContain('0 0 200 100');
+    });
+});
+
+describe('data export', () => {
+    let downloads;
+
+    function readBlob(blob) {
+        return new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.readAsText(blob);
+        });
+    }
+
+    async function exportAs(element, format) {
+        element.shadowRoot.querySelector('.export-menu')
+            .dispatchEvent(new CustomEvent('select', { detail: { value: format } }));
+        await flushPromises();
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        downloads = [];
+        const pending = [];
+        URL.createObjectURL = jest.fn((blob) => { pending.push(blob); return 'blob:export'; });
+        URL.revokeObjectURL = jest.fn();
+        jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            downloads.push({ fileName: this.download, blob: pending.shift() });
+        });
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(MOCK_GRAPH_DATA);
+        getRiskHistory.mockResolvedValue(null);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        HTMLAnchorElement.prototype.click.mockRestore();
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('exports nodes and edges as two CSV sheets', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+
+        await exportAs(element, 'csv');
+
+        expect(downloads.map(d => d.fileName)).toEqual(['Test Corp-nodes.csv', 'Test Corp-edges.csv']);
+        const nodes = (await readBlob(downloads[0].blob)).split('\r\n');
+        expect(nodes[0]).toBe('id,name,nodeType,classification,title,accountName,strength,interactionCount,'
+            + 'coOccurrenceCount,confidence,isUserOverride,clusterId,riskSeverity,strengthFactors,lastInteractionDate');
+        const jane = nodes.find(line => line.startsWith('003xx000004TxyZAAU'));
+        expect(jane).toContain('Jane Doe,Contact,Champion,VP Sales');
+        expect(jane).toContain('Meeting: 12; Email Sent: 8; Task: 3');
+        const john = nodes.find(line => line.startsWith('003xx000004TxyAAAA'));
+        expect(john).toContain(',high,');
+
+        const edges = (await readBlob(downloads[1].blob)).split('\r\n');
+        expect(edges[0]).toBe('source,target,sourceName,targetName,edgeType,label,strength,interactionCount');
+        expect(edges[1]).toBe('003xx000004TxyZAAU,006xx000001abcDEF,Jane Doe,Test Deal,opportunity_role,Decision Maker,0.6,0');
+    });
+
+    it('exports JSON in the GraphData shape without layout state', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+
+        await exportAs(element, 'json');
+
+        expect(downloads[0].fileName).toBe('Test Corp-graph.json');
+        const graph = JSON.parse(await readBlob(downloads[0].blob));
+        expect(Object.keys(graph)).toEqual(
+            ['nodes', 'edges', 'isTruncated', 'totalContactCount', 'riskAlerts', 'warnings']
+        );
+        const jane = graph.nodes.find(n => n.id === '003xx000004TxyZAAU');
+        expect(jane.strengthFactors).toHaveLength(3);
+        expect(jane).toHaveProperty('clusterId');
+        expect(jane.riskSeverity).toBe('medium');
+        expect(jane).not.toHaveProperty('x');
+        expect(jane).not.toHaveProperty('color');
+        expect(graph.edges).toEqual([{
+            source: '003xx000004TxyZAAU', target: '006xx000001abcDEF',
+            strength: 0.6, interactionCount: 0, edgeType: 'opportunity_role', label: 'Decision Maker'
+        }]);
+        expect(graph.riskAlerts[1]).toEqual(MOCK_RISK_ALERTS[1]);
+    });
+
+    it('only exports contacts that pass the classification filter', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-classification="Champion"]').click();
+        await flushPromises();
+        await exportAs(element, 'json');
+
+        const graph = JSON.parse(await readBlob(downloads[0].blob));
+        expect(graph.nodes.map(n => n.name).sort()).toEqual(['Jane Doe', 'Test Deal']);
+        expect(graph.riskAlerts.some(a => a.contactId === '003xx000004TxyAAAA')).toBe(false);
+    });
+
+    it('exports GraphML with strength as the edge weight', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+
+        await exportAs(element, 'graphml');
+
+        expect(downloads[0].fileName).toBe('Test Corp-graph.graphml');
+        const xml = await readBlob(downloads[0].blob);
+        expect(xml).toContain('<key id="e_strength" for="edge" attr.name="weight" attr.type="double"/>');
+        expect(xml).toContain('<node id="003xx000004TxyZAAU">');
+        expect(xml).toContain('<data key="n_classification">Champion</data>');
+        expect(xml).toContain('<edge id="e0" source="003xx000004TxyZAAU" target="006xx000001abcDEF">');
+        expect(xml).toContain('<data key="e_strength">0.6</data>');
+    });
+
+    it('exports GEXF with node labels and edge weights', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+
+        await exportAs(element, 'gexf');
+
+        expect(downloads[0].fileName).toBe('Test Corp-graph.gexf');
+        const xml = await readBlob(downloads[0].blob);
+        expect(xml).toContain('<gexf xmlns="http://gexf.net/1.3" version="1.3">');
+        expect(xml).toContain('<description>Test Corp Relationship Graph</description>');
+        expect(xml).toContain('<node id="003xx000004TxyAAAA" label="John Smith">');
+        expect(xml).toContain('source="003xx000004TxyZAAU" target="006xx000001abcDEF" weight="0.6"');
+    });
+
+    it('leaves synthetic seat and moved-company nodes out', () => {
+        const graph = buildGraphData(
+            [
+                { id: 'a', name: 'Jane Doe', nodeType: 'Contact', hasMovedCompany: true, previousCompany: 'Globex' },
+                { id: 'moved_to_0', name: 'Globex', nodeType: 'Moved_To_Company' },
+                { id: 'seat_Technical_Buyer_0', name: 'Technical Buyer', nodeType: 'Committee_Seat' },
+                { id: 'b', name: 'John Smith', nodeType: 'Contact' }
+            ],
+            [
+                { source: { id: 'a' }, target: { id: 'moved_to_0' }, edgeType: 'moved_to' },
+                { source: { id: 'seat_Technical_Buyer_0' }, target: { id: 'b' }, edgeType: 'seat_candidate' },
+                { source: { id: 'a' }, target: { id: 'b' }, strength: 0.5, edgeType: 'co_occurrence' }
+            ]
+        );
+
+        expect(graph.nodes.map(n => n.id)).toEqual(['a', 'b']);
+        expect(graph.nodes[0].previousCompany).toBe('Globex');
+        expect(graph.edges.map(e => e.edgeType)).toEqual(['co_occurrence']);
+    });
+
+    it('escapes CSV cells, XML text and spreadsheet formulas', () => {
+        const graph = buildGraphData(
+            [
+                { id: 'a', name: 'Doe, "JD"', nodeType: 'Contact', title: '=HYPERLINK("x")', clusterId: -1, x: 5 },
+                { id: 'b', name: 'R&D <Ops>', nodeType: 'Contact', clusterId: 2 }
+            ],
+            [
+                { source: { id: 'a' }, target: { id: 'b' }, strength: 0.5, edgeType: 'co_occurrence' },
+                { source: { id: 'a' }, target: { id: 'missing' }, strength: 0.1, edgeType: 'co_occurrence' }
+            ],
+            { riskSeverity: new Map([['b', 'medium']]) }
+        );
+
+        expect(graph.nodes[0].clusterId).toBe(null);
+        expect(graph.nodes[1]).toMatchObject({ clusterId: 2, riskSeverity: 'medium' });
+        expect(graph.edges).toHaveLength(1);
+
+        const csv = toCsvSheets(graph);
+        expect(csv.nodes).toContain('a,"Doe, ""JD""",Contact,,"\'=HYPERLINK(""x"")"');
+        expect(csv.edges).toContain('a,b,"Doe, ""JD""",R&D <Ops>,co_occurrence,,0.5,');
+        expect(toGraphMl(graph)).toContain('<data key="n_name">R&amp;D &lt;Ops&gt;</data>');
+        expect(toGexf(graph)).toContain('label="Doe, &quot;JD&quot;"');
+    });
+});
+
+describe('shareable links', () => {
+    let copied;
+
+    function linkToken(url) {
+        return new URL(url).searchParams.get(VIEW_STATE_PARAM);
+    }
+
+    async function copyLink(element) {
+        element.shadowRoot.querySelector('.copy-link-button').click();
+        await flushPromises();
+        return copied[copied.length - 1];
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        copied = [];
+        Object.defineProperty(navigator, 'clipboard', {
+            configurable: true,
+            value: { writeText: jest.fn((text) => { copied.push(text); return Promise.resolve(); }) }
+        });
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(MOCK_GRAPH_DATA);
+        getRiskHistory.mockResolvedValue(null);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        delete navigator.clipboard;
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('copies a link that encodes the current view', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-classification="Champion"]').click();
+        const search = element.shadowRoot.querySelector('.search-control');
+        search.dispatchEvent(new CustomEvent('change', { detail: { value: 'Jane' } }));
+        element.shadowRoot.querySelector('.risk-alert-button').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.risk-alert-item[data-contact-id="003xx000004TxyAAAA"]').click();
+        await flushPromises();
+
+        const link = await copyLink(element);
+
+        expect(link.startsWith(window.location.origin)).toBe(true);
+        const view = decodeViewState(linkToken(link));
+        expect(view).toMatchObject({
+            hidePassive: true,
+            minInteractions: MOCK_CONFIG.minInteractions,
+            showExternalContacts: false,
+            activeFilters: ['Champion'],
+            searchTerm: 'Jane',
+            selectedNodeId: '003xx000004TxyAAAA',
+            portfolio: null
+        });
+        expect(Object.keys(view.positions).sort())
+            .toEqual(['003xx000004TxyAAAA', '003xx000004TxyZAAU', '006xx000001abcDEF']);
+        expect(ShowToastEvent).toHaveBeenCalledWith(expect.objectContaining({ title: 'Link Copied' }));
+    });
+
+    it('restores settings, selection, zoom and layout from a link', async () => {
+        const token = encodeViewState({
+            hidePassive: false,
+            minInteractions: 7,
+            showExternalContacts: true,
+            showHierarchy: false,
+            activeFilters: ['Blocker'],
+            searchTerm: 'Smith',
+            selectedNodeId: '003xx000004TxyAAAA',
+            transform: { x: 40, y: -25, k: 1.75 },
+            positions: {
+                '003xx000004TxyZAAU': [120, 80],
+                '003xx000004TxyAAAA': [260, 140],
+                '006xx000001abcDEF': [400, 90]
+            }
+        });
+
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        CurrentPageReference.emit({
+            type: 'standard__recordPage',
+            attributes: { recordId: '001xx000003DGbYAAW', actionName: 'view' },
+            state: { [VIEW_STATE_PARAM]: token }
+        });
+        await flushPromises();
+
+        expect(getGraphData).toHaveBeenCalledTimes(1);
+        expect(getGraphData).toHaveBeenCalledWith(expect.objectContaining({
+            hidePassive: false,
+            minInteractions: 7,
+            showExternalContacts: true
+        }));
+        expect(element.shadowRoot.querySelector('.search-control').value).toBe('Smith');
+        expect(element.shadowRoot.querySelector('.detail-panel h3').textContent).toBe('John Smith');
+
+        // Copying again yields the same view: nothing moved
+        const view = decodeViewState(linkToken(await copyLink(element)));
+        expect(view.transform).toEqual({ x: 40, y: -25, k: 1.75 });
+        expect(view.positions).toEqual({
+            '003xx000004TxyZAAU': [120, 80],
+            '003xx000004TxyAAAA': [260, 140],
+            '006xx000001abcDEF': [400, 90]
+        });
+        expect(view.activeFilters).toEqual(['Blocker']);
+    });
+
+    it('reloads an open graph when a link is opened on the same page', async () => {
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+        expect(getGraphData).toHaveBeenCalledTimes(1);
+
+        CurrentPageReference.emit({
+            type: 'standard__recordPage',
+            attributes: { recordId: '001xx000003DGbYAAW', actionName: 'view' },
+            state: { [VIEW_STATE_PARAM]: encodeViewState({ hidePassive: false, minInteractions: 0 }) }
+        });
+        await flushPromises();
+
+        expect(getGraphData).toHaveBeenCalledTimes(2);
+        expect(getGraphData).toHaveBeenLastCalledWith(expect.objectContaining({ hidePassive: false, minInteractions: 0 }));
+        expect(element.shadowRoot.querySelector('.threshold-label').textContent).toBe('Min: 0');
+    });
+
+    it('ignores a malformed link and keeps the default view', async () => {
+        createComponent({ recordId: '001xx000003DGbYAAW' });
+        CurrentPageReference.emit({ type: 'standard__recordPage', state: { [VIEW_STATE_PARAM]: 'not-a-view' } });
+        await flushPromises();
+
+        expect(ShowToastEvent).toHaveBeenCalledWith(expect.objectContaining({
+            title: 'Link Not Applied', variant: 'warning'
+        }));
+        expect(getGraphData).toHaveBeenCalledWith(expect.objectContaining({ hidePassive: true }));
+    });
+
+    it('shows the link when the clipboard is unavailable', async () => {
+        delete navigator.clipboard;
+        const element = createComponent({ recordId: '001xx000003DGbYAAW' });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.copy-link-button').click();
+        await flushPromises();
+
+        const toast = ShowToastEvent.mock.calls.map(c => c[0]).find(t => t.title === 'Copy Link');
+        expect(decodeViewState(linkToken(toast.message))).not.toBe(null);
+    });
+
+    it('round-trips non-Latin search terms and rejects other versions', () => {
+        const token = encodeViewState({ searchTerm: 'Müller 张', transform: { x: 1.234, y: 2, k: 0.5 } });
+        expect(token).toMatch(/^[A-Za-z0-9_-]+$/);
+        const view = decodeViewState(token);
+        expect(view.searchTerm).toBe('Müller 张');
+        expect(view.transform).toEqual({ x: 1.23, y: 2, k: 0.5 });
+
+        const future = btoa(JSON.stringify({ v: 99 }));
+        expect(decodeViewState(future)).toBe(null);
+        expect(decodeViewState('')).toBe(null);
+    });
+});
+
+describe('saved views', () => {
+    const ACCOUNT_ID = '001xx000003DGbYAAW';
+    const LAYOUT = {
+        hidePassive: false,
+        minInteractions: 5,
+        activeFilters: ['Blocker'],
+        selectedNodeId: '003xx000004TxyAAAA',
+        transform: { x: 0, y: 0, k: 1 },
+        positions: {
+            '003xx000004TxyZAAU': [120, 80],
+            '003xx000004TxyAAAA': [260, 140],
+            '006xx000001abcDEF': [400, 90]
+        }
+    };
+
+    function savedView(overrides = {}) {
+        return {
+            id: 'a0Vxx0000001',
+            name: 'Exec map',
+            viewState: serializeViewState(LAYOUT),
+            isShared: false,
+            isOwner: true,
+            ownerName: 'Me',
+            lastModified: '2024-06-01T10:00:00.000Z',
+            ...overrides
+        };
+    }
+
+    async function openViewsPanel(element) {
+        element.shadowRoot.querySelector('.views-button').click();
+        await flushPromises();
+    }
+
+    function canvasEvent(element, type, x, y) {
+        element.shadowRoot.querySelector('canvas')
+            .dispatchEvent(new MouseEvent(type, { clientX: x, clientY: y, bubbles: true }));
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(MOCK_GRAPH_DATA);
+        getRiskHistory.mockResolvedValue(null);
+        getGraphViews.mockResolvedValue([]);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('lists own and shared views for the graph', async () => {
+        getGraphViews.mockResolvedValue([
+            savedView(),
+            savedView({ id: 'a0Vxx0000002', name: 'Team map', isShared: true, isOwner: false, ownerName: 'Pat Lee' })
+        ]);
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        await flushPromises();
+        await openViewsPanel(element);
+
+        expect(getGraphViews).toHaveBeenCalledWith({ recordId: ACCOUNT_ID });
+        const items = element.shadowRoot.querySelectorAll('.view-item');
+        expect(items).toHaveLength(2);
+        expect(items[0].querySelector('.view-apply').label).toBe('Exec map');
+        expect(items[0].querySelector('.view-meta').textContent).toMatch(/^Only you · /);
+        expect(items[0].querySelector('.view-delete')).toBeTruthy();
+        expect(items[1].querySelector('.view-meta').textContent).toMatch(/^Shared by Pat Lee/);
+        expect(items[1].querySelector('.view-delete')).toBe(null);
+    });
+
+    it('saves the current view under a name', async () => {
+        saveGraphView.mockImplementation(({ name }) => Promise.resolve(savedView({ name })));
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        await flushPromises();
+        await openViewsPanel(element);
+
+        const save = element.shadowRoot.querySelector('.view-save');
+        expect(save.disabled).toBe(true);
+
+        element.shadowRoot.querySelector('[data-classification="Champion"]').click();
+        element.shadowRoot.querySelector('.view-name-input')
+            .dispatchEvent(new CustomEvent('change', { detail: { value: '  Champions  ' } }));
+        element.shadowRoot.querySelector('.view-share-input')
+            .dispatchEvent(new CustomEvent('change', { detail: { checked: true } }));
+        await flushPromises();
+        expect(save.disabled).toBe(false);
+
+        save.click();
+        await flushPromises();
+
+        const args = saveGraphView.mock.calls[0][0];
+        expect(args).toMatchObject({ recordId: ACCOUNT_ID, name: 'Champions', shared: true });
+        const view = parseViewState(args.viewState);
+        expect(view.activeFilters).toEqual(['Champion']);
+        expect(Object.keys(view.positions)).toHaveLength(3);
+        expect(ShowToastEvent).toHaveBeenCalledWith(expect.objectContaining({ message: 'Saved view "Champions"' }));
+        expect(getGraphViews).toHaveBeenCalledTimes(2);
+        expect(element.shadowRoot.querySelector('.view-name-input').value).toBe('');
+    });
+
+    it('applies a saved view with its settings, selection and pinned layout', async () => {
+        navigator.clipboard = { writeText: jest.fn(() => Promise.resolve()) };
+        getGraphViews.mockResolvedValue([savedView()]);
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        await flushPromises();
+        await openViewsPanel(element);
+
+        element.shadowRoot.querySelector('.view-apply').click();
+        await flushPromises();
+
+        expect(getGraphData).toHaveBeenCalledTimes(2);
+        expect(getGraphData).toHaveBeenLastCalledWith(expect.objectContaining({ hidePassive: false, minInteractions: 5 }));
+        expect(element.shadowRoot.querySelector('.detail-panel h3').textContent).toBe('John Smith');
+        expect(element.shadowRoot.querySelector('.node-unpin')).toBeTruthy();
+
+        element.shadowRoot.querySelector('.copy-link-button').click();
+        await flushPromises();
+        const link = navigator.clipboard.writeText.mock.calls[0][0];
+        const view = decodeViewState(new URL(link).searchParams.get(VIEW_STATE_PARAM));
+        expect(view.positions).toEqual(LAYOUT.positions);
+        expect(view.activeFilters).toEqual(['Blocker']);
+        delete navigator.clipboard;
+    });
+
+    it('warns instead of applying an unreadable view', async () => {
+        getGraphViews.mockResolvedValue([savedView({ viewState: '{"v":99}' })]);
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        await flushPromises();
+        await openViewsPanel(element);
+
+        element.shadowRoot.querySelector('.view-apply').click();
+        await flushPromises();
+
+        expect(getGraphData).toHaveBeenCalledTimes(1);
+        expect(ShowToastEvent).toHaveBeenCalledWith(expect.objectContaining({
+            title: 'View Not Applied', variant: 'warning'
+        }));
+    });
+
+    it('deletes a view from the list', async () => {
+        getGraphViews.mockResolvedValue([savedView()]);
+        deleteGraphView.mockResolvedValue();
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        await flushPromises();
+        await openViewsPanel(element);
+
+        element.shadowRoot.querySelector('.view-delete').click();
+        await flushPromises();
+
+        expect(deleteGraphView).toHaveBeenCalledWith({ viewId: 'a0Vxx0000001' });
+        expect(element.shadowRoot.querySelector('.view-item')).toBe(null);
+        expect(element.shadowRoot.querySelector('.views-empty')).toBeTruthy();
+    });
+
+    it('does not offer sharing for the portfolio graph', async () => {
+        getPortfolioGraphData.mockResolvedValue({
+            graph: MOCK_GRAPH_DATA, loadedAccountIds: [], pendingAccountIds: [], totalAccountCount: 0
+        });
+        getAccountListViews.mockResolvedValue([]);
+        const element = createComponent();
+        await flushPromises();
+        await openViewsPanel(element);
+
+        expect(getGraphViews).toHaveBeenCalledWith({ recordId: null });
+        expect(element.shadowRoot.querySelector('.view-name-input')).toBeTruthy();
+        expect(element.shadowRoot.querySelector('.view-share-input')).toBe(null);
+    });
+
+    it('keeps a dragged node pinned until it is unpinned', async () => {
+        getGraphViews.mockResolvedValue([savedView()]);
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        await flushPromises();
+        await openViewsPanel(element);
+        element.shadowRoot.querySelector('.view-apply').click();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.unpin-all').click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.node-unpin')).toBe(null);
+
+        // Drag Jane, then select her. Without a running simulation she keeps her x/y
+        // and only her pin (fx/fy) moves.
+        canvasEvent(element, 'mousedown', 120, 80);
+        canvasEvent(element, 'mousemove', 150, 100);
+        canvasEvent(element, 'mouseup', 150, 100);
+        canvasEvent(element, 'click', 120, 80);
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.detail-panel h3').textContent).toBe('Jane Doe');
+        expect(element.shadowRoot.querySelector('.node-unpin')).toBeTruthy();
+
+        element.shadowRoot.querySelector('.node-unpin').click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.node-unpin')).toBe(null);
+
+        // A plain click does not pin
+        canvasEvent(element, 'mousedown', 120, 80);
+        canvasEvent(element, 'mouseup', 120, 80);
+        canvasEvent(element, 'click', 120, 80);
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.node-unpin')).toBe(null);
+    });
+});
+
+describe('keyboard and screen reader', () => {
+    const ACCOUNT_ID = '001xx000003DGbYAAW';
+
+    // Jane and the deal are connected; John sits between them with no edge to either
+    function openWithLayout() {
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        CurrentPageReference.emit({
+            type: 'standard__recordPage',
+            attributes: { recordId: ACCOUNT_ID, actionName: 'view' },
+            state: {
+                [VIEW_STATE_PARAM]: encodeViewState({
+                    hidePassive: true,
+                    minInteractions: 3,
+                    transform: { x: 0, y: 0, k: 1 },
+                    positions: {
+                        '003xx000004TxyZAAU': [120, 80],
+                        '003xx000004TxyAAAA': [260, 140],
+                        '006xx000001abcDEF': [400, 90]
+                    }
+                })
+            }
+        });
+        return element;
+    }
+
+    function pressKey(element, key) {
+        const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+        element.shadowRoot.querySelector('canvas').dispatchEvent(event);
+        return event;
+    }
+
+    function announcement(element) {
+        return element.shadowRoot.querySelector('.graph-announcer').textContent;
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(MOCK_GRAPH_DATA);
+        getRiskHistory.mockResolvedValue(null);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('makes the canvas focusable with keyboard instructions', async () => {
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        await flushPromises();
+
+        const canvas = element.shadowRoot.querySelector('canvas');
+        expect(canvas.tabIndex).toBe(0);
+        expect(canvas.getAttribute('role')).toBe('application');
+        expect(canvas.getAttribute('aria-label')).toContain('Arrow keys');
+    });
+
+    it('moves between connected nodes with the arrow keys and opens details with Enter', async () => {
+        const element = openWithLayout();
+        await flushPromises();
+        const canvas = element.shadowRoot.querySelector('canvas');
+        canvas.focus();
+
+        // Start from Jane: selecting a node moves keyboard focus to it
+        canvas.dispatchEvent(new MouseEvent('click', { clientX: 120, clientY: 80 }));
+        await flushPromises();
+        expect(pressKey(element, 'Escape').defaultPrevented).toBe(true);
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.detail-panel')).toBe(null);
+
+        // John is closer, but the deal is the node Jane is connected to
+        mockCtx.setLineDash.mockClear();
+        expect(pressKey(element, 'ArrowRight').defaultPrevented).toBe(true);
+        await flushPromises();
+        expect(announcement(element)).toBe('Test Deal, Opportunity, 1 connection');
+        expect(mockCtx.setLineDash).toHaveBeenCalledWith([5, 3]);
+
+        pressKey(element, 'Enter');
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.detail-panel h3').textContent).toBe('Test Deal');
+        expect(announcement(element)).toBe('Selected Test Deal, Opportunity, 1 connection');
+
+        pressKey(element, 'ArrowLeft');
+        await flushPromises();
+        expect(announcement(element)).toMatch(/^Jane Doe, Contact, Champion, medium risk: Only one Champion/);
+    });
+
+    it('reaches unconnected nodes and zooms with plus and minus', async () => {
+        const element = openWithLayout();
+        await flushPromises();
+        const canvas = element.shadowRoot.querySelector('canvas');
+        canvas.dispatchEvent(new MouseEvent('click', { clientX: 260, clientY: 140 }));
+        await flushPromises();
+
+        pressKey(element, 'ArrowLeft');
+        await flushPromises();
+        expect(announcement(element)).toMatch(/^Jane Doe/);
+
+        pressKey(element, '+');
+        expect(mockCtx.scale).toHaveBeenLastCalledWith(1.2, 1.2);
+        pressKey(element, '-');
+        expect(mockCtx.scale.mock.calls[mockCtx.scale.mock.calls.length - 1][0]).toBeCloseTo(1);
+        expect(pressKey(element, 'Tab').defaultPrevented).toBe(false);
+    });
+
+    it('mirrors nodes and relationships in tables that follow the filters', async () => {
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        await flushPromises();
+
+        const nodeRows = () => [...element.shadowRoot.querySelectorAll('.graph-a11y-nodes tbody tr')]
+            .map(row => [...row.children].map(cell => cell.textContent));
+        expect(nodeRows()).toEqual([
+            ['Jane Doe', 'Contact', 'Champion', 'Medium', '1'],
+            ['John Smith', 'Contact', 'Blocker', 'High', '0'],
+            ['Test Deal', 'Opportunity', '', '', '1']
+        ]);
+        const edgeCells = [...element.shadowRoot.querySelectorAll('.graph-a11y-edges tbody td')].map(c => c.textContent);
+        expect(edgeCells).toEqual(['Jane Doe', 'Test Deal', 'Opportunity Role: Decision Maker', '60%']);
+        expect(announcement(element)).toBe('Showing 3 nodes and 1 relationship. 3 risk alerts, 2 high severity.');
+
+        element.shadowRoot.querySelector('[data-classification="Champion"]').click();
+        await flushPromises();
+
+        expect(nodeRows().map(row => row[0])).toEqual(['Jane Doe', 'Test Deal']);
+        expect(announcement(element)).toBe('Showing 2 nodes and 1 relationship. 3 risk alerts, 2 high severity.');
+    });
+
+    it('announces a contact selected from the risk alerts with its risk', async () => {
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.risk-alert-button').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.risk-alert-item[data-contact-id="003xx000004TxyAAAA"]').click();
+        await flushPromises();
+
+        expect(announcement(element)).toBe(
+            'Selected John Smith, Contact, Blocker, high risk: John Smith (Blocker) is actively engaged, 0 connections'
+        );
+    });
+});
+
+describe('touch and pen gestures', () => {
+    const ACCOUNT_ID = '001xx000003DGbYAAW';
+    let copied;
+
+    function openWithLayout(transform = { x: 0, y: 0, k: 1 }) {
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        CurrentPageReference.emit({
+            type: 'standard__recordPage',
+            attributes: { recordId: ACCOUNT_ID, actionName: 'view' },
+            state: {
+                [VIEW_STATE_PARAM]: encodeViewState({
+                    hidePassive: true,
+                    minInteractions: 3,
+                    transform,
+                    positions: {
+                        '003xx000004TxyZAAU': [120, 80],
+                        '003xx000004TxyAAAA': [260, 140],
+                        '006xx000001abcDEF': [400, 90]
+                    }
+                })
+            }
+        });
+        return element;
+    }
+
+    // jsdom has no PointerEvent, so pointer fields are added to a MouseEvent
+    function pointer(element, type, id, x, y, pointerType = 'touch') {
+        const event = new MouseEvent(type, { clientX: x, clientY: y, bubbles: true, cancelable: true });
+        Object.defineProperty(event, 'pointerId', { value: id });
+        Object.defineProperty(event, 'pointerType', { value: pointerType });
+        element.shadowRoot.querySelector('canvas').dispatchEvent(event);
+        return event;
+    }
+
+    // A tap as the browser delivers it: pointer events, then an emulated click
+    function tap(element, x, y) {
+        pointer(element, 'pointerdown', 1, x, y);
+        pointer(element, 'pointerup', 1, x, y);
+        element.shadowRoot.querySelector('canvas').dispatchEvent(new MouseEvent('click', { clientX: x, clientY: y }));
+    }
+
+    async function longPress(element, x, y, pointerType = 'touch') {
+        jest.useFakeTimers();
+        pointer(element, 'pointerdown', 1, x, y, pointerType);
+        jest.advanceTimersByTime(500);
+        pointer(element, 'pointerup', 1, x, y, pointerType);
+        jest.useRealTimers();
+        await flushPromises();
+    }
+
+    function detailName(element) {
+        const heading = element.shadowRoot.querySelector('.detail-panel h3');
+        return heading ? heading.textContent : null;
+    }
+
+    async function copiedView(element) {
+        element.shadowRoot.querySelector('.copy-link-button').click();
+        await flushPromises();
+        return decodeViewState(new URL(copied[copied.length - 1]).searchParams.get(VIEW_STATE_PARAM));
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        copied = [];
+        Object.defineProperty(navigator, 'clipboard', {
+            configurable: true,
+            value: { writeText: jest.fn((text) => { copied.push(text); return Promise.resolve(); }) }
+        });
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(MOCK_GRAPH_DATA);
+        getRiskHistory.mockResolvedValue(null);
+        getGraphViews.mockResolvedValue([]);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        delete navigator.clipboard;
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('keeps the browser from scrolling the page under the canvas', async () => {
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('canvas').style.touchAction).toBe('none');
+        expect(pointer(element, 'pointerdown', 1, 600, 500).defaultPrevented).toBe(true);
+        expect(pointer(element, 'pointerup', 1, 600, 500, 'mouse').defaultPrevented).toBe(false);
+    });
+
+    it('opens the detail panel on a long press and follows taps while it is open', async () => {
+        const element = openWithLayout();
+        await flushPromises();
+
+        // A tap only highlights; the emulated click does not open the panel
+        tap(element, 120, 80);
+        await flushPromises();
+        expect(detailName(element)).toBe(null);
+
+        await longPress(element, 120, 80);
+        expect(detailName(element)).toBe('Jane Doe');
+
+        tap(element, 260, 140);
+        await flushPromises();
+        expect(detailName(element)).toBe('John Smith');
+
+        tap(element, 600, 500);
+        await flushPromises();
+        expect(detailName(element)).toBe(null);
+    });
+
+    it('scales touch targets with the zoom level', async () => {
+        // At half zoom Jane is drawn at (60, 40); 15px away misses with a mouse but not a finger
+        const element = openWithLayout({ x: 0, y: 0, k: 0.5 });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('canvas').dispatchEvent(new MouseEvent('click', { clientX: 75, clientY: 40 }));
+        await flushPromises();
+        expect(detailName(element)).toBe(null);
+
+        await longPress(element, 75, 40);
+        expect(detailName(element)).toBe('Jane Doe');
+    });
+
+    it('pinches to zoom around the fingers and pans with them', async () => {
+        const element = openWithLayout();
+        await flushPromises();
+
+        // Spreading the fingers from 100 to 200px apart doubles the zoom and keeps the point
+        // under their midpoint (150, 100) under the new midpoint (200, 100)
+        pointer(element, 'pointerdown', 1, 100, 100);
+        pointer(element, 'pointerdown', 2, 200, 100);
+        pointer(element, 'pointermove', 2, 300, 100);
+        pointer(element, 'pointerup', 2, 300, 100);
+        // The remaining finger pans
+        pointer(element, 'pointermove', 1, 100, 130);
+        pointer(element, 'pointerup', 1, 100, 130);
+
+        const view = await copiedView(element);
+        expect(view.transform).toEqual({ x: -100, y: -70, k: 2 });
+        expect(detailName(element)).toBe(null);
+    });
+
+    it('drags a node with a pen and pins it, and pans from empty space', async () => {
+        const element = openWithLayout();
+        await flushPromises();
+        element.shadowRoot.querySelector('.views-button').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.unpin-all').click();
+
+        pointer(element, 'pointerdown', 7, 120, 80, 'pen');
+        pointer(element, 'pointermove', 7, 160, 110, 'pen');
+        pointer(element, 'pointerup', 7, 160, 110, 'pen');
+        pointer(element, 'pointerdown', 1, 600, 500);
+        pointer(element, 'pointermove', 1, 650, 530);
+        pointer(element, 'pointerup', 1, 650, 530);
+
+        const view = await copiedView(element);
+        expect(view.transform).toEqual({ x: 50, y: 30, k: 1 });
+
+        // Without a running simulation Jane keeps her x/y; her pin moved, so she is pinned
+        await longPress(element, 170, 110);
+        expect(detailName(element)).toBe('Jane Doe');
+        expect(element.shadowRoot.querySelector('.node-unpin')).toBeTruthy();
+    });
+});
+
+describe('large graphs', () => {
+    const ACCOUNT_ID = '001xx000003DGbYAAW';
+
+    // 8 star-shaped clusters of 30 contacts on a 4x2 grid, with one weak co-occurrence
+    // edge between neighbouring clusters
+    function largeGraph() {
+        const nodes = [];
+        const edges = [];
+        const positions = {};
+        for (let c = 0; c < 8; c++) {
+            const cx = 100 + (c % 4) * 200;
+            const cy = 150 + Math.floor(c / 4) * 300;
+            for (let i = 0; i < 30; i++) {
+                const id = 'c' + c + '_' + i;
+                nodes.push({
+                    id, name: 'Contact ' + c + '-' + i, nodeType: 'Contact',
+                    classification: 'Champion', interactionCount: i === 0 ? 60 : 5
+                });
+                const angle = (i / 30) * 2 * Math.PI;
+                positions[id] = i === 0 ? [cx, cy] : [cx + 60 * Math.cos(angle), cy + 60 * Math.sin(angle)];
+                if (i > 0) {
+                    edges.push({ source: 'c' + c + '_0', target: id, strength: 0.9, interactionCount: 10, edgeType: 'co_occurrence' });
+                }
+            }
+            if (c > 0) {
+                edges.push({ source: 'c' + (c - 1) + '_1', target: 'c' + c + '_1', strength: 0.1, interactionCount: 3, edgeType: 'co_occurrence' });
+            }
+        }
+        return {
+            data: { nodes, edges, riskAlerts: [], isTruncated: false, totalContactCount: nodes.length },
+            positions
+        };
+    }
+
+    function openWithLayout(positions, transform) {
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        CurrentPageReference.emit({
+            type: 'standard__recordPage',
+            attributes: { recordId: ACCOUNT_ID, actionName: 'view' },
+            state: { [VIEW_STATE_PARAM]: encodeViewState({ hidePassive: true, minInteractions: 3, transform, positions }) }
+        });
+        return element;
+    }
+
+    // Stand-in for the d3 force layout that resolves edge endpoints and leaves positions to the view
+    function installFakeD3() {
+        const chain = () => {
+            const force = {};
+            ['id', 'distance', 'strength', 'distanceMax', 'radius'].forEach(m => { force[m] = () => force; });
+            return force;
+        };
+        window.d3 = {
+            forceSimulation: (nodes) => {
+                const byId = new Map(nodes.map(n => [n.id, n]));
+                const sim = {
+                    force: (name, force) => {
+                        if (name === 'link') {
+                            force.links.forEach(l => {
+                                l.source = byId.get(l.source) || l.source;
+                                l.target = byId.get(l.target) || l.target;
+                            });
+                        }
+                        return sim;
+                    },
+                    alphaDecay: () => sim,
+                    alphaTarget: () => sim,
+                    alpha: () => sim,
+                    restart: () => sim,
+                    on: () => sim,
+                    stop: () => {}
+                };
+                return sim;
+            },
+            forceLink: (links) => Object.assign(chain(), { links }),
+            forceManyBody: chain,
+            forceCenter: chain,
+            forceCollide: chain
+        };
+    }
+
+    // Hovering a node and moving off it again redraws the canvas with nothing hovered
+    function redraw(element, x, y) {
+        const canvas = element.shadowRoot.querySelector('canvas');
+        canvas.dispatchEvent(new MouseEvent('mousemove', { clientX: x, clientY: y }));
+        mockCtx.fillText.mockClear();
+        mockCtx.arc.mockClear();
+        mockCtx.lineTo.mockClear();
+        strokes = [];
+        canvas.dispatchEvent(new MouseEvent('mousemove', { clientX: 799, clientY: 599 }));
+    }
+
+    function labels() {
+        return mockCtx.fillText.mock.calls.map(call => call[0]);
+    }
+
+    // Edges and bundles are told apart by stroke colour
+    const EDGE_STYLE = 'rgba(100, 100, 100, 0.3)';
+    const BUNDLE_STYLE = 'rgba(100, 100, 100, 0.35)';
+    let strokes;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(MOCK_GRAPH_DATA);
+        getRiskHistory.mockResolvedValue(null);
+        getGraphViews.mockResolvedValue([]);
+        loadScript.mockResolvedValue();
+        installFakeD3();
+        strokes = [];
+        mockCtx.stroke.mockImplementation(() => strokes.push({ style: mockCtx.strokeStyle, width: mockCtx.lineWidth }));
+    });
+
+    afterEach(() => {
+        mockCtx.stroke.mockImplementation(() => {});
+        delete window.d3;
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('finds the same boxes in the quadtree as a full scan', () => {
+        const nodes = [];
+        for (let i = 0; i < 300; i++) {
+            nodes.push({ id: 'n' + i, x: (i * 37) % 800, y: (i * 53) % 600, radius: 10 + (i % 5) });
+        }
+        nodes.push({ id: 'unplaced', x: NaN, y: NaN, radius: 10 });
+        const tree = Quadtree.fromItems(nodes, nodeBox);
+
+        for (const box of [
+            { minX: 100, minY: 100, maxX: 100, maxY: 100 },
+            { minX: 0, minY: 0, maxX: 250, maxY: 180 },
+            { minX: 390, minY: -50, maxX: 900, maxY: 20 }
+        ]) {
+            const expected = nodes.filter(n => {
+                const b = nodeBox(n);
+                return b.minX <= box.maxX && b.maxX >= box.minX && b.minY <= box.maxY && b.maxY >= box.minY;
+            });
+            const found = tree.query(box).map(entry => entry.item);
+            expect(found.map(n => n.id).sort()).toEqual(expected.map(n => n.id).sort());
+        }
+    });
+
+    it('skips nodes outside the viewport', async () => {
+        const element = openWithLayout({
+            '003xx000004TxyZAAU': [120, 80],
+            '003xx000004TxyAAAA': [260, 140],
+            '006xx000001abcDEF': [5000, 90]
+        }, { x: 0, y: 0, k: 1 });
+        await flushPromises();
+        redraw(element, 120, 80);
+
+        const circles = mockCtx.arc.mock.calls;
+        expect(circles.some(([x, y]) => x === 120 && y === 80)).toBe(true);
+        expect(circles.some(([x]) => x === 5000)).toBe(false);
+        expect(labels()).not.toContain('Test Deal');
+        // The edge to the Deal crosses the viewport, so it is still drawn
+        expect(mockCtx.lineTo).toHaveBeenCalledWith(5000, 90);
+
+        // Hit testing still finds nodes through the spatial index
+        element.shadowRoot.querySelector('canvas').dispatchEvent(new MouseEvent('click', { clientX: 260, clientY: 140 }));
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.detail-panel h3').textContent).toBe('John Smith');
+    });
+
+    it('bundles co-occurrence edges and drops small labels when zoomed out', async () => {
+        const { data, positions } = largeGraph();
+        getGraphData.mockResolvedValue(data);
+        const element = openWithLayout(positions, { x: 0, y: 0, k: 0.4 });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.stats-bar').textContent).toContain('Nodes: 240');
+        // Hub of the first cluster, drawn at (40, 60)
+        redraw(element, 40, 60);
+
+        // One bundle per pair of neighbouring clusters, a line 1px wide on screen
+        expect(strokes.filter(s => s.style === EDGE_STYLE)).toHaveLength(0);
+        const bundles = strokes.filter(s => s.style === BUNDLE_STYLE);
+        expect(bundles).toHaveLength(7);
+        expect(bundles[0].width).toBeCloseTo(1 / 0.4);
+        expect(labels().some(text => String(text).startsWith('Contact'))).toBe(false);
+    });
+
+    it('labels contact role edges like the nodes at either end', async () => {
+        const positions = {
+            '003xx000004TxyZAAU': [120, 80],
+            '003xx000004TxyAAAA': [260, 140],
+            '006xx000001abcDEF': [400, 90]
+        };
+        let element = openWithLayout(positions, { x: 0, y: 0, k: 1 });
+        await flushPromises();
+        redraw(element, 120, 80);
+
+        expect(labels()).toContain('Decision Maker');
+        const label = mockCtx.fillText.mock.calls.find(call => call[0] === 'Decision Maker');
+        expect(label[1]).toBe(260);
+
+        document.body.removeChild(element);
+        element = openWithLayout(positions, { x: 0, y: 0, k: 0.4 });
+        await flushPromises();
+        redraw(element, 120, 80);
+
+        // Too small to read, as the contact and deal names are
+        expect(labels()).not.toContain('Decision Maker');
+        expect(labels()).not.toContain('Jane Doe');
+    });
+
+    it('draws every edge and label once zoomed in', async () => {
+        const { data, positions } = largeGraph();
+        getGraphData.mockResolvedValue(data);
+        const element = openWithLayout(positions, { x: 0, y: 0, k: 1.5 });
+        await flushPromises();
+        redraw(element, 150, 225);
+
+        expect(strokes.filter(s => s.style === BUNDLE_STYLE)).toHaveLength(0);
+        expect(strokes.filter(s => s.style === EDGE_STYLE).length).toBeGreaterThan(0);
+        // Only the top-left part of the grid is in view at this zoom
+        expect(labels()).toContain('Contact 0-0');
+        expect(labels()).toContain('Contact 0-5');
+        expect(labels()).not.toContain('Contact 7-0');
+    });
+});
+
+describe('large accounts', () => {
+    const ACCOUNT_ID = '001xx000003DGbYAAW';
+    let copied;
+
+    const FIRST_PAGE = { ...MOCK_GRAPH_DATA, isTruncated: true, totalContactCount: 550, loadedContactCount: 500 };
+
+    // Last 50 contacts: Pat is new and works with Jane, who is already shown
+    const LAST_PAGE = {
+        nodes: [
+            MOCK_GRAPH_DATA.nodes[0],
+            {
+                id: '003xx000004TxyPAAU', name: 'Pat Lee', nodeType: 'Contact',
+                classification: 'Influencer', confidence: 0.6, interactionCount: 6
+            }
+        ],
+        edges: [
+            { source: '003xx000004TxyPAAU', target: '001xx000003DGbYAAW', strength: 0.3, interactionCount: 6, edgeType: 'account_relationship' },
+            { source: '003xx000004TxyPAAU', target: '003xx000004TxyZAAU', strength: 0.5, interactionCount: 4, edgeType: 'co_occurrence' }
+        ],
+        riskAlerts: [{
+            severity: 'medium', riskType: 'contact_left_company', message: 'Pat Lee has left the company',
+            contactId: '003xx000004TxyPAAU', contactName: 'Pat Lee'
+        }],
+        isTruncated: false,
+        totalContactCount: 550,
+        loadedContactCount: 550
+    };
+
+    function openWithLayout() {
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        CurrentPageReference.emit({
+            type: 'standard__recordPage',
+            attributes: { recordId: ACCOUNT_ID, actionName: 'view' },
+            state: {
+                [VIEW_STATE_PARAM]: encodeViewState({
+                    hidePassive: true,
+                    minInteractions: 3,
+                    transform: { x: 0, y: 0, k: 1 },
+                    positions: {
+                        '003xx000004TxyZAAU': [120, 80],
+                        '003xx000004TxyAAAA': [260, 140],
+                        '006xx000001abcDEF': [400, 90]
+                    }
+                })
+            }
+        });
+        return element;
+    }
+
+    function statsText(element) {
+        return element.shadowRoot.querySelector('.stats-bar').textContent;
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        copied = [];
+        Object.defineProperty(navigator, 'clipboard', {
+            configurable: true,
+            value: { writeText: jest.fn((text) => { copied.push(text); return Promise.resolve(); }) }
+        });
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(FIRST_PAGE);
+        getGraphDataPage.mockResolvedValue(LAST_PAGE);
+        getRiskHistory.mockResolvedValue(null);
+        getGraphViews.mockResolvedValue([]);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        delete navigator.clipboard;
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('offers the rest of a large account in pages', async () => {
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.truncation-warning').textContent)
+            .toBe('Showing 500 of 550 contacts');
+        const button = element.shadowRoot.querySelector('.load-more-button');
+        expect(button.label).toBe('Load next 50');
+
+        button.click();
+        await flushPromises();
+
+        expect(getGraphDataPage).toHaveBeenCalledWith(expect.objectContaining({
+            accountId: ACCOUNT_ID, hidePassive: true, minInteractions: 3, offset: 500
+        }));
+        expect(statsText(element)).toContain('Nodes: 4');
+        expect(statsText(element)).toContain('Edges: 2');
+        expect(element.shadowRoot.querySelector('.truncation-warning')).toBeNull();
+        expect(element.shadowRoot.querySelector('.load-more-button')).toBeNull();
+        // The page's alerts are for its own contacts and join the first page's
+        expect(element.shadowRoot.querySelector('.risk-alert-button').label).toBe('4 Risks');
+        expect(element.shadowRoot.querySelector('.graph-announcer').textContent)
+            .toContain('Loaded 1 more contact.');
+    });
+
+    it('keeps the layout on screen and places new contacts next to their connections', async () => {
+        const element = openWithLayout();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.load-more-button').click();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.copy-link-button').click();
+        await flushPromises();
+        const view = decodeViewState(new URL(copied[0]).searchParams.get(VIEW_STATE_PARAM));
+        expect(view.positions['003xx000004TxyZAAU']).toEqual([120, 80]);
+        expect(view.positions['003xx000004TxyAAAA']).toEqual([260, 140]);
+        const [x, y] = view.positions['003xx000004TxyPAAU'];
+        expect(Math.abs(x - 120)).toBeLessThanOrEqual(40);
+        expect(Math.abs(y - 80)).toBeLessThanOrEqual(40);
+    });
+
+    it('keeps the graph and reports an error when a page fails to load', async () => {
+        getGraphDataPage.mockRejectedValue({ body: { message: 'Too many SOQL queries' } });
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.load-more-button').click();
+        await flushPromises();
+
+        expect(ShowToastEvent).toHaveBeenCalledWith(expect.objectContaining({
+            message: expect.stringContaining('Failed to load more contacts: Too many SOQL queries'),
+            variant: 'error'
+        }));
+        expect(statsText(element)).toContain('Nodes: 3');
+        expect(element.shadowRoot.querySelector('.load-more-button').disabled).toBe(false);
+    });
+});
+
+describe('focus mode', () => {
+    const ACCOUNT_ID = '001xx000003DGbYAAW';
+    const JANE_ID = '003xx000004TxyZAAU';
+
+    // Jane works with Pat, who is passive and not loaded; Pat emails someone at a partner
+    const JANE_NEIGHBOURHOOD = {
+        nodes: [
+            MOCK_GRAPH_DATA.nodes[1],
+            {
+                id: '003xx000004TxyPAAU', name: 'Pat Lee', nodeType: 'Contact',
+                classification: 'End User', confidence: 0.4, interactionCount: 1
+            },
+            {
+                id: '003xx000004ExtAAAA', name: 'External Person', nodeType: 'External_Contact',
+                interactionCount: 3, accountName: 'Other Corp', accountId: '001xx000003OtherAA'
+            }
+        ],
+        edges: [
+            { source: JANE_ID, target: ACCOUNT_ID, strength: 0.8, interactionCount: 12, edgeType: 'account_relationship' },
+            { source: '003xx000004TxyPAAU', target: ACCOUNT_ID, strength: 0.1, interactionCount: 1, edgeType: 'account_relationship' },
+            { source: JANE_ID, target: '003xx000004TxyPAAU', strength: 0.4, interactionCount: 4, edgeType: 'co_occurrence' },
+            { source: '003xx000004ExtAAAA', target: '003xx000004TxyPAAU', strength: 0.3, interactionCount: 3, edgeType: 'cross_account' }
+        ],
+        riskAlerts: []
+    };
+
+    function openWithLayout() {
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        CurrentPageReference.emit({
+            type: 'standard__recordPage',
+            attributes: { recordId: ACCOUNT_ID, actionName: 'view' },
+            state: {
+                [VIEW_STATE_PARAM]: encodeViewState({
+                    hidePassive: true,
+                    minInteractions: 3,
+                    transform: { x: 0, y: 0, k: 1 },
+                    positions: {
+                        '003xx000004TxyZAAU': [120, 80],
+                        '003xx000004TxyAAAA': [260, 140],
+                        '006xx000001abcDEF': [400, 90]
+                    }
+                })
+            }
+        });
+        return element;
+    }
+
+    function shownNodes(element) {
+        return [...element.shadowRoot.querySelectorAll('.graph-a11y-nodes tbody tr')]
+            .map(row => row.children[0].textContent);
+    }
+
+    function announcement(element) {
+        return element.shadowRoot.querySelector('.graph-announcer').textContent;
+    }
+
+    async function focusOnJane(element) {
+        const canvas = element.shadowRoot.querySelector('canvas');
+        canvas.dispatchEvent(new MouseEvent('click', { clientX: 120, clientY: 80 }));
+        await flushPromises();
+        element.shadowRoot.querySelector('.node-focus').click();
+        await flushPromises();
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(MOCK_GRAPH_DATA);
+        getContactNeighbourhood.mockResolvedValue(JANE_NEIGHBOURHOOD);
+        getRiskHistory.mockResolvedValue(null);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        mockCtx.fill.mockImplementation(() => {});
+        mockCtx.globalAlpha = 1;
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('focuses on a node with shift-double-click and keeps only its circle on screen', async () => {
+        const element = openWithLayout();
+        await flushPromises();
+        const canvas = element.shadowRoot.querySelector('canvas');
+
+        const alphas = [];
+        mockCtx.fill.mockImplementation(() => alphas.push(mockCtx.globalAlpha));
+        mockCtx.fillText.mockClear();
+        canvas.dispatchEvent(new MouseEvent('dblclick', { clientX: 120, clientY: 80, shiftKey: true }));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.focus-bar-title').textContent).toBe('Focus: Jane Doe');
+        expect(shownNodes(element)).toEqual(['Jane Doe', 'Test Deal']);
+        expect(announcement(element)).toBe('Focused on Jane Doe: 2 nodes within 1 hop.');
+        // Jane is moved to the middle of the 800 x 600 canvas
+        expect(mockCtx.translate).toHaveBeenLastCalledWith(280, 220);
+
+        // John has no connection to Jane: drawn faintly and without a label
+        expect(alphas).toContain(0.1);
+        const labels = mockCtx.fillText.mock.calls.map(call => call[0]);
+        expect(labels).toEqual(expect.arrayContaining(['Jane Doe', 'Test Deal']));
+        expect(labels).not.toContain('John Smith');
+    });
+
+    it('expands the focused contact with neighbours fetched from the server', async () => {
+        const element = openWithLayout();
+        await flushPromises();
+        await focusOnJane(element);
+
+        const expand = element.shadowRoot.querySelector('.focus-expand');
+        expect(expand.disabled).toBe(false);
+        expand.click();
+        await flushPromises();
+
+        expect(getContactNeighbourhood).toHaveBeenCalledWith({
+            accountId: ACCOUNT_ID, contactId: JANE_ID, thresholdDays: 90
+        });
+        expect(shownNodes(element)).toEqual(['Jane Doe', 'Test Deal', 'Pat Lee']);
+        expect(announcement(element)).toBe(
+            'Added 2 nodes around Jane Doe. Focused on Jane Doe: 3 nodes within 1 hop.'
+        );
+        expect(element.shadowRoot.querySelector('.focus-expand').disabled).toBe(true);
+
+        // The partner contact is two hops out, through Pat
+        const hopButtons = [...element.shadowRoot.querySelectorAll('.focus-hop')];
+        expect(hopButtons.map(b => b.label)).toEqual(['1 hop', '2 hops', '3 hops']);
+        hopButtons[1].click();
+        await flushPromises();
+
+        expect(shownNodes(element)).toEqual(['Jane Doe', 'Test Deal', 'Pat Lee', 'External Person']);
+        expect(element.shadowRoot.querySelectorAll('.focus-hop')[1].variant).toBe('brand');
+        expect(announcement(element)).toBe('Focused on Jane Doe: 4 nodes within 2 hops.');
+    });
+
+    it('keeps the focus and reports an error when expanding fails', async () => {
+        getContactNeighbourhood.mockRejectedValue({ body: { message: 'Insufficient access' } });
+        const element = openWithLayout();
+        await flushPromises();
+        await focusOnJane(element);
+
+        element.shadowRoot.querySelector('.focus-expand').click();
+        await flushPromises();
+
+        expect(ShowToastEvent).toHaveBeenCalledWith(expect.objectContaining({
+            message: expect.stringContaining('Failed to expand Jane Doe: Insufficient access'),
+            variant: 'error'
+        }));
+        expect(shownNodes(element)).toEqual(['Jane Doe', 'Test Deal']);
+        expect(element.shadowRoot.querySelector('.focus-expand').disabled).toBe(false);
+    });
+
+    it('leaves focus mode with Escape or the close button', async () => {
+        const element = openWithLayout();
+        await flushPromises();
+        await focusOnJane(element);
+        const canvas = element.shadowRoot.querySelector('canvas');
+
+        // The first Escape closes the detail panel, the second leaves focus mode
+        const press = () => {
+            const event = new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true });
+            canvas.dispatchEvent(event);
+            return event;
+        };
+        press();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.focus-bar')).not.toBeNull();
+        expect(press().defaultPrevented).toBe(true);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.focus-bar')).toBeNull();
+        expect(shownNodes(element)).toEqual(['Jane Doe', 'John Smith', 'Test Deal']);
+        expect(announcement(element)).toMatch(/^Focus cleared\. Showing 3 nodes/);
+
+        // The view is still centred on Jane, so John is at (260 + 280, 140 + 220)
+        canvas.dispatchEvent(new MouseEvent('dblclick', { clientX: 540, clientY: 360, shiftKey: true }));
+        await flushPromises();
+        expect(shownNodes(element)).toEqual(['John Smith']);
+        element.shadowRoot.querySelector('.focus-exit').click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.focus-bar')).toBeNull();
+    });
+});
+
+describe('layouts', () => {
+    const ACCOUNT_ID = '001xx000003DGbYAAW';
+    const JANE_ID = '003xx000004TxyZAAU';
+    const JOHN_ID = '003xx000004TxyAAAA';
+    const DEAL_ID = '006xx000001abcDEF';
+    let copied;
+
+    // John reports to Jane; Jane's relationship is strong and John's weak
+    const LAYOUT_DATA = {
+        ...MOCK_GRAPH_DATA,
+        nodes: MOCK_GRAPH_DATA.nodes.map(n => {
+            if (n.id === JANE_ID) return { ...n, strength: 0.8 };
+            if (n.id === JOHN_ID) return { ...n, strength: 0.2, reportsToId: JANE_ID };
+            return n;
+        })
+    };
+
+    function openWithLayout(layout) {
+        const element = createComponent({ recordId: ACCOUNT_ID });
+        CurrentPageReference.emit({
+            type: 'standard__recordPage',
+            attributes: { recordId: ACCOUNT_ID, actionName: 'view' },
+            state: {
+                [VIEW_STATE_PARAM]: encodeViewState({
+                    hidePassive: true,
+                    minInteractions: 3,
+                    transform: { x: 0, y: 0, k: 1 },
+                    positions: {
+                        [JANE_ID]: [120, 80],
+                        [JOHN_ID]: [260, 140],
+                        [DEAL_ID]: [400, 90]
+                    },
+                    layout
+                })
+            }
+        });
+        return element;
+    }
+
+    async function selectLayout(element, value) {
+        element.shadowRoot.querySelector('.layout-menu')
+            .dispatchEvent(new CustomEvent('select', { detail: { value } }));
+        await flushPromises();
+    }
+
+    async function copiedView(element) {
+        element.shadowRoot.querySelector('.copy-link-button').click();
+        await flushPromises();
+        return decodeViewState(new URL(copied[copied.length - 1]).searchParams.get(VIEW_STATE_PARAM));
+    }
+
+    function canvasEvent(element, type, x, y) {
+        element.shadowRoot.querySelector('canvas')
+            .dispatchEvent(new MouseEvent(type, { clientX: x, clientY: y, bubbles: true }));
+    }
+
+    function drawnText() {
+        return mockCtx.fillText.mock.calls.map(call => call[0]);
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        copied = [];
+        Object.defineProperty(navigator, 'clipboard', {
+            configurable: true,
+            value: { writeText: jest.fn((text) => { copied.push(text); return Promise.resolve(); }) }
+        });
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(LAYOUT_DATA);
+        getRiskHistory.mockResolvedValue(null);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        delete navigator.clipboard;
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('draws an org chart from reporting lines, with other nodes underneath', async () => {
+        const element = openWithLayout();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.layout-menu').label).toBe('Force');
+
+        await selectLayout(element, 'orgChart');
+
+        const view = await copiedView(element);
+        expect(view.layout).toBe('orgChart');
+        const [janeX, janeY] = view.positions[JANE_ID];
+        expect(view.positions[JOHN_ID]).toEqual([janeX, janeY + 110]);
+        expect(view.positions[DEAL_ID][1]).toBeGreaterThan(janeY + 110);
+        expect(element.shadowRoot.querySelector('.layout-menu').label).toBe('Org Chart');
+        expect(element.shadowRoot.querySelector('.graph-announcer').textContent).toBe('Org Chart layout.');
+    });
+
+    it('puts contacts on rings by strength and zooms out to fit them', async () => {
+        const element = openWithLayout();
+        await flushPromises();
+        mockCtx.fillText.mockClear();
+
+        await selectLayout(element, 'radial');
+
+        const view = await copiedView(element);
+        const ring = id => Math.hypot(view.positions[id][0] - 400, view.positions[id][1] - 300);
+        expect(ring(JANE_ID)).toBeCloseTo(110, 0);
+        expect(ring(JOHN_ID)).toBeCloseTo(330, 0);
+        expect(ring(DEAL_ID)).toBeCloseTo(550, 0);
+        expect(view.transform.k).toBeLessThan(0.6);
+        // Empty bands are still drawn
+        expect(drawnText()).toEqual(expect.arrayContaining([
+            'Strong (1)', 'Medium (0)', 'Weak (1)', 'No recent activity (0)', 'Other (1)'
+        ]));
+    });
+
+    it('lays contacts out in one lane per classification, empty lanes included', async () => {
+        const element = openWithLayout();
+        await flushPromises();
+        mockCtx.fillText.mockClear();
+
+        await selectLayout(element, 'swimlanes');
+
+        const view = await copiedView(element);
+        // Champion is the first lane and Blocker the fourth; the deal goes in Other at the end
+        expect(view.positions[JOHN_ID][0] - view.positions[JANE_ID][0]).toBe(450);
+        expect(view.positions[DEAL_ID][0] - view.positions[JANE_ID][0]).toBe(1200);
+        expect(drawnText()).toEqual(expect.arrayContaining([
+            'Champion (1)', 'Economic Buyer (0)', 'Blocker (1)', 'Other (1)'
+        ]));
+    });
+
+    it('restores the layout of a shared link and keeps its pinned positions', async () => {
+        const element = openWithLayout('swimlanes');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.layout-menu').label).toBe('Swimlanes');
+        const view = await copiedView(element);
+        expect(view.positions[JANE_ID]).toEqual([120, 80]);
+        expect(view.layout).toBe('swimlanes');
+    });
+
+    it('moves only the dragged node while the layout is frozen', async () => {
+        const element = openWithLayout();
+        await flushPromises();
+
+        await selectLayout(element, 'freeze');
+        expect(element.shadowRoot.querySelector('.layout-menu').label).toBe('Force (Frozen)');
+
+        canvasEvent(element, 'mousedown', 120, 80);
+        canvasEvent(element, 'mousemove', 200, 150);
+        canvasEvent(element, 'mouseup', 200, 150);
+        await flushPromises();
+
+        const view = await copiedView(element);
+        expect(view.positions[JANE_ID]).toEqual([200, 150]);
+        expect(view.positions[JOHN_ID]).toEqual([260, 140]);
+
+        await selectLayout(element, 'freeze');
+        expect(element.shadowRoot.querySelector('.layout-menu').label).toBe('Force');
+    });
+});
+
+describe('insights', () => {
+    // Two teams that only meet through Ben, and Ivy who is only ever met alone
+    const contact = (id, name, classification, interactionCount) => ({
+        id, name, nodeType: 'Contact', classification, interactionCount
+    });
+    const meets = (source, target, interactionCount) => ({
+        source, target, strength: 0.5, interactionCount, edgeType: 'co_occurrence'
+    });
+    const INSIGHTS_DATA = {
+        nodes: [
+            { id: 'acct1', name: 'Test Corp', nodeType: 'Account', interactionCount: 0 },
+            contact('t1', 'Tara', 'Technical Buyer', 20),
+            contact('t2', 'Tom', 'Technical Buyer', 15),
+            contact('t3', 'Tia', 'End User', 10),
+            contact('f1', 'Fay', 'Economic Buyer', 20),
+            contact('f2', 'Fred', 'Economic Buyer', 15),
+            contact('f3', 'Flo', 'Influencer', 10),
+            contact('b1', 'Ben', 'Influencer', 4),
+            contact('i1', 'Ivy', 'Champion', 7)
+        ],
+        edges: [
+            meets('t1', 't2', 10), meets('t1', 't3', 10), meets('t2', 't3', 10),
+            meets('f1', 'f2', 10), meets('f1', 'f3', 10), meets('f2', 'f3', 10),
+            meets('b1', 't1', 2), meets('b1', 'f1', 2)
+        ],
+        riskAlerts: [],
+        isTruncated: false,
+        totalContactCount: 8
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(INSIGHTS_DATA);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    async function openInsights() {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+        element.shadowRoot.querySelector('.insights-button').click();
+        await flushPromises();
+        return element;
+    }
+
+    async function rankBy(element, value) {
+        element.shadowRoot.querySelector('.insights-metric')
+            .dispatchEvent(new CustomEvent('change', { detail: { value } }));
+        await flushPromises();
+        return Array.from(element.shadowRoot.querySelectorAll('.insight-item'));
+    }
+
+    it('ranks the broker between the two teams first by betweenness', async () => {
+        const element = await openInsights();
+
+        const items = Array.from(element.shadowRoot.querySelectorAll('.insight-item'));
+        // Only people on someone else's shortest path are listed
+        expect(items.map(i => i.querySelector('.insight-name').textContent)).toEqual(['Ben', 'Fay', 'Tara']);
+        // 9 of the 21 pairs of other people only connect through Ben
+        expect(items[0].querySelector('.insight-meta').textContent).toBe('Influencer · 43% of shortest paths');
+        expect(items[1].querySelector('.insight-meta').textContent).toContain('38%');
+    });
+
+    it('lists degree, brokers and isolated contacts', async () => {
+        const element = await openInsights();
+
+        const degree = await rankBy(element, 'degree');
+        expect(degree[0].querySelector('.insight-name').textContent).toBe('Fay');
+        expect(degree[0].querySelector('.insight-meta').textContent).toBe('Economic Buyer · 3 connections');
+        expect(degree.length).toBe(7);
+
+        const eigenvector = await rankBy(element, 'eigenvector');
+        expect(eigenvector[0].querySelector('.insight-meta').textContent).toContain('Score 1.00');
+        expect(eigenvector.map(i => i.querySelector('.insight-name').textContent)).not.toContain('Ivy');
+
+        const brokers = await rankBy(element, 'brokers');
+        expect(brokers.length).toBe(2);
+        expect(brokers[0].querySelector('.insight-name').textContent).toBe('Ben');
+        expect(brokers[0].querySelector('.insight-meta').textContent).toMatch(/^Influencer · Links .+ and .+$/);
+
+        const isolated = await rankBy(element, 'isolated');
+        expect(isolated.map(i => i.querySelector('.insight-name').textContent)).toEqual(['Ivy']);
+        expect(isolated[0].querySelector('.insight-meta').textContent).toBe('Champion · 7 interactions');
+    });
+
+    it('selects a ranked contact when clicked', async () => {
+        const element = await openInsights();
+
+        element.shadowRoot.querySelector('.insight-item').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.detail-panel').textContent).toContain('Ben');
+        expect(element.shadowRoot.querySelector('.insight-item').className).toContain('insight-item-selected');
+    });
+
+    it('sizes nodes by the chosen metric instead of interactions', async () => {
+        const element = await openInsights();
+        const drawnRadii = () => mockCtx.arc.mock.calls.map(call => call[2]);
+        expect(drawnRadii()).not.toContain(22);
+
+        mockCtx.arc.mockClear();
+        element.shadowRoot.querySelector('.insights-node-size')
+            .dispatchEvent(new CustomEvent('change', { detail: { value: 'betweenness' } }));
+        await flushPromises();
+
+        // Ben carries the most shortest paths; Ivy and Tom carry none
+        expect(drawnRadii()).toContain(22);
+        expect(drawnRadii().filter(r => r === 10).length).toBeGreaterThanOrEqual(2);
+        expect(element.shadowRoot.querySelector('.graph-announcer').textContent).toBe('Node size shows betweenness.');
+
+        mockCtx.arc.mockClear();
+        element.shadowRoot.querySelector('.insights-node-size')
+            .dispatchEvent(new CustomEvent('change', { detail: { value: 'interactions' } }));
+        await flushPromises();
+        expect(drawnRadii()).not.toContain(22);
+    });
+
+    it('shares the top left with the path finder', async () => {
+        const element = await openInsights();
+
+        const buttons = element.shadowRoot.querySelectorAll('lightning-button');
+        Array.from(buttons).find(b => b.label === 'Find Path').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.path-panel')).toBeTruthy();
+        expect(element.shadowRoot.querySelector('.insights-panel')).toBeNull();
+    });
+});
+
+describe('cluster editing', () => {
+    // Two teams, Ben who meets one person on each, and Ivy who is only ever met alone
+    const contact = (id, name, classification) => ({
+        id, name, nodeType: 'Contact', classification, interactionCount: 10
+    });
+    const meets = (source, target, interactionCount) => ({
+        source, target, strength: 0.5, interactionCount, edgeType: 'co_occurrence'
+    });
+    const TEAMS_DATA = {
+        nodes: [
+            { id: 'acct1', name: 'Test Corp', nodeType: 'Account', interactionCount: 0 },
+            contact('t1', 'Tara', 'Technical Buyer'),
+            contact('t2', 'Tom', 'Technical Buyer'),
+            contact('t3', 'Tia', 'End User'),
+            contact('f1', 'Fay', 'Economic Buyer'),
+            contact('f2', 'Fred', 'Economic Buyer'),
+            contact('f3', 'Flo', 'Influencer'),
+            contact('b1', 'Ben', 'Influencer'),
+            contact('i1', 'Ivy', 'Champion')
+        ],
+        edges: [
+            meets('t1', 't2', 10), meets('t1', 't3', 10), meets('t2', 't3', 10),
+            meets('f1', 'f2', 10), meets('f1', 'f3', 10), meets('f2', 'f3', 10),
+            meets('b1', 't1', 2), meets('b1', 'f1', 2)
+        ],
+        riskAlerts: [],
+        isTruncated: false,
+        totalContactCount: 8
+    };
+    const savedState = clusters => JSON.stringify({ v: 1, clusters });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(TEAMS_DATA);
+        getGraphClusters.mockResolvedValue(null);
+        saveGraphClusters.mockResolvedValue();
+        resetGraphClusters.mockResolvedValue();
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    async function openClusters() {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+        element.shadowRoot.querySelector('.edit-clusters-button').click();
+        await flushPromises();
+        return element;
+    }
+
+    const clusterRows = element => Array.from(element.shadowRoot.querySelectorAll('.cluster-item'));
+    const statsText = element => element.shadowRoot.querySelector('.stats-bar').textContent;
+    const savedClusters = () => JSON.parse(saveGraphClusters.mock.calls[0][0].clusterState).clusters;
+
+    it('detects the same clusters on every load and shows their modularity', async () => {
+        const first = await openClusters();
+        const rows = clusterRows(first).map(row => [
+            row.querySelector('.cluster-name').placeholder,
+            row.querySelector('.cluster-meta').textContent
+        ]);
+        // Ben ties between the teams and joins the one first by id; Ivy is left on her own
+        expect(rows).toEqual([['Test Corp', '4 contacts'], ['Technical Buyer group (3)', '3 contacts']]);
+        expect(first.shadowRoot.querySelector('.clusters-lone').textContent).toBe('1 contact meets no one in a cluster.');
+        expect(statsText(first)).toContain('Clusters: 3');
+        expect(statsText(first)).toContain('Modularity: 0.47');
+        expect(getGraphClusters).toHaveBeenCalledWith({ recordId: 'acct1' });
+
+        document.body.removeChild(first);
+        const second = await openClusters();
+        expect(clusterRows(second).map(row => row.querySelector('.cluster-meta').textContent))
+            .toEqual(['4 contacts', '3 contacts']);
+    });
+
+    it('applies the clusters saved for the account', async () => {
+        getGraphClusters.mockResolvedValue(savedState([
+            { key: 'k1', name: 'Platform team', contactIds: ['t1', 't2', 't3', 'b1'] },
+            { key: 'k2', name: null, contactIds: ['f1', 'f2', 'f3'] },
+            { key: 'k3', name: null, contactIds: ['i1'] }
+        ]));
+        const element = await openClusters();
+
+        const rows = clusterRows(element);
+        expect(rows[0].querySelector('.cluster-name').value).toBe('Platform team');
+        expect(rows[0].querySelector('.cluster-meta').textContent).toBe('4 contacts');
+        expect(element.shadowRoot.querySelector('.cluster-reset')).toBeTruthy();
+    });
+
+    it('saves a renamed cluster and a merge', async () => {
+        const element = await openClusters();
+
+        const name = clusterRows(element)[0].querySelector('.cluster-name');
+        name.value = 'Finance';
+        name.dispatchEvent(new CustomEvent('commit'));
+        await flushPromises();
+
+        expect(saveGraphClusters).toHaveBeenCalledTimes(1);
+        expect(saveGraphClusters.mock.calls[0][0].recordId).toBe('acct1');
+        expect(savedClusters()).toEqual([
+            { key: 'k1', name: 'Finance', contactIds: ['b1', 'f1', 'f2', 'f3'] },
+            { key: 'k2', name: null, contactIds: ['t1', 't2', 't3'] },
+            { key: 'k3', name: null, contactIds: ['i1'] }
+        ]);
+        expect(clusterRows(element)[0].querySelector('.cluster-name').value).toBe('Finance');
+        expect(element.shadowRoot.querySelector('.graph-announcer').textContent).toBe('Renamed Test Corp to Finance.');
+
+        saveGraphClusters.mockClear();
+        clusterRows(element)[1].querySelector('.cluster-merge')
+            .dispatchEvent(new CustomEvent('select', { detail: { value: 'k1' } }));
+        await flushPromises();
+
+        expect(savedClusters()).toEqual([
+            { key: 'k1', name: 'Finance', contactIds: ['b1', 'f1', 'f2', 'f3', 't1', 't2', 't3'] },
+            { key: 'k3', name: null, contactIds: ['i1'] }
+        ]);
+        expect(statsText(element)).toContain('Clusters: 2');
+    });
+
+    it('moves the selected contact to another cluster from the detail panel', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+        element.shadowRoot.querySelector('.insights-button').click();
+        await flushPromises();
+        // Ben ranks first by betweenness
+        element.shadowRoot.querySelector('.insight-item').click();
+        await flushPromises();
+
+        const picker = element.shadowRoot.querySelector('.node-cluster');
+        expect(picker.value).toBe('k1');
+        picker.dispatchEvent(new CustomEvent('change', { detail: { value: 'k2' } }));
+        await flushPromises();
+
+        expect(savedClusters()).toEqual([
+            { key: 'k1', name: null, contactIds: ['f1', 'f2', 'f3'] },
+            { key: 'k2', name: null, contactIds: ['t1', 't2', 't3', 'b1'] },
+            { key: 'k3', name: null, contactIds: ['i1'] }
+        ]);
+        expect(element.shadowRoot.querySelector('.node-cluster').value).toBe('k2');
+    });
+
+    it('splits a cluster along its communities, and only where it has some', async () => {
+        getGraphClusters.mockResolvedValue(savedState([
+            { key: 'k1', name: 'Everyone', contactIds: ['b1', 'f1', 'f2', 'f3', 't1', 't2', 't3'] },
+            { key: 'k2', name: null, contactIds: ['i1'] }
+        ]));
+        const element = await openClusters();
+
+        clusterRows(element)[0].querySelector('.cluster-split').click();
+        await flushPromises();
+
+        expect(savedClusters()).toEqual([
+            { key: 'k1', name: 'Everyone', contactIds: ['b1', 'f1', 'f2', 'f3'] },
+            { key: 'k2', name: null, contactIds: ['i1'] },
+            { key: 'k3', name: null, contactIds: ['t1', 't2', 't3'] }
+        ]);
+
+        // A team that all meet each other stays whole
+        saveGraphClusters.mockClear();
+        clusterRows(element)[1].querySelector('.cluster-split').click();
+        await flushPromises();
+
+        expect(saveGraphClusters).not.toHaveBeenCalled();
+        expect(ShowToastEvent).toHaveBeenCalledWith(
+            expect.objectContaining({ title: 'Cluster Not Split', variant: 'info' })
+        );
+    });
+
+    it('reverts an edit that fails to save, and resets to the detected clusters', async () => {
+        getGraphClusters.mockResolvedValue(savedState([
+            { key: 'k1', name: 'Platform team', contactIds: ['t1', 't2', 't3', 'b1'] },
+            { key: 'k2', name: null, contactIds: ['f1', 'f2', 'f3'] },
+            { key: 'k3', name: null, contactIds: ['i1'] }
+        ]));
+        saveGraphClusters.mockRejectedValue({ body: { message: 'Insufficient access' } });
+        const element = await openClusters();
+
+        clusterRows(element)[0].querySelector('.cluster-merge')
+            .dispatchEvent(new CustomEvent('select', { detail: { value: 'k2' } }));
+        await flushPromises();
+
+        expect(statsText(element)).toContain('Clusters: 3');
+        expect(ShowToastEvent).toHaveBeenCalledWith(
+            expect.objectContaining({ message: 'Failed to save clusters: Insufficient access', variant: 'error' })
+        );
+
+        element.shadowRoot.querySelector('.cluster-reset').click();
+        await flushPromises();
+
+        expect(resetGraphClusters).toHaveBeenCalledWith({ recordId: 'acct1' });
+        expect(clusterRows(element)[0].querySelector('.cluster-name').value).toBe('');
+        expect(element.shadowRoot.querySelector('.cluster-reset')).toBeNull();
+    });
+});
+
+describe('buying committee coverage', () => {
+    const contact = (id, name, classification, title) => ({
+        id, name, nodeType: 'Contact', classification, title, interactionCount: 5
+    });
+    const seat = (key, required, filledByIds, candidateIds) => ({
+        key, label: key.replace('_', ' '), classification: key.replace('_', ' '), required, filledByIds, candidateIds
+    });
+    const COVERAGE_DATA = {
+        nodes: [
+            contact('e1', 'Eve', 'Economic Buyer', 'CFO'),
+            contact('u1', 'Uma', 'Unknown', 'CTO'),
+            contact('u2', 'Ugo', 'Unknown', 'Head of IT')
+        ],
+        edges: [
+            { source: 'e1', target: 'u1', strength: 0.5, interactionCount: 3, edgeType: 'co_occurrence' }
+        ],
+        riskAlerts: [],
+        isTruncated: false,
+        totalContactCount: 3,
+        coverage: {
+            score: 0.25,
+            filledSeats: 1,
+            requiredSeats: 4,
+            seats: [
+                seat('Economic_Buyer', 1, ['e1'], []),
+                seat('Technical_Buyer', 2, [], ['u1', 'u2']),
+                seat('Champion', 1, [], [])
+            ]
+        }
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(COVERAGE_DATA);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    const nodeRows = element => [...element.shadowRoot.querySelectorAll('.graph-a11y-nodes tbody tr')]
+        .map(row => [...row.children].map(cell => cell.textContent));
+    const edgeTypes = element => [...element.shadowRoot.querySelectorAll('.graph-a11y-edges tbody tr')]
+        .map(row => row.children[2].textContent);
+
+    it('adds a placeholder for each open seat, linked to the suggested contacts', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.coverage-button').label).toBe('Coverage: 25%');
+        const seats = nodeRows(element).filter(row => row[1] === 'Open committee seat');
+        expect(seats.map(row => [row[0], row[4]])).toEqual([
+            ['Technical Buyer', '2'],
+            ['Technical Buyer', '2'],
+            ['Champion', '0']
+        ]);
+        expect(edgeTypes(element).filter(type => type === 'Suggested for seat')).toHaveLength(4);
+    });
+
+    it('lists the seats and reveals a suggested contact', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+        element.shadowRoot.querySelector('.coverage-button').click();
+        await flushPromises();
+
+        const panel = element.shadowRoot.querySelector('.coverage-panel');
+        expect(panel.querySelector('.coverage-summary').textContent).toBe('1 of 4 committee seats filled.');
+        const rows = [...panel.querySelectorAll('.coverage-seat')];
+        expect(rows.map(row => row.querySelector('.coverage-seat-count').textContent)).toEqual(['1/1', '0/2', '0/1']);
+        expect(rows[0].className).toBe('coverage-seat');
+        expect(rows[0].textContent).toContain('Eve');
+        expect(rows[2].textContent).toContain('No unclassified contact fits this seat.');
+
+        rows[1].querySelectorAll('.coverage-candidate')[1].click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.detail-panel h3').textContent).toBe('Ugo');
+
+        // Opening Insights takes the panel's place
+        element.shadowRoot.querySelector('.insights-button').click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.coverage-panel')).toBeNull();
+    });
+
+    it('hides the open seats on request', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+        element.shadowRoot.querySelector('.coverage-button').click();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.coverage-show-seats')
+            .dispatchEvent(new CustomEvent('change', { detail: { checked: false } }));
+        await flushPromises();
+
+        expect(nodeRows(element).map(row => row[0])).toEqual(['Eve', 'Uma', 'Ugo']);
+        expect(edgeTypes(element)).toEqual(['Co-occurrence']);
+    });
+
+    it('shows no coverage when no committee applies', async () => {
+        getGraphData.mockResolvedValue({ ...COVERAGE_DATA, coverage: null });
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.coverage-button')).toBeNull();
+        expect(nodeRows(element)).toHaveLength(3);
+    });
+});
+
+describe('account health score', () => {
+    const snapshot = score => ({
+        score, strengthScore: 50, championScore: 50, riskScore: 80, recencyScore: 100,
+        threadingScore: 0, strongChampionCount: 1, openRiskCount: 1, isSingleThreaded: true
+    });
+    const MOCK_HEALTH = {
+        current: snapshot(72),
+        points: [
+            { snapshotDate: '2026-10-01', score: 40 },
+            { snapshotDate: '2026-10-10', score: 60 },
+            { snapshotDate: '2026-10-19', score: 72 }
+        ],
+        change: 32
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sessionStorage.clear();
+        getGraphConfig.mockResolvedValue(MOCK_CONFIG);
+        getGraphData.mockResolvedValue(MOCK_GRAPH_DATA);
+        refreshGraphData.mockResolvedValue(MOCK_GRAPH_DATA);
+        getAccountHealth.mockResolvedValue(MOCK_HEALTH);
+        loadScript.mockResolvedValue();
+    });
+
+    afterEach(() => {
+        getAccountHealth.mockReset();
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('shows the score, its trend and the change in the header', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        expect(getAccountHealth).toHaveBeenCalledWith({ accountId: 'acct1' });
+        const badge = element.shadowRoot.querySelector('.health-score');
+        expect(badge.classList.contains('health-score-good')).toBe(true);
+        expect(badge.querySelector('.health-score-value').textContent).toBe('72');
+        // Scaled to 0-100, not to the series' maximum
+        expect(badge.querySelector('polyline').getAttribute('points')).toBe('0,11.8 45,8.2 90,6');
+        expect(badge.querySelector('.health-change-improving').textContent).toBe('\u25B2 32');
+        expect(badge.title).toContain('Risks: 80 (1 open)');
+        expect(badge.title).toContain('Multi-threading: 0 (single-threaded)');
+    });
+
+    it('shows only the score until there are two days of snapshots', async () => {
+        getAccountHealth.mockResolvedValue({ current: snapshot(30), points: [{ snapshotDate: '2026-10-19', score: 30 }] });
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+
+        const badge = element.shadowRoot.querySelector('.health-score');
+        expect(badge.classList.contains('health-score-poor')).toBe(true);
+        expect(badge.querySelector('.health-sparkline')).toBeNull();
+    });
+
+    it('reloads the score after a refresh', async () => {
+        const element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+        getAccountHealth.mockResolvedValue({ ...MOCK_HEALTH, current: snapshot(55), change: 15 });
+
+        const buttons = element.shadowRoot.querySelectorAll('lightning-button');
+        Array.from(buttons).find(b => b.label === 'Refresh').click();
+        await flushPromises();
+
+        expect(getAccountHealth).toHaveBeenCalledTimes(2);
+        const badge = element.shadowRoot.querySelector('.health-score');
+        expect(badge.classList.contains('health-score-fair')).toBe(true);
+        expect(badge.querySelector('.health-score-value').textContent).toBe('55');
+    });
+
+    it('hides the badge when the account has no snapshots or the call fails', async () => {
+        getAccountHealth.mockResolvedValue({ current: null, points: [] });
+        let element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.health-score')).toBeNull();
+
+        document.body.removeChild(element);
+        getAccountHealth.mockRejectedValue({ body: { message: 'No access' } });
+        element = createComponent({ recordId: 'acct1' });
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.health-score')).toBeNull();
+        expect(ShowToastEvent).not.toHaveBeenCalledWith(
+            expect.objectContaining({ title: 'Error' })
+        );
+    });
+});
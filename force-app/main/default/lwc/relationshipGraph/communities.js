@@ -0,0 +1,247 @@
+/**
+ * Clusters for the relationship graph: Louvain community detection over co-occurrence weights,
+ * and the cluster edits users save per account (Graph_Cluster_Set__c.Cluster_State__c).
+ *
+ * Louvain visits nodes in id order and breaks ties towards the lowest community, so the same
+ * graph always gives the same clusters. Saved edits then win over what was detected: contacts
+ * keep their saved cluster, and contacts new to the graph follow the rest of their community.
+ */
+
+const CLUSTER_STATE_VERSION = 1;
+const MAX_LEVELS = 20;
+// Gains closer than this are ties; they depend on the order weights were summed in
+const EPSILON = 1e-10;
+
+function degreesOf(graph) {
+    const degrees = new Map();
+    for (const [id, neighbours] of graph) {
+        let degree = 0;
+        for (const weight of neighbours.values()) degree += weight;
+        degrees.set(id, degree);
+    }
+    return degrees;
+}
+
+// One pass of local moves: each node joins the neighbouring community it adds the most modularity to
+function moveNodes(graph) {
+    const ids = [...graph.keys()].sort();
+    const community = new Map(ids.map(id => [id, id]));
+    const degrees = degreesOf(graph);
+    const totals = new Map(degrees);
+    let totalWeight = 0;
+    for (const degree of degrees.values()) totalWeight += degree;
+    if (totalWeight === 0) return { community, moved: false };
+
+    let moved = false;
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const id of ids) {
+            const current = community.get(id);
+            const degree = degrees.get(id);
+            const links = new Map();
+            for (const [neighbourId, weight] of graph.get(id)) {
+                if (neighbourId === id) continue;
+                const c = community.get(neighbourId);
+                links.set(c, (links.get(c) || 0) + weight);
+            }
+            totals.set(current, totals.get(current) - degree);
+
+            let best = current;
+            let bestGain = (links.get(current) || 0) - (totals.get(current) * degree) / totalWeight;
+            for (const c of [...links.keys()].sort()) {
+                const gain = links.get(c) - (totals.get(c) * degree) / totalWeight;
+                if (gain > bestGain + EPSILON) {
+                    best = c;
+                    bestGain = gain;
+                }
+            }
+            totals.set(best, totals.get(best) + degree);
+            if (best !== current) {
+                community.set(id, best);
+                changed = true;
+                moved = true;
+            }
+        }
+    }
+    return { community, moved };
+}
+
+// One node per community; edges inside a community become a self-loop carrying their weight
+function aggregate(graph, community) {
+    const next = new Map();
+    for (const c of community.values()) {
+        if (!next.has(c)) next.set(c, new Map());
+    }
+    for (const [id, neighbours] of graph) {
+        const from = next.get(community.get(id));
+        for (const [neighbourId, weight] of neighbours) {
+            const to = community.get(neighbourId);
+            from.set(to, (from.get(to) || 0) + weight);
+        }
+    }
+    return next;
+}
+
+/**
+ * @param {Map} graph - id → Map(neighbourId → weight), with every edge in both directions
+ * @returns {Map} id → community index; 0 is the largest community, ties broken by lowest member id
+ */
+export function louvain(graph) {
+    const membership = new Map([...graph.keys()].map(id => [id, id]));
+    let level = graph;
+    for (let i = 0; i < MAX_LEVELS; i++) {
+        const { community, moved } = moveNodes(level);
+        if (!moved) break;
+        for (const [id, superNode] of membership) {
+            membership.set(id, community.get(superNode));
+        }
+        level = aggregate(level, community);
+    }
+
+    const members = new Map();
+    for (const [id, c] of membership) {
+        if (!members.has(c)) members.set(c, []);
+        members.get(c).push(id);
+    }
+    const ordered = [...members.values()]
+        .map(ids => ids.sort())
+        .sort((a, b) => b.length - a.length || (a[0] < b[0] ? -1 : 1));
+    const result = new Map();
+    ordered.forEach((ids, index) => {
+        for (const id of ids) result.set(id, index);
+    });
+    return result;
+}
+
+/**
+ * Newman modularity of a clustering: the share of edge weight inside clusters, less what a
+ * random graph with the same degrees would put there. 0 for a graph with no edges.
+ * @param {Map} communityOf - id → cluster; ids not in it count as their own cluster
+ */
+export function modularity(graph, communityOf) {
+    const degrees = degreesOf(graph);
+    let totalWeight = 0;
+    for (const degree of degrees.values()) totalWeight += degree;
+    if (totalWeight === 0) return 0;
+
+    const clusterOf = id => (communityOf.has(id) ? communityOf.get(id) : 'self:' + id);
+    const inside = new Map();
+    const totals = new Map();
+    for (const [id, neighbours] of graph) {
+        const c = clusterOf(id);
+        totals.set(c, (totals.get(c) || 0) + degrees.get(id));
+        for (const [neighbourId, weight] of neighbours) {
+            if (clusterOf(neighbourId) === c) inside.set(c, (inside.get(c) || 0) + weight);
+        }
+    }
+    let q = 0;
+    for (const [c, total] of totals) {
+        q += (inside.get(c) || 0) / totalWeight - (total / totalWeight) ** 2;
+    }
+    return q;
+}
+
+/**
+ * Clusters to show: the saved clusters in their saved order, then detected communities no saved
+ * cluster claims. A contact keeps its saved cluster; a contact the saved state does not know joins
+ * the saved cluster most of its community is in.
+ * @param {Map} detected - contactId → community index from louvain
+ * @param {Object} saved - from parseClusterState, or null
+ * @returns {Array} [{ key, name, memberIds }] including saved clusters with no one on the graph
+ */
+export function reconcileClusters(detected, saved) {
+    const savedClusters = saved ? saved.clusters : [];
+    const clusters = savedClusters.map(c => ({ key: c.key, name: c.name, memberIds: [] }));
+    const byKey = new Map(clusters.map(c => [c.key, c]));
+    const savedKeyOf = new Map();
+    for (const c of savedClusters) {
+        for (const id of c.contactIds) savedKeyOf.set(id, c.key);
+    }
+
+    const votes = new Map(); // community → Map(key → members)
+    for (const [id, community] of detected) {
+        const key = savedKeyOf.get(id);
+        if (!key || !byKey.has(key)) continue;
+        if (!votes.has(community)) votes.set(community, new Map());
+        votes.get(community).set(key, (votes.get(community).get(key) || 0) + 1);
+    }
+    const communityKey = new Map();
+    for (const [community, counts] of votes) {
+        let bestKey = null;
+        for (const c of clusters) {
+            const count = counts.get(c.key) || 0;
+            if (count > 0 && (bestKey === null || count > counts.get(bestKey))) bestKey = c.key;
+        }
+        communityKey.set(community, bestKey);
+    }
+
+    let nextKey = parseInt(nextClusterKey(clusters).slice(1), 10);
+    const newClusters = new Map();
+    const ordered = [...detected].sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : 1));
+    for (const [id, community] of ordered) {
+        const key = byKey.has(savedKeyOf.get(id)) ? savedKeyOf.get(id) : communityKey.get(community);
+        if (key) {
+            byKey.get(key).memberIds.push(id);
+            continue;
+        }
+        if (!newClusters.has(community)) {
+            const cluster = { key: 'k' + nextKey++, name: null, memberIds: [] };
+            newClusters.set(community, cluster);
+            clusters.push(cluster);
+        }
+        newClusters.get(community).memberIds.push(id);
+    }
+    return clusters;
+}
+
+// A key no cluster in the list has: 'k' and one more than the highest number in use
+export function nextClusterKey(clusters) {
+    let next = 1;
+    for (const c of clusters) {
+        const n = parseInt(String(c.key).replace(/^k/, ''), 10);
+        if (n >= next) next = n + 1;
+    }
+    return 'k' + next;
+}
+
+/**
+ * @param {Object} state - { clusters: [{ key, name, contactIds }] }
+ * @returns {String} JSON for Graph_Cluster_Set__c.Cluster_State__c
+ */
+export function serializeClusterState(state) {
+    return JSON.stringify({
+        v: CLUSTER_STATE_VERSION,
+        clusters: state.clusters
+            .filter(c => c.contactIds.length > 0)
+            .map(c => ({ key: c.key, name: c.name || null, contactIds: c.contactIds }))
+    });
+}
+
+/**
+ * Parse JSON from serializeClusterState. Returns null for anything malformed or from a newer
+ * version, so the graph falls back to the clusters it detects.
+ */
+export function parseClusterState(json) {
+    if (!json || typeof json !== 'string') return null;
+    let raw;
+    try {
+        raw = JSON.parse(json);
+    } catch (e) {
+        return null;
+    }
+    if (!raw || raw.v !== CLUSTER_STATE_VERSION || !Array.isArray(raw.clusters)) return null;
+
+    const seenKeys = new Set();
+    const clusters = [];
+    for (const c of raw.clusters) {
+        if (!c || typeof c.key !== 'string' || seenKeys.has(c.key) || !Array.isArray(c.contactIds)) continue;
+        seenKeys.add(c.key);
+        clusters.push({
+            key: c.key,
+            name: typeof c.name === 'string' && c.name.trim() ? c.name.trim() : null,
+            contactIds: c.contactIds.filter(id => typeof id === 'string')
+        });
+    }
+    return { clusters };
+}
@@ -0,0 +1,271 @@
+/**
+ * Data export formats for the relationship graph.
+ *
+ * Every function takes a plain GraphData object (the GraphDataService.GraphData shape, with
+ * edge endpoints as node ids) so the files can be loaded into Gephi, yEd or a notebook for
+ * analysis outside Salesforce.
+ */
+
+// GraphDataService.GraphNode fields, in declaration order
+const GRAPH_NODE_FIELDS = [
+    'id', 'name', 'nodeType', 'classification', 'title', 'interactionCount', 'coOccurrenceCount',
+    'confidence', 'email', 'amount', 'closeDate', 'strengthReason', 'lastInteractionDate',
+    'lastMeetingDate', 'strength', 'strengthFactors', 'classificationReasons', 'isUserOverride',
+    'providerVotes', 'accountName', 'accountId', 'hasMovedCompany', 'previousCompany',
+    'previousCompanyId', 'movedInfo', 'hierarchyLevel', 'isHierarchyAccount'
+];
+
+// GraphDataService.GraphEdge fields
+const GRAPH_EDGE_FIELDS = ['source', 'target', 'strength', 'interactionCount', 'edgeType', 'label'];
+
+// Placeholders the component adds to the canvas: empty committee seats with their candidate
+// links, and the companies moved contacts went to. The moved contact keeps previousCompany.
+const SYNTHETIC_NODE_TYPES = new Set(['Committee_Seat', 'Moved_To_Company']);
+const SYNTHETIC_EDGE_TYPES = new Set(['seat_candidate', 'moved_to']);
+
+// GraphDataService.RiskAlert fields
+const RISK_ALERT_FIELDS = ['severity', 'riskType', 'message', 'contactId', 'contactName'];
+
+// Columns written to CSV and declared as GraphML/GEXF attributes
+const NODE_COLUMNS = [
+    { name: 'id', type: 'string' },
+    { name: 'name', type: 'string' },
+    { name: 'nodeType', type: 'string' },
+    { name: 'classification', type: 'string' },
+    { name: 'title', type: 'string' },
+    { name: 'accountName', type: 'string' },
+    { name: 'strength', type: 'double' },
+    { name: 'interactionCount', type: 'int' },
+    { name: 'coOccurrenceCount', type: 'int' },
+    { name: 'confidence', type: 'double' },
+    { name: 'isUserOverride', type: 'boolean' },
+    { name: 'clusterId', type: 'int' },
+    { name: 'riskSeverity', type: 'string' },
+    { name: 'strengthFactors', type: 'string', value: n => formatFactors(n.strengthFactors) },
+    { name: 'lastInteractionDate', type: 'string' }
+];
+
+const EDGE_COLUMNS = [
+    { name: 'source', type: 'string' },
+    { name: 'target', type: 'string' },
+    { name: 'edgeType', type: 'string' },
+    { name: 'label', type: 'string' },
+    { name: 'strength', type: 'double' },
+    { name: 'interactionCount', type: 'int' }
+];
+
+const GEXF_TYPES = { string: 'string', double: 'double', int: 'integer', boolean: 'boolean' };
+
+function pick(source, fields) {
+    const out = {};
+    for (const field of fields) {
+        if (source[field] !== undefined) out[field] = source[field];
+    }
+    return out;
+}
+
+function endpointId(endpoint) {
+    return endpoint && typeof endpoint === 'object' ? endpoint.id : endpoint;
+}
+
+// "Meetings: 0.42; Emails Received: 0.18" — readable in a spreadsheet cell
+function formatFactors(factors) {
+    if (!Array.isArray(factors) || factors.length === 0) return null;
+    return factors
+        .map(f => f.name + ': ' + (f.contribution != null ? Math.round(f.contribution * 1000) / 1000 : 0))
+        .join('; ');
+}
+
+function columnValue(column, row) {
+    const value = column.value ? column.value(row) : row[column.name];
+    return value === undefined ? null : value;
+}
+
+function escapeCsv(value) {
+    if (value == null) return '';
+    let str = String(value);
+    // Keep spreadsheets from evaluating names such as "=HYPERLINK(...)" as formulas
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = '\'' + str;
+    return /[",\n\r]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.map(c => c.name).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(c => escapeCsv(columnValue(c, row))).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build a GraphData object from the component's D3 nodes and edges.
+ * D3 state (positions, velocities, colours) is dropped, edge endpoints are reduced to ids,
+ * and each node gains its clusterId and riskSeverity. Synthetic seat and moved-company
+ * nodes and edges are left out, so the file holds only what GraphDataService returned.
+ */
+export function buildGraphData(nodes, edges, options = {}) {
+    const riskSeverity = options.riskSeverity || new Map();
+    const exportedNodes = nodes.filter(n => !SYNTHETIC_NODE_TYPES.has(n.nodeType)).map(n => ({
+        ...pick(n, GRAPH_NODE_FIELDS),
+        clusterId: n.clusterId != null && n.clusterId >= 0 ? n.clusterId : null,
+        riskSeverity: riskSeverity.get(n.id) || null
+    }));
+
+    const nodeIds = new Set(exportedNodes.map(n => n.id));
+    const exportedEdges = [];
+    for (const e of edges) {
+        const source = endpointId(e.source);
+        const target = endpointId(e.target);
+        if (SYNTHETIC_EDGE_TYPES.has(e.edgeType) || !nodeIds.has(source) || !nodeIds.has(target)) continue;
+        exportedEdges.push({ ...pick(e, GRAPH_EDGE_FIELDS), source, target });
+    }
+
+    return {
+        nodes: exportedNodes,
+        edges: exportedEdges,
+        isTruncated: !!options.isTruncated,
+        totalContactCount: options.totalContactCount || 0,
+        riskAlerts: (options.riskAlerts || [])
+            .filter(a => !a.contactId || nodeIds.has(a.contactId))
+            .map(a => pick(a, RISK_ALERT_FIELDS)),
+        warnings: options.warnings || []
+    };
+}
+
+export function toJson(graph) {
+    return JSON.stringify(graph, null, 2);
+}
+
+/**
+ * One CSV per sheet. Edge rows also carry the endpoint names so the file reads on its own.
+ */
+export function toCsvSheets(graph) {
+    const names = new Map(graph.nodes.map(n => [n.id, n.name]));
+    const edgeColumns = [
+        ...EDGE_COLUMNS.slice(0, 2),
+        { name: 'sourceName', type: 'string', value: e => names.get(e.source) },
+        { name: 'targetName', type: 'string', value: e => names.get(e.target) },
+        ...EDGE_COLUMNS.slice(2)
+    ];
+    return {
+        nodes: toCsv(NODE_COLUMNS, graph.nodes),
+        edges: toCsv(edgeColumns, graph.edges)
+    };
+}
+
+/**
+ * GraphML for yEd and Gephi. Edge strength is written as "weight", the attribute both
+ * tools use for weighted layouts and centrality.
+ */
+export function toGraphMl(graph) {
+    const nodeColumns = NODE_COLUMNS.filter(c => c.name !== 'id');
+    const edgeColumns = EDGE_COLUMNS.filter(c => c.name !== 'source' && c.name !== 'target');
+    const keyId = (prefix, column) => prefix + '_' + column.name;
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"'
+            + ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"'
+            + ' xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns'
+            + ' http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">'
+    ];
+    for (const column of nodeColumns) {
+        lines.push(`  <key id="${keyId('n', column)}" for="node" attr.name="${column.name}" attr.type="${column.type}"/>`);
+    }
+    for (const column of edgeColumns) {
+        const name = column.name === 'strength' ? 'weight' : column.name;
+        lines.push(`  <key id="${keyId('e', column)}" for="edge" attr.name="${name}" attr.type="${column.type}"/>`);
+    }
+    lines.push('  <graph id="G" edgedefault="undirected">');
+
+    const dataLines = (prefix, columns, row) => {
+        const out = [];
+        for (const column of columns) {
+            const value = columnValue(column, row);
+            if (value == null) continue;
+            out.push(`      <data key="${keyId(prefix, column)}">${escapeXml(value)}</data>`);
+        }
+        return out;
+    };
+
+    for (const node of graph.nodes) {
+        lines.push(`    <node id="${escapeXml(node.id)}">`, ...dataLines('n', nodeColumns, node), '    </node>');
+    }
+    graph.edges.forEach((edge, idx) => {
+        lines.push(
+            `    <edge id="e${idx}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`,
+            ...dataLines('e', edgeColumns, edge),
+            '    </edge>'
+        );
+    });
+
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * GEXF 1.3 for Gephi. Node names become labels and edge strength the native edge weight.
+ */
+export function toGexf(graph, title) {
+    const nodeColumns = NODE_COLUMNS.filter(c => c.name !== 'id' && c.name !== 'name');
+    const edgeColumns = EDGE_COLUMNS.filter(c => !['source', 'target', 'strength'].includes(c.name));
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+        `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+        '    <creator>Salesforce Relationship Graph</creator>',
+        `    <description>${escapeXml(title || 'Relationship Graph')}</description>`,
+        '  </meta>',
+        '  <graph mode="static" defaultedgetype="undirected">'
+    ];
+
+    const declare = (cls, columns) => {
+        lines.push(`    <attributes class="${cls}">`);
+        columns.forEach((column, idx) => {
+            lines.push(`      <attribute id="${idx}" title="${column.name}" type="${GEXF_TYPES[column.type]}"/>`);
+        });
+        lines.push('    </attributes>');
+    };
+    declare('node', nodeColumns);
+    declare('edge', edgeColumns);
+
+    const attValues = (columns, row) => {
+        const out = [];
+        columns.forEach((column, idx) => {
+            const value = columnValue(column, row);
+            if (value == null) return;
+            out.push(`          <attvalue for="${idx}" value="${escapeXml(value)}"/>`);
+        });
+        return out.length > 0 ? ['        <attvalues>', ...out, '        </attvalues>'] : [];
+    };
+
+    lines.push('    <nodes>');
+    for (const node of graph.nodes) {
+        lines.push(
+            `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.name || node.id)}">`,
+            ...attValues(nodeColumns, node),
+            '      </node>'
+        );
+    }
+    lines.push('    </nodes>', '    <edges>');
+    graph.edges.forEach((edge, idx) => {
+        const weight = edge.strength != null ? ` weight="${edge.strength}"` : '';
+        lines.push(
+            `      <edge id="${idx}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}"${weight}>`,
+            ...attValues(edgeColumns, edge),
+            '      </edge>'
+        );
+    });
+    lines.push('    </edges>', '  </graph>', '</gexf>');
+    return lines.join('\n') + '\n';
+}
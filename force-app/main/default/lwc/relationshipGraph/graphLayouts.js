@@ -0,0 +1,249 @@
+/**
+ * Fixed layouts for the relationship graph: an org chart from Contact.ReportsToId, rings by
+ * relationship strength, and swimlanes by classification.
+ *
+ * Each layout returns a target position per node id, centred on the given point, the guides
+ * drawn behind the nodes (reporting lines, rings, lanes) and the box they all fit in. The
+ * component moves nodes to their targets; the layouts themselves never touch the nodes.
+ */
+
+const TREE_X_GAP = 90;
+const TREE_Y_GAP = 110;
+const MIN_TREE_ROW = 8; // nodes per row for contacts outside any reporting line
+
+const RING_GAP = 110;
+const RING_NODE_SPACING = 50;
+
+const LANE_WIDTH = 150;
+const LANE_HEADER = 50;
+const LANE_ROW_GAP = 60;
+
+// Rings from the centre outwards; contacts with no recent activity have no strength
+export const STRENGTH_BANDS = [
+    { label: 'Strong', min: 0.6 },
+    { label: 'Medium', min: 0.3 },
+    { label: 'Weak', min: Number.MIN_VALUE },
+    { label: 'No recent activity', min: -Infinity }
+];
+
+function byName(a, b) {
+    return (a.name || '').localeCompare(b.name || '');
+}
+
+function bounds(points) {
+    const b = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (const p of points) {
+        b.minX = Math.min(b.minX, p.x);
+        b.minY = Math.min(b.minY, p.y);
+        b.maxX = Math.max(b.maxX, p.x);
+        b.maxY = Math.max(b.maxY, p.y);
+    }
+    return Number.isFinite(b.minX) ? b : { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+}
+
+// Moves positions built around their own origin so their bounding box is centred on center
+function centre(positions, center) {
+    const b = bounds(positions.values());
+    const dx = center.x - (b.minX + b.maxX) / 2;
+    const dy = center.y - (b.minY + b.maxY) / 2;
+    for (const p of positions.values()) {
+        p.x += dx;
+        p.y += dy;
+    }
+}
+
+/**
+ * Contacts as reporting trees, managers above their reports, biggest trees first. Contacts
+ * with no manager or reports on the graph, and every other node, fill rows underneath.
+ * @returns {Object} { positions: Map id → {x, y}, guides: { reportingLines: [[managerId, reportId]] }, bounds }
+ */
+export function orgChartLayout(nodes, center) {
+    const contacts = nodes.filter(n => n.nodeType === 'Contact');
+    const contactIds = new Set(contacts.map(n => n.id));
+    const reports = new Map();
+    for (const node of contacts) {
+        const managerId = node.reportsToId;
+        if (!managerId || managerId === node.id || !contactIds.has(managerId)) continue;
+        if (!reports.has(managerId)) reports.set(managerId, []);
+        reports.get(managerId).push(node);
+    }
+
+    const positions = new Map();
+    const reportingLines = [];
+    const placed = new Set();
+    let nextX = 0;
+    let maxDepth = -1;
+
+    // Leaves take the next free column; a manager sits above the middle of their reports
+    const place = (node, depth) => {
+        placed.add(node.id);
+        maxDepth = Math.max(maxDepth, depth);
+        const children = (reports.get(node.id) || []).filter(child => !placed.has(child.id)).sort(byName);
+        let x;
+        if (children.length === 0) {
+            x = nextX;
+            nextX += TREE_X_GAP;
+        } else {
+            const xs = [];
+            for (const child of children) {
+                if (placed.has(child.id)) continue;
+                reportingLines.push([node.id, child.id]);
+                xs.push(place(child, depth + 1));
+            }
+            x = (xs[0] + xs[xs.length - 1]) / 2;
+        }
+        positions.set(node.id, { x, y: depth * TREE_Y_GAP });
+        return x;
+    };
+
+    const treeSize = (node, seen = new Set()) => {
+        seen.add(node.id);
+        for (const child of reports.get(node.id) || []) {
+            if (!seen.has(child.id)) treeSize(child, seen);
+        }
+        return seen.size;
+    };
+
+    const hasManager = node => node.reportsToId && node.reportsToId !== node.id && contactIds.has(node.reportsToId);
+    const tops = contacts
+        .filter(n => !hasManager(n) && reports.has(n.id))
+        .map(node => ({ node, size: treeSize(node) }))
+        .sort((a, b) => b.size - a.size || byName(a.node, b.node));
+    for (const { node } of tops) {
+        place(node, 0);
+    }
+    // Reporting cycles have no top; start each from its first contact by name
+    for (const node of contacts.filter(n => !placed.has(n.id) && reports.has(n.id)).sort(byName)) {
+        if (!placed.has(node.id)) place(node, 0);
+    }
+
+    const rest = [
+        ...contacts.filter(n => !placed.has(n.id)).sort(byName),
+        ...nodes.filter(n => n.nodeType !== 'Contact')
+    ];
+    const perRow = Math.max(MIN_TREE_ROW, Math.round(nextX / TREE_X_GAP));
+    const top = (maxDepth + 1) * TREE_Y_GAP + (maxDepth >= 0 ? TREE_Y_GAP / 2 : 0);
+    rest.forEach((node, i) => {
+        positions.set(node.id, {
+            x: (i % perRow) * TREE_X_GAP,
+            y: top + Math.floor(i / perRow) * TREE_Y_GAP
+        });
+    });
+
+    centre(positions, center);
+    return { positions, guides: { reportingLines }, bounds: bounds(positions.values()) };
+}
+
+/**
+ * Contacts on rings by strength band, strongest innermost, with the centre node (the account
+ * or the deal, when shown) in the middle and everything else on an outer ring. Contacts in the
+ * same cluster sit next to each other on their ring.
+ * @returns {Object} { positions, guides: { cx, cy, rings: [{ radius, label, count }] }, bounds }
+ */
+export function radialLayout(nodes, centerId, center) {
+    const bands = STRENGTH_BANDS.map(band => ({ label: band.label, nodes: [] }));
+    const other = { label: 'Other', nodes: [] };
+    const positions = new Map();
+    for (const node of nodes) {
+        if (node.id === centerId) {
+            positions.set(node.id, { x: center.x, y: center.y });
+        } else if (node.nodeType === 'Contact') {
+            const strength = node.strength || 0;
+            bands[STRENGTH_BANDS.findIndex(band => strength >= band.min)].nodes.push(node);
+        } else {
+            other.nodes.push(node);
+        }
+    }
+
+    const rings = other.nodes.length > 0 ? [...bands, other] : bands;
+    const guides = { cx: center.x, cy: center.y, rings: [] };
+    let radius = 0;
+    rings.forEach((ring, ringIndex) => {
+        // Rings grow to fit their nodes, and every ring is drawn so an empty band stands out
+        radius = Math.max(radius + RING_GAP, (ring.nodes.length * RING_NODE_SPACING) / (2 * Math.PI));
+        guides.rings.push({ radius, label: ring.label, count: ring.nodes.length });
+
+        const members = [...ring.nodes].sort((a, b) => {
+            const ca = a.clusterId != null && a.clusterId >= 0 ? a.clusterId : Infinity;
+            const cb = b.clusterId != null && b.clusterId >= 0 ? b.clusterId : Infinity;
+            return ca - cb || byName(a, b);
+        });
+        // Alternate rings start half a step round so their nodes do not line up
+        const step = (2 * Math.PI) / Math.max(1, members.length);
+        const offset = -Math.PI / 2 + (ringIndex % 2) * step / 2;
+        members.forEach((node, i) => {
+            positions.set(node.id, {
+                x: center.x + radius * Math.cos(offset + i * step),
+                y: center.y + radius * Math.sin(offset + i * step)
+            });
+        });
+    });
+    return {
+        positions,
+        guides,
+        bounds: { minX: center.x - radius, minY: center.y - radius, maxX: center.x + radius, maxY: center.y + radius }
+    };
+}
+
+/**
+ * One column per classification in the given order, strongest contacts at the top, then
+ * columns for classifications not in the list and an Other column for non-contact nodes.
+ * Empty lanes are kept, so a missing Economic Buyer shows as an empty column.
+ * @returns {Object} { positions, guides: { top, bottom, lanes: [{ label, x, width, count }] }, bounds }
+ */
+export function swimlaneLayout(nodes, classifications, center) {
+    const lanes = classifications.map(label => ({ label, nodes: [] }));
+    const laneByLabel = new Map(lanes.map(lane => [lane.label, lane]));
+    const other = { label: 'Other', nodes: [] };
+    for (const node of nodes) {
+        if (node.nodeType !== 'Contact') {
+            other.nodes.push(node);
+            continue;
+        }
+        const label = node.classification || 'Unknown';
+        if (!laneByLabel.has(label)) {
+            const lane = { label, nodes: [] };
+            laneByLabel.set(label, lane);
+            lanes.push(lane);
+        }
+        laneByLabel.get(label).nodes.push(node);
+    }
+    if (other.nodes.length > 0) lanes.push(other);
+
+    const positions = new Map();
+    let tallest = 0;
+    lanes.forEach((lane, laneIndex) => {
+        const members = [...lane.nodes].sort((a, b) => (b.strength || 0) - (a.strength || 0) || byName(a, b));
+        members.forEach((node, i) => {
+            positions.set(node.id, {
+                x: laneIndex * LANE_WIDTH + LANE_WIDTH / 2,
+                y: LANE_HEADER + i * LANE_ROW_GAP + LANE_ROW_GAP / 2
+            });
+        });
+        tallest = Math.max(tallest, members.length);
+    });
+
+    // Centre on the lanes, not just the nodes in them
+    const width = lanes.length * LANE_WIDTH;
+    const height = LANE_HEADER + Math.max(1, tallest) * LANE_ROW_GAP;
+    const dx = center.x - width / 2;
+    const dy = center.y - height / 2;
+    for (const p of positions.values()) {
+        p.x += dx;
+        p.y += dy;
+    }
+    return {
+        positions,
+        guides: {
+            top: dy,
+            bottom: dy + height,
+            lanes: lanes.map((lane, i) => ({
+                label: lane.label,
+                x: dx + i * LANE_WIDTH,
+                width: LANE_WIDTH,
+                count: lane.nodes.length
+            }))
+        },
+        bounds: { minX: dx, minY: dy, maxX: dx + width, maxY: dy + height }
+    };
+}
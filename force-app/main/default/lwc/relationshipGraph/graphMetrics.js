@@ -0,0 +1,171 @@
+/**
+ * Network metrics for the Insights panel: degree, betweenness and eigenvector centrality,
+ * brokers between clusters, and contacts nobody meets with.
+ *
+ * Metrics run over the people in the graph and the edges between them (co-occurrence, and
+ * cross-account edges to external contacts). Edges to the account and opportunities are left
+ * out, since every contact hangs off those and they would sit at the centre of everything.
+ */
+
+const METRIC_NODE_TYPES = ['Contact', 'External_Contact'];
+const METRIC_EDGE_TYPES = ['co_occurrence', 'cross_account'];
+
+const EIGENVECTOR_ITERATIONS = 100;
+const EIGENVECTOR_TOLERANCE = 1e-6;
+
+function endpointId(end) {
+    return typeof end === 'object' ? end.id : end;
+}
+
+/**
+ * Undirected weighted graph of the people in the graph. Parallel edges between the same pair
+ * add up; every person is included, even with no edges.
+ * @returns {Map} id → Map(neighbourId → interaction weight)
+ */
+export function buildMetricGraph(nodes, edges) {
+    const graph = new Map();
+    for (const node of nodes) {
+        if (METRIC_NODE_TYPES.includes(node.nodeType)) graph.set(node.id, new Map());
+    }
+    for (const edge of edges) {
+        if (!METRIC_EDGE_TYPES.includes(edge.edgeType)) continue;
+        const sId = endpointId(edge.source);
+        const tId = endpointId(edge.target);
+        if (sId === tId || !graph.has(sId) || !graph.has(tId)) continue;
+        const weight = edge.interactionCount || 1;
+        graph.get(sId).set(tId, (graph.get(sId).get(tId) || 0) + weight);
+        graph.get(tId).set(sId, (graph.get(tId).get(sId) || 0) + weight);
+    }
+    return graph;
+}
+
+/**
+ * @returns {Map} id → number of people the node is connected to
+ */
+export function degreeCentrality(graph) {
+    const degrees = new Map();
+    for (const [id, neighbours] of graph) {
+        degrees.set(id, neighbours.size);
+    }
+    return degrees;
+}
+
+/**
+ * Brandes' algorithm over hops (interaction weights are ignored, so a single meeting counts
+ * as a connection).
+ * @returns {Map} id → share of the shortest paths between other pairs that pass through it, 0-1
+ */
+export function betweennessCentrality(graph) {
+    const scores = new Map([...graph.keys()].map(id => [id, 0]));
+    for (const sourceId of graph.keys()) {
+        const order = [];
+        const predecessors = new Map();
+        const pathCounts = new Map([[sourceId, 1]]);
+        const distances = new Map([[sourceId, 0]]);
+        const queue = [sourceId];
+        for (let head = 0; head < queue.length; head++) {
+            const id = queue[head];
+            order.push(id);
+            for (const neighbourId of graph.get(id).keys()) {
+                if (!distances.has(neighbourId)) {
+                    distances.set(neighbourId, distances.get(id) + 1);
+                    queue.push(neighbourId);
+                }
+                if (distances.get(neighbourId) === distances.get(id) + 1) {
+                    pathCounts.set(neighbourId, (pathCounts.get(neighbourId) || 0) + pathCounts.get(id));
+                    if (!predecessors.has(neighbourId)) predecessors.set(neighbourId, []);
+                    predecessors.get(neighbourId).push(id);
+                }
+            }
+        }
+
+        // Walk back from the farthest nodes, handing each node's share to its predecessors
+        const dependency = new Map();
+        for (let i = order.length - 1; i >= 0; i--) {
+            const id = order[i];
+            const share = (1 + (dependency.get(id) || 0)) / pathCounts.get(id);
+            for (const predecessorId of predecessors.get(id) || []) {
+                const carried = pathCounts.get(predecessorId) * share;
+                dependency.set(predecessorId, (dependency.get(predecessorId) || 0) + carried);
+            }
+            if (id !== sourceId) scores.set(id, scores.get(id) + (dependency.get(id) || 0));
+        }
+    }
+
+    // Every pair was counted from both ends
+    const pairs = ((graph.size - 1) * (graph.size - 2)) / 2;
+    for (const [id, score] of scores) {
+        scores.set(id, pairs > 0 ? score / 2 / pairs : 0);
+    }
+    return scores;
+}
+
+/**
+ * Power iteration weighted by interactions, so being close to well-connected people counts
+ * for more than many weak ties. Iterates on A + I, which converges on two-sided graphs too.
+ * @returns {Map} id → score, 1 for the most central person and 0 for people with no edges
+ */
+export function eigenvectorCentrality(graph) {
+    let scores = new Map([...graph.keys()].map(id => [id, 1]));
+    const hasEdges = [...graph.values()].some(neighbours => neighbours.size > 0);
+    if (!hasEdges) return new Map([...graph.keys()].map(id => [id, 0]));
+
+    for (let iter = 0; iter < EIGENVECTOR_ITERATIONS; iter++) {
+        const next = new Map();
+        let max = 0;
+        for (const [id, neighbours] of graph) {
+            let sum = scores.get(id);
+            for (const [neighbourId, weight] of neighbours) {
+                sum += weight * scores.get(neighbourId);
+            }
+            next.set(id, sum);
+            max = Math.max(max, sum);
+        }
+        let change = 0;
+        for (const [id, value] of next) {
+            next.set(id, value / max);
+            change = Math.max(change, Math.abs(value / max - scores.get(id)));
+        }
+        scores = next;
+        if (change < EIGENVECTOR_TOLERANCE) break;
+    }
+    // The identity keeps a little of everyone's starting score; people who meet no one have none
+    for (const [id, neighbours] of graph) {
+        if (neighbours.size === 0) scores.set(id, 0);
+    }
+    return scores;
+}
+
+/**
+ * People connected to more than one cluster: their own and those of the people they meet.
+ * @param {Map} clusterOf - id → cluster id, for clustered contacts only
+ * @returns {Array} [{ id, clusterIds }] with the node's own cluster first; unsorted
+ */
+export function findBrokers(graph, clusterOf) {
+    const brokers = [];
+    for (const [id, neighbours] of graph) {
+        if (!clusterOf.has(id)) continue;
+        const clusterIds = [clusterOf.get(id)];
+        for (const neighbourId of neighbours.keys()) {
+            const clusterId = clusterOf.get(neighbourId);
+            if (clusterId != null && !clusterIds.includes(clusterId)) clusterIds.push(clusterId);
+        }
+        if (clusterIds.length > 1) brokers.push({ id, clusterIds });
+    }
+    return brokers;
+}
+
+/**
+ * Contacts with no co-occurrence edges: they are engaged on their own, never alongside
+ * anyone else at the account.
+ * @returns {Array} the isolated Contact nodes
+ */
+export function findIsolatedContacts(nodes, edges) {
+    const connected = new Set();
+    for (const edge of edges) {
+        if (edge.edgeType !== 'co_occurrence') continue;
+        connected.add(endpointId(edge.source));
+        connected.add(endpointId(edge.target));
+    }
+    return nodes.filter(n => n.nodeType === 'Contact' && !connected.has(n.id));
+}
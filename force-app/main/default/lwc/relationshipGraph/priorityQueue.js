@@ -0,0 +1,54 @@
+/**
+ * Binary min-heap keyed by a number, for the path finder's Dijkstra searches.
+ *
+ * Paging lets an account graph grow to thousands of contacts, and the ranked path search runs
+ * several searches each time the graph changes, so the closest node is popped in O(log n)
+ * rather than found by scanning the whole frontier.
+ */
+
+export class PriorityQueue {
+    constructor() {
+        this.heap = [];
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    push(item, priority) {
+        const heap = this.heap;
+        heap.push({ item, priority });
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].priority <= heap[i].priority) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    }
+
+    /**
+     * @returns the item with the lowest priority, or undefined when empty
+     */
+    pop() {
+        const heap = this.heap;
+        if (heap.length === 0) return undefined;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && heap[left].priority < heap[smallest].priority) smallest = left;
+                if (right < heap.length && heap[right].priority < heap[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top.item;
+    }
+}
@@ -1,5 +1,5 @@
-import { LightningElement, api } from 'lwc';
-import { NavigationMixin } from 'lightning/navigation';
+import { LightningElement, api, wire } from 'lwc';
+import { NavigationMixin, CurrentPageReference } from 'lightning/navigation';
 import { loadScript } from 'lightning/platformResourceLoader';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import D3 from '@salesforce/resourceUrl/d3';
@@ -7,6 +7,38 @@ import getGraphData from '@salesforce/apex/RelationshipGraphController.getGraphD
 import refreshGraphData from '@salesforce/apex/RelationshipGraphController.refreshGraphData';
 import getGraphConfig from '@salesforce/apex/RelationshipGraphController.getGraphConfig';
 import overrideClassification from '@salesforce/apex/RelationshipGraphController.overrideClassification';
+import revertClassification from '@salesforce/apex/RelationshipGraphController.revertClassification';
+import getOverrideHistory from '@salesforce/apex/RelationshipGraphController.getOverrideHistory';
+import getPendingOverrides from '@salesforce/apex/RelationshipGraphController.getPendingOverrides';
+import reviewOverride from '@salesforce/apex/RelationshipGraphController.reviewOverride';
+import getTimelineData from '@salesforce/apex/RelationshipGraphController.getTimelineData';
+import getRiskHistory from '@salesforce/apex/RelationshipGraphController.getRiskHistory';
+import getAccountHealth from '@salesforce/apex/RelationshipGraphController.getAccountHealth';
+import getPortfolioGraphData from '@salesforce/apex/RelationshipGraphController.getPortfolioGraphData';
+import getAccountListViews from '@salesforce/apex/RelationshipGraphController.getAccountListViews';
+import getOpportunityGraphData from '@salesforce/apex/RelationshipGraphController.getOpportunityGraphData';
+import getGraphDataPage from '@salesforce/apex/RelationshipGraphController.getGraphDataPage';
+import getContactNeighbourhood from '@salesforce/apex/RelationshipGraphController.getContactNeighbourhood';
+import saveGraphView from '@salesforce/apex/RelationshipGraphController.saveGraphView';
+import getGraphViews from '@salesforce/apex/RelationshipGraphController.getGraphViews';
+import deleteGraphView from '@salesforce/apex/RelationshipGraphController.deleteGraphView';
+import getGraphClusters from '@salesforce/apex/RelationshipGraphController.getGraphClusters';
+import saveGraphClusters from '@salesforce/apex/RelationshipGraphController.saveGraphClusters';
+import resetGraphClusters from '@salesforce/apex/RelationshipGraphController.resetGraphClusters';
+import { SvgContext, PdfDocument } from './vectorExport';
+import { buildGraphData, toCsvSheets, toJson, toGraphMl, toGexf } from './dataExport';
+import { Quadtree, nodeBox, edgeBox, overlaps } from './spatialIndex';
+import { PriorityQueue } from './priorityQueue';
+import { orgChartLayout, radialLayout, swimlaneLayout } from './graphLayouts';
+import {
+    buildMetricGraph, degreeCentrality, betweennessCentrality, eigenvectorCentrality, findBrokers, findIsolatedContacts
+} from './graphMetrics';
+import {
+    louvain, modularity, reconcileClusters, nextClusterKey, serializeClusterState, parseClusterState
+} from './communities';
+import {
+    VIEW_STATE_PARAM, encodeViewState, decodeViewState, serializeViewState, parseViewState
+} from './viewLink';
 
 // Classification color map
 const CLASSIFICATION_COLORS = {
@@ -25,7 +57,8 @@ const NODE_TYPE_SHAPES = {
     'Contact': 'circle',
     'Opportunity': 'square',
     'External_Contact': 'hexagon',
-    'Moved_To_Company': 'diamond'
+    'Moved_To_Company': 'diamond',
+    'Committee_Seat': 'circle'
 };
 
 const NODE_TYPE_COLORS = {
@@ -34,13 +67,123 @@ const NODE_TYPE_COLORS = {
     'External_Contact': '#00897b'
 };
 
+// Names read out by screen readers and shown in edge tooltips
+const NODE_TYPE_LABELS = {
+    'Account': 'Account',
+    'Contact': 'Contact',
+    'Opportunity': 'Opportunity',
+    'External_Contact': 'External contact',
+    'Moved_To_Company': 'New company',
+    'Committee_Seat': 'Open committee seat'
+};
+
+const EDGE_TYPE_LABELS = {
+    'co_occurrence': 'Co-occurrence',
+    'account_relationship': 'Account Relationship',
+    'opportunity_role': 'Opportunity Role',
+    'cross_account': 'Cross-Account',
+    'hierarchy': 'Hierarchy',
+    'moved_to': 'Moved To',
+    'seat_candidate': 'Suggested for seat'
+};
+
+// Keyboard focus ring, and how close to the canvas edge a focused node may sit before the view pans
+const FOCUS_RING_COLOR = '#032d60';
+const FOCUS_SCROLL_MARGIN = 40;
+
+// Touch and pen: nodes are hit within at least 22 screen px (a 44px target) at any zoom, a press
+// this long opens the detail panel, and a finger that moves less than the slop is still a tap
+const TOUCH_TARGET_RADIUS = 22;
+const LONG_PRESS_MS = 500;
+const TAP_SLOP = 8;
+// Browsers follow a tap with emulated mouse events and a click; the mouse handlers ignore them
+const TOUCH_MOUSE_GUARD_MS = 800;
+
+// Large graphs (accounts near the 500-contact cap) only label nodes at least this big on screen,
+// and bundle co-occurrence edges between clusters below the bundle zoom
+const LARGE_GRAPH_NODES = 200;
+const LARGE_GRAPH_LABEL_RADIUS = 12;
+const EDGE_BUNDLE_ZOOM = 0.6;
+// Any graph skips labels whose 10px text would be drawn smaller than this
+const MIN_LABEL_FONT_PX = 5;
+// Graph units kept around the viewport when culling, so labels and rings at the edge still draw
+const CULL_MARGIN = 60;
+
+// Edge types the path finder may traverse, and how many ranked paths to show
+const PATH_EDGE_TYPES = ['co_occurrence', 'account_relationship'];
+const MAX_RANKED_PATHS = 5;
+const PATH_HIGHLIGHT_COLOR = '#ffb300';
+
+// Layout menu; 'force' is the d3 force simulation, the others place nodes (graphLayouts.js)
+const LAYOUT_OPTIONS = [
+    { value: 'force', label: 'Force' },
+    { value: 'orgChart', label: 'Org Chart' },
+    { value: 'radial', label: 'Radial' },
+    { value: 'swimlanes', label: 'Swimlanes' }
+];
+const LAYOUT_FIT_PADDING = 40;
+
+// Insights panel: the rankings it offers, how many people each lists, and what can drive node size
+const INSIGHT_OPTIONS = [
+    { value: 'betweenness', label: 'Betweenness', description: 'On the most shortest routes between other people.' },
+    { value: 'degree', label: 'Degree', description: 'Meets with the most people.' },
+    { value: 'eigenvector', label: 'Eigenvector', description: 'Meets with the best-connected people.' },
+    { value: 'brokers', label: 'Brokers', description: 'Connects clusters that otherwise do not meet.' },
+    { value: 'isolated', label: 'Isolated', description: 'Engaged alone, never alongside a colleague.' }
+];
+const INSIGHT_LIST_SIZE = 10;
+const NODE_SIZE_OPTIONS = [
+    { value: 'interactions', label: 'Interactions' },
+    { value: 'degree', label: 'Degree' },
+    { value: 'betweenness', label: 'Betweenness' },
+    { value: 'eigenvector', label: 'Eigenvector' }
+];
+
+// Focus mode: how far out from the focused node to show, and how faint everything else is
+const FOCUS_HOP_OPTIONS = [1, 2, 3];
+const FOCUS_DIM_ALPHA = 0.1;
+
+// PDF export: US Letter landscape in points, with the legend in a column on the right
+const PDF_PAGE_WIDTH = 792;
+const PDF_PAGE_HEIGHT = 612;
+const PDF_MARGIN = 36;
+const PDF_LEGEND_WIDTH = 210;
+
+// Shared links carry every node position up to this size; larger graphs keep only pinned nodes
+const MAX_LINK_POSITIONS = 300;
+
+// Contacts added by "Load next" on large accounts (GraphDataService.PAGE_SIZE)
+const CONTACT_PAGE_SIZE = 250;
+
+// Timeline playback covers one quarter, one frame per snapshot
+const TIMELINE_PERIOD_DAYS = 90;
+const TIMELINE_FRAME_MS = 800;
+
+// Risk trend sparkline size (px) and how many resolved alerts the risk panel lists
+const SPARKLINE_WIDTH = 90;
+const SPARKLINE_HEIGHT = 20;
+const MAX_RESOLVED_RISKS = 5;
+
+// Account health score bands (0-100) for the header badge colour
+const HEALTH_GOOD = 70;
+const HEALTH_FAIR = 40;
+
+// Portfolio mode (app/home pages): where the account list comes from
+const PORTFOLIO_SOURCE_OPTIONS = [
+    { label: 'My Accounts', value: 'mine' },
+    { label: 'List View', value: 'list_view' },
+    { label: 'Selected Accounts', value: 'selected' }
+];
+
 export default class RelationshipGraph extends NavigationMixin(LightningElement) {
-    @api recordId; // Account ID from record page
+    @api recordId; // Account or Opportunity ID from record page
+    @api objectApiName;
     @api showAllContacts = false;
     @api defaultMinInteractions = 3;
+    @api portfolioSource = 'mine'; // App/Home pages: 'mine', 'list_view' or 'selected'
 
     graphData = null;
-    selectedNode = null;
+    _selectedNode = null;
     isLoading = true;
     hidePassive = true;
     minInteractions = 3;
@@ -49,16 +192,68 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
     hiddenCount = 0;
     isTruncated = false;
     totalContactCount = 0;
+    loadedContactCount = 0;
+    isLoadingMore = false;
     riskAlerts = [];
     showRiskPanel = false;
+    riskHistory = null; // { openAlerts, resolvedAlerts, trends } from Risk_Alert__c
+    lastVisitAt = null; // ms timestamp of the previous visit to this account's graph
+    health = null; // AccountHealthService.HealthHistory: latest score and one point per day
     showExternalContacts = false;
     externalContactCount = 0;
     showHierarchy = false;
     hierarchyAccountCount = 0;
     movedContactCount = 0;
+    coverage = null; // BuyingCommitteeService.Coverage, null when no committee applies to the account
+    showCoveragePanel = false;
+    showOpenSeats = true; // placeholder nodes for the seats no contact fills
     riskNodeIds = new Map(); // nodeId → highest severity
-    clusters = new Map(); // clusterId → { nodes, label, color }
+    clusters = new Map(); // clusterId → { key, name, nodes, label, color }
+    clusterModularity = 0;
+    showClustersPanel = false;
+    _savedClusters = null; // { clusters: [{ key, name, contactIds }] } edited for this account, or null
+    _clusterEditsLoaded = false;
+    _clusterHulls = []; // [{ clusterId, points }] drawn in the last frame, for dropping contacts into
+    pathMode = false;
+    pathStartId = null;
+    pathTargetId = null;
+    rankedPaths = []; // [{ nodeIds, edges, cost }] strongest first
+    selectedPathIndex = 0;
+    showInsightsPanel = false;
+    insightMetric = 'betweenness';
+    nodeSizeMetric = 'interactions'; // or a centrality from the Insights panel
+    _insights = null; // { scores, sizeScores, brokers, isolated } while the panel or node size needs them
+    focusNodeId = null; // ego-network focus: nodes more than focusHops away are dimmed
+    focusHops = 1;
+    isExpandingFocus = false;
+    _focusDistances = null; // nodeId → hops from the focused node, null outside focus mode
+    _expandedFocusIds = new Set(); // contacts whose neighbourhood was loaded with Expand
+    timelineMode = false;
+    timelineData = null; // { startDate, endDate, snapshots: [{ snapshotDate, nodes, edges }] }
+    timelineIndex = 0;
+    isTimelinePlaying = false;
+    _portfolioSource = null; // source in use, starting from the portfolioSource property
+    portfolioListViewId = null;
+    portfolioAccountIds = [];
+    portfolioAccountNames = {}; // accountId → name, for the selected-account pills
+    listViewOptions = [];
+    portfolioAccountCount = 0; // accounts in the portfolio (before the cap)
+    pendingOverride = null; // classification picked in the detail panel, saved with a justification
+    overrideJustification = '';
+    overrideHistory = null; // { contactId, entries } for the selected contact
+    showReviewPanel = false;
+    pendingReviews = []; // overrides awaiting manager review
+    accessibleNodes = []; // screen-reader table of the nodes on screen
+    accessibleEdges = [];
+    announcement = ''; // live region text
+    showViewsPanel = false;
+    savedViews = []; // GraphViewService.ViewSummary for this graph
+    newViewName = '';
+    shareNewView = false;
+    isSavingView = false;
     _accountName = '';
+    _linkToken = null; // view state token from the page URL, once applied
+    _pendingView = null; // decoded link or saved view, kept until its layout is applied
 
     d3Initialized = false;
     simulation = null;
@@ -70,6 +265,19 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
     hoveredNode = null;
     hoveredEdge = null;
     draggedNode = null;
+    _focusedNodeId = null; // keyboard focus, drawn as a ring while the canvas has focus
+    layoutMode = 'force';
+    isLayoutFrozen = false; // nodes only move when dragged
+    _layoutGuides = null; // reporting lines, rings or lanes drawn behind a fixed layout
+    _largeGraph = false;
+    _hitIndex = null; // { nodes, edges } quadtrees, rebuilt on the first hit test after nodes move
+    _bundledEdges = null; // co-occurrence edges drawn as cluster bundles in the last frame
+    _touch = null; // active touch/pen gesture: { pointers, node, start, moved, longPressed, pinch }
+    _lastTouchTime = 0;
+    _canvasFocused = false;
+    _announceQueued = false;
+    _dragMoved = false;
+    _dragStartPinned = false; // node was already pinned when the drag started
     searchTerm = '';
     searchMatchIds = new Set();
     _isExporting = false;
@@ -85,13 +293,47 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         return 'relgraph_' + (this.recordId || '');
     }
 
+    // No record context (app/home page) means one graph across a list of accounts
+    get isPortfolioMode() {
+        return !this.recordId;
+    }
+
+    // Opportunity record page: the deal's buying committee
+    get isOpportunityMode() {
+        return !!this.recordId && this.objectApiName === 'Opportunity';
+    }
+
+    // Selecting a node also moves keyboard focus to it and announces it
+    get selectedNode() {
+        return this._selectedNode;
+    }
+
+    set selectedNode(node) {
+        const previousId = this._selectedNode ? this._selectedNode.id : null;
+        this._selectedNode = node;
+        if (node) {
+            this._focusedNodeId = node.id;
+            if (node.id !== previousId) {
+                this._announce('Selected ' + this._describeNode(node));
+            }
+        }
+    }
+
+    // Hierarchy, timeline and risk history are per account
+    get isAccountMode() {
+        return !!this.recordId && !this.isOpportunityMode;
+    }
+
     _saveToggleState() {
         try {
             sessionStorage.setItem(this._storageKey, JSON.stringify({
                 hidePassive: this.hidePassive,
                 showExternalContacts: this.showExternalContacts,
                 showHierarchy: this.showHierarchy,
-                minInteractions: this.minInteractions
+                minInteractions: this.minInteractions,
+                portfolioSource: this._portfolioSource,
+                portfolioListViewId: this.portfolioListViewId,
+                portfolioAccountIds: this.portfolioAccountIds
             }));
         } catch (e) { /* sessionStorage may be unavailable */ }
     }
@@ -105,18 +347,63 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
                 this.showExternalContacts = s.showExternalContacts;
                 this.showHierarchy = s.showHierarchy;
                 this.minInteractions = s.minInteractions;
+                if (s.portfolioSource) {
+                    this._portfolioSource = s.portfolioSource;
+                    this.portfolioListViewId = s.portfolioListViewId || null;
+                    this.portfolioAccountIds = s.portfolioAccountIds || [];
+                }
                 return true;
             }
         } catch (e) { /* ignore */ }
         return false;
     }
 
+    // Last visit persists across sessions (localStorage) so "new since last visit" survives logout
+    _recordVisit() {
+        const key = 'relgraph_lastvisit_' + (this.recordId || '');
+        try {
+            const previous = Number(localStorage.getItem(key));
+            this.lastVisitAt = previous > 0 ? previous : null;
+            localStorage.setItem(key, String(Date.now()));
+        } catch (e) { /* localStorage may be unavailable */ }
+    }
+
+    // A shared link carries the whole view in the page state (see viewLink.js)
+    @wire(CurrentPageReference)
+    handlePageReference(pageRef) {
+        const token = pageRef && pageRef.state ? pageRef.state[VIEW_STATE_PARAM] : null;
+        if (!token || token === this._linkToken) return;
+        this._linkToken = token;
+
+        const view = decodeViewState(token);
+        if (!view) {
+            this.showToast('Link Not Applied', 'This graph link is invalid or out of date.', 'warning');
+            return;
+        }
+        this._applyViewSettings(view);
+        this._pendingView = view;
+        // Graph already on screen: reload with the linked settings
+        if (this.graphData) {
+            this.loadGraphData();
+        }
+    }
+
     connectedCallback() {
-        if (!this._restoreToggleState()) {
+        // portfolioSource belongs to the page; a link may already have picked another source
+        if (!this._portfolioSource) {
+            this._portfolioSource = this.portfolioSource;
+        }
+        if (this._pendingView) {
+            // Link settings were applied before connect and win over the session toggles
+        } else if (!this._restoreToggleState()) {
             this.hidePassive = !this.showAllContacts;
             this.minInteractions = this.defaultMinInteractions;
         }
+        this._recordVisit();
         this.loadConfig();
+        if (this.isPortfolioMode && this._portfolioSource === 'list_view') {
+            this.loadListViews();
+        }
     }
 
     renderedCallback() {
@@ -143,6 +430,7 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         if (this._boundFullscreenChange) {
             document.removeEventListener('fullscreenchange', this._boundFullscreenChange);
         }
+        this.pauseTimeline();
     }
 
     // ─── Data Loading ───────────────────────────────────────────────
@@ -150,7 +438,7 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
     async loadConfig() {
         try {
             this.config = await getGraphConfig();
-            if (this.config.minInteractions) {
+            if (this.config.minInteractions && !this._linkToken) {
                 this.minInteractions = this.config.minInteractions;
             }
         } catch (error) {
@@ -159,24 +447,195 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
     }
 
     async loadGraphData() {
+        if (this.isPortfolioMode) {
+            this.loadPortfolio(false);
+            return;
+        }
+        if (this.isOpportunityMode) {
+            this.loadOpportunityGraph(false);
+            return;
+        }
         this.isLoading = true;
         try {
-            const data = await getGraphData({
-                accountId: this.recordId,
+            const [data] = await Promise.all([
+                getGraphData({
+                    accountId: this.recordId,
+                    hidePassive: this.hidePassive,
+                    minInteractions: this.minInteractions,
+                    thresholdDays: this.config.activityThresholdDays || 90,
+                    showExternalContacts: this.showExternalContacts,
+                    showHierarchy: this.showHierarchy
+                }),
+                this._loadClusterEdits(false)
+            ]);
+            this.processGraphData(data);
+            this.loadAccountHealth();
+        } catch (error) {
+            this.showError('Failed to load graph data: ' + this.extractErrorMessage(error));
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async loadOpportunityGraph(forceRefresh) {
+        this.isLoading = true;
+        try {
+            const [data] = await Promise.all([
+                getOpportunityGraphData({
+                    opportunityId: this.recordId,
+                    hidePassive: this.hidePassive,
+                    minInteractions: this.minInteractions,
+                    thresholdDays: this.config.activityThresholdDays || 90,
+                    showExternalContacts: this.showExternalContacts,
+                    forceRefresh
+                }),
+                this._loadClusterEdits(forceRefresh)
+            ]);
+            this.processGraphData(data);
+            if (forceRefresh) {
+                this.showToast('Success', 'Graph data refreshed', 'success');
+            }
+        } catch (error) {
+            this.showError('Failed to load buying committee: ' + this.extractErrorMessage(error));
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ─── Portfolio ─────────────────────────────────────────────────
+
+    get portfolioRequest() {
+        if (this._portfolioSource === 'list_view') {
+            return this.portfolioListViewId
+                ? { source: 'list_view', listViewId: this.portfolioListViewId, accountIds: null }
+                : null;
+        }
+        if (this._portfolioSource === 'selected') {
+            return this.portfolioAccountIds.length > 0
+                ? { source: 'selected', listViewId: null, accountIds: this.portfolioAccountIds }
+                : null;
+        }
+        return { source: 'mine', listViewId: null, accountIds: null };
+    }
+
+    async loadPortfolio(forceRefresh) {
+        const request = this.portfolioRequest;
+        if (!request) {
+            this.portfolioAccountCount = 0;
+            this.processGraphData({ nodes: [], edges: [] });
+            this.isLoading = false;
+            return;
+        }
+
+        this.isLoading = true;
+        try {
+            const options = {
                 hidePassive: this.hidePassive,
                 minInteractions: this.minInteractions,
                 thresholdDays: this.config.activityThresholdDays || 90,
                 showExternalContacts: this.showExternalContacts,
-                showHierarchy: this.showHierarchy
-            });
-            this.processGraphData(data);
+                forceRefresh
+            };
+            const first = await getPortfolioGraphData({ ...request, ...options });
+            const graph = first.graph;
+            let pending = first.pendingAccountIds || [];
+
+            // The server stops when it runs low on governor limits; fetch the rest in more batches
+            while (pending.length > 0) {
+                const next = await getPortfolioGraphData({
+                    source: 'selected', listViewId: null, accountIds: pending, ...options
+                });
+                if (!next.loadedAccountIds || next.loadedAccountIds.length === 0) break;
+                this.mergePortfolioGraph(graph, next.graph);
+                pending = next.pendingAccountIds || [];
+            }
+
+            this.portfolioAccountCount = first.totalAccountCount || 0;
+            for (const n of graph.nodes) {
+                if (n.nodeType === 'Account') {
+                    this.portfolioAccountNames = { ...this.portfolioAccountNames, [n.id]: n.name };
+                }
+            }
+            this.processGraphData(graph);
         } catch (error) {
-            this.showError('Failed to load graph data: ' + this.extractErrorMessage(error));
+            this.showError('Failed to load portfolio: ' + this.extractErrorMessage(error));
         } finally {
             this.isLoading = false;
         }
     }
 
+    // Same rules as PortfolioGraphService.merge: an owned Contact wins over an External_Contact
+    mergePortfolioGraph(graph, batch) {
+        const nodeIndex = new Map(graph.nodes.map((n, i) => [n.id, i]));
+        for (const node of batch.nodes || []) {
+            const existing = nodeIndex.get(node.id);
+            if (existing === undefined) {
+                nodeIndex.set(node.id, graph.nodes.length);
+                graph.nodes.push(node);
+            } else if (graph.nodes[existing].nodeType === 'External_Contact' && node.nodeType === 'Contact') {
+                graph.nodes[existing] = node;
+            }
+        }
+
+        const edgeKey = e => e.source + '|' + e.target + '|' + e.edgeType;
+        const edgeKeys = new Set(graph.edges.map(edgeKey));
+        for (const edge of batch.edges || []) {
+            if (!edgeKeys.has(edgeKey(edge))) {
+                edgeKeys.add(edgeKey(edge));
+                graph.edges.push(edge);
+            }
+        }
+
+        graph.riskAlerts = (graph.riskAlerts || []).concat(batch.riskAlerts || []);
+        graph.warnings = (graph.warnings || []).concat(batch.warnings || []);
+        graph.isTruncated = graph.isTruncated || batch.isTruncated;
+        graph.totalContactCount = (graph.totalContactCount || 0) + (batch.totalContactCount || 0);
+    }
+
+    async loadListViews() {
+        try {
+            this.listViewOptions = ((await getAccountListViews()) || []).map(v => ({
+                label: v.label,
+                value: v.value
+            }));
+        } catch (error) {
+            this.showError('Failed to load list views: ' + this.extractErrorMessage(error));
+        }
+    }
+
+    handlePortfolioSourceChange(event) {
+        this._portfolioSource = event.detail.value;
+        this._saveToggleState();
+        if (this._portfolioSource === 'list_view' && this.listViewOptions.length === 0) {
+            this.loadListViews();
+        }
+        this.loadGraphData();
+    }
+
+    handleListViewChange(event) {
+        this.portfolioListViewId = event.detail.value;
+        this._saveToggleState();
+        this.loadGraphData();
+    }
+
+    handlePortfolioAccountPick(event) {
+        const accountId = event.detail.recordId;
+        if (!accountId) return;
+        // The picker is only for adding; the pills show what's selected
+        event.target.clearSelection();
+        if (this.portfolioAccountIds.includes(accountId)) return;
+        this.portfolioAccountIds = [...this.portfolioAccountIds, accountId];
+        this._saveToggleState();
+        this.loadGraphData();
+    }
+
+    handlePortfolioAccountRemove(event) {
+        const accountId = event.detail.item.name;
+        this.portfolioAccountIds = this.portfolioAccountIds.filter(id => id !== accountId);
+        this._saveToggleState();
+        this.loadGraphData();
+    }
+
     processGraphData(data) {
         if (!data || !data.nodes) {
             this.graphData = { nodes: [], edges: [] };
@@ -186,6 +645,9 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         this.graphData = data;
         this.isTruncated = data.isTruncated || false;
         this.totalContactCount = data.totalContactCount || 0;
+        // Graphs cached before paging have no loaded count
+        this.loadedContactCount = data.loadedContactCount
+            || data.nodes.filter(n => n.nodeType === 'Contact').length;
         this.externalContactCount = (data.nodes || []).filter(
             n => n.nodeType === 'External_Contact'
         ).length;
@@ -201,43 +663,29 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
             this.showToast('Info', data.warnings.join('; '), 'info');
         }
 
-        // Extract risk alerts
-        this.riskAlerts = (data.riskAlerts || []).map((alert, idx) => ({
-            ...alert,
-            key: 'risk-' + idx,
-            severityClass: 'risk-alert-item risk-severity-' + alert.severity,
-            severityIcon: alert.severity === 'high' ? '\u26A0' : '\u26AB',
-            isClickable: !!alert.contactId
-        }));
-
-        // Build risk node lookup
-        this.riskNodeIds = new Map();
-        for (const alert of this.riskAlerts) {
-            if (alert.contactId) {
-                const existing = this.riskNodeIds.get(alert.contactId);
-                if (!existing || alert.severity === 'high') {
-                    this.riskNodeIds.set(alert.contactId, alert.severity);
-                }
-            }
-        }
+        this._setRiskAlerts(data.riskAlerts);
+        this.coverage = data.coverage || null;
 
         if (this.isTruncated) {
             this.showToast(
                 'Large Account',
-                `Showing 500 of ${this.totalContactCount}+ contacts. Use filters to focus.`,
+                `Showing the ${this.loadedContactCount} strongest relationships of ${this.totalContactCount} contacts. `
+                    + 'Load more from the stats bar or use filters to focus.',
                 'warning'
             );
         }
 
         // Filter out primary Account node (keep hierarchy accounts)
         // Store account name for cluster labeling
+        // Portfolio mode keeps every Account as the anchor for its contacts
         this._accountName = '';
+        const keepAccounts = this.showHierarchy || this.isPortfolioMode;
         const filteredNodes = [];
         for (const n of data.nodes) {
-            if (n.nodeType === 'Account' && !n.isHierarchyAccount) {
+            if (n.nodeType === 'Account' && !n.isHierarchyAccount && !this.isPortfolioMode) {
                 this._accountName = n.name;
                 // Keep account node only when hierarchy is active (needed as anchor)
-                if (!this.showHierarchy) continue;
+                if (!keepAccounts) continue;
             }
             filteredNodes.push(n);
         }
@@ -255,10 +703,10 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         const nodeMap = new Map();
         this.nodes.forEach(n => nodeMap.set(n.id, n));
 
-        // Filter out account_relationship edges (unless hierarchy mode)
+        // Filter out account_relationship edges (unless hierarchy or portfolio mode)
         this.edges = data.edges
             .filter(e => {
-                if (e.edgeType === 'account_relationship' && !this.showHierarchy) return false;
+                if (e.edgeType === 'account_relationship' && !keepAccounts) return false;
                 return nodeMap.has(e.source) && nodeMap.has(e.target);
             })
             .map(e => ({
@@ -267,9 +715,45 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
                 target: nodeMap.get(e.target)
             }));
 
-        // Add synthetic "moved to company" nodes for moved contacts
-        let movedIdx = 0;
-        for (const node of [...this.nodes]) {
+        this._addMovedToNodes([...this.nodes]);
+        this._addCommitteeSeatNodes();
+        this._expandedFocusIds = new Set();
+        this._updateGraphStructure();
+        this._announce(this._graphSummary());
+
+        if (this._pendingView) {
+            this._applyViewLayout(this._pendingView);
+            this._pendingView = null;
+        }
+
+        this.startSimulation();
+    }
+
+    _setRiskAlerts(alerts) {
+        this.riskAlerts = (alerts || []).map((alert, idx) => ({
+            ...alert,
+            key: 'risk-' + idx,
+            severityClass: 'risk-alert-item risk-severity-' + alert.severity,
+            severityIcon: alert.severity === 'high' ? '\u26A0' : '\u26AB',
+            isClickable: !!alert.contactId
+        }));
+
+        // Build risk node lookup
+        this.riskNodeIds = new Map();
+        for (const alert of this.riskAlerts) {
+            if (alert.contactId) {
+                const existing = this.riskNodeIds.get(alert.contactId);
+                if (!existing || alert.severity === 'high') {
+                    this.riskNodeIds.set(alert.contactId, alert.severity);
+                }
+            }
+        }
+    }
+
+    // Synthetic "moved to company" nodes for moved contacts
+    _addMovedToNodes(contacts) {
+        let movedIdx = this.nodes.filter(n => String(n.id).startsWith('moved_to_')).length;
+        for (const node of contacts) {
             if (node.hasMovedCompany === true && node.previousCompany) {
                 const realId = node.previousCompanyId || ('moved_to_' + movedIdx++);
                 const movedToNode = {
@@ -292,159 +776,1180 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
                 });
             }
         }
+    }
+
+    /**
+     * Dashed placeholder nodes for the committee seats no contact fills, one per missing contact,
+     * linked to the unclassified contacts suggested for the seat. Rebuilt whenever the coverage
+     * changes; placeholders that stay keep their positions.
+     */
+    _addCommitteeSeatNodes() {
+        const previous = new Map(
+            this.nodes.filter(n => n.nodeType === 'Committee_Seat').map(n => [n.id, n])
+        );
+        this.nodes = this.nodes.filter(n => n.nodeType !== 'Committee_Seat');
+        this.edges = this.edges.filter(e => e.edgeType !== 'seat_candidate');
+        if (!this.coverage || !this.showOpenSeats) return;
+
+        const nodeMap = new Map(this.nodes.map(n => [n.id, n]));
+        for (const seat of this.coverage.seats || []) {
+            const open = seat.required - Math.min((seat.filledByIds || []).length, seat.required);
+            const candidates = (seat.candidateIds || []).map(id => nodeMap.get(id)).filter(Boolean);
+            for (let i = 0; i < open; i++) {
+                const id = 'seat_' + seat.key + '_' + i;
+                const anchor = candidates[0];
+                const seatNode = previous.get(id) || {
+                    id,
+                    x: (anchor ? anchor.x : this.width / 2) + (Math.random() - 0.5) * 120,
+                    y: (anchor ? anchor.y : this.height / 2) + (Math.random() - 0.5) * 120
+                };
+                Object.assign(seatNode, {
+                    name: seat.label,
+                    nodeType: 'Committee_Seat',
+                    seatKey: seat.key,
+                    seatClassification: seat.classification,
+                    seatDepartment: seat.department,
+                    candidateIds: candidates.map(c => c.id)
+                });
+                seatNode.radius = this.getNodeRadius(seatNode);
+                seatNode.color = this.getNodeColor(seatNode);
+                this.nodes.push(seatNode);
+                for (const candidate of candidates) {
+                    this.edges.push({
+                        source: candidate,
+                        target: seatNode,
+                        edgeType: 'seat_candidate',
+                        interactionCount: 0
+                    });
+                }
+            }
+        }
+    }
 
+    // Clusters, timeline, path and accessibility state derived from this.nodes and this.edges
+    _updateGraphStructure() {
         // Compute clusters from co-occurrence edges
         this.computeClusters();
+        this._updateInsights();
 
-        this.startSimulation();
+        // Keep the timeline position when the graph reloads
+        if (this.timelineMode && this.timelineData) {
+            this.applyTimelineSnapshot();
+        }
+
+        // Re-run path search against the reloaded graph
+        if (this.pathMode) {
+            const nodeIds = new Set(this.nodes.map(n => n.id));
+            if (!nodeIds.has(this.pathStartId)) this.pathStartId = null;
+            if (!nodeIds.has(this.pathTargetId)) this.pathTargetId = null;
+            this.updatePathResults();
+        }
+
+        this._largeGraph = this.nodes.length > LARGE_GRAPH_NODES;
+        this._hitIndex = null;
+
+        if (this._focusedNodeId && !this.nodes.some(n => n.id === this._focusedNodeId)) {
+            this._focusedNodeId = null;
+        }
+        this._updateFocus();
     }
 
-    // ─── Clustering ────────────────────────────────────────────────
+    // ─── Large Accounts ────────────────────────────────────────────
 
-    computeClusters() {
-        const CLUSTER_HULL_COLORS = [
-            'rgba(33, 150, 243, 0.15)',
-            'rgba(76, 175, 80, 0.15)',
-            'rgba(255, 152, 0, 0.15)',
-            'rgba(156, 39, 176, 0.15)',
-            'rgba(0, 150, 136, 0.15)',
-            'rgba(244, 67, 54, 0.15)',
-            'rgba(121, 85, 72, 0.15)',
-            'rgba(63, 81, 181, 0.15)'
-        ];
+    async handleLoadMoreContacts() {
+        if (this.isLoadingMore) return;
+        this.isLoadingMore = true;
+        try {
+            const page = await getGraphDataPage({
+                accountId: this.recordId,
+                hidePassive: this.hidePassive,
+                minInteractions: this.minInteractions,
+                thresholdDays: this.config.activityThresholdDays || 90,
+                offset: this.loadedContactCount
+            });
+            this.mergeGraphPage(page);
+        } catch (error) {
+            this.showError('Failed to load more contacts: ' + this.extractErrorMessage(error));
+        } finally {
+            this.isLoadingMore = false;
+        }
+    }
 
-        // Build adjacency list from co-occurrence edges
-        const adj = new Map();
-        for (const edge of this.edges) {
-            if (edge.edgeType !== 'co_occurrence') continue;
-            const sId = typeof edge.source === 'object' ? edge.source.id : edge.source;
-            const tId = typeof edge.target === 'object' ? edge.target.id : edge.target;
-            const weight = edge.interactionCount || 1;
+    /**
+     * Add a page from getGraphDataPage to the graph on screen. Nodes already shown keep
+     * their positions; new ones start next to a node they connect to, and the running
+     * simulation is reheated rather than rebuilt.
+     */
+    mergeGraphPage(page) {
+        if (!page || !page.nodes) return;
+
+        const added = this._mergeGraphNodes(page);
+
+        this.isTruncated = page.isTruncated || false;
+        this.totalContactCount = page.totalContactCount || this.totalContactCount;
+        this.loadedContactCount = page.loadedContactCount || this.loadedContactCount;
+        // A page only has alerts for its own contacts; account-wide ones and coverage stay
+        this._setRiskAlerts([...this.riskAlerts, ...(page.riskAlerts || [])]);
+        this._addCommitteeSeatNodes();
+        this._updateGraphStructure();
+
+        const contactCount = added.filter(n => n.nodeType === 'Contact').length;
+        this._announce(
+            'Loaded ' + (contactCount === 1 ? '1 more contact' : contactCount + ' more contacts') + '. '
+                + this._graphSummary()
+        );
+        this._reheatSimulation();
+    }
 
-            if (!adj.has(sId)) adj.set(sId, []);
-            if (!adj.has(tId)) adj.set(tId, []);
-            adj.get(sId).push({ id: tId, weight });
-            adj.get(tId).push({ id: sId, weight });
+    // Adds the nodes and edges of a server graph that are not on screen yet; returns the added nodes
+    _mergeGraphNodes(data) {
+        const keepAccounts = this.showHierarchy || this.isPortfolioMode;
+        const nodeMap = new Map(this.nodes.map(n => [n.id, n]));
+        const added = [];
+        for (const n of data.nodes) {
+            if (nodeMap.has(n.id)) continue;
+            if (n.nodeType === 'Account' && !n.isHierarchyAccount && !keepAccounts) continue;
+            const node = { ...n, radius: this.getNodeRadius(n), color: this.getNodeColor(n) };
+            nodeMap.set(n.id, node);
+            added.push(node);
         }
 
-        // Initialize: each contact gets its own label
-        const labels = new Map();
-        const contactNodes = this.nodes.filter(n => n.nodeType === 'Contact');
-        contactNodes.forEach((n, i) => labels.set(n.id, i));
-
-        // Weighted label propagation (max 10 passes)
-        for (let iter = 0; iter < 10; iter++) {
-            let changed = false;
-            const shuffled = [...contactNodes].sort(() => Math.random() - 0.5);
-
-            for (const node of shuffled) {
-                const neighbors = adj.get(node.id);
-                if (!neighbors || neighbors.length === 0) continue;
-
-                const freq = new Map();
-                for (const { id, weight } of neighbors) {
-                    const label = labels.get(id);
-                    if (label === undefined) continue;
-                    freq.set(label, (freq.get(label) || 0) + weight);
-                }
-                if (freq.size === 0) continue;
-
-                let bestLabel = labels.get(node.id);
-                let bestWeight = 0;
-                for (const [label, w] of freq) {
-                    if (w > bestWeight) {
-                        bestWeight = w;
-                        bestLabel = label;
-                    }
-                }
-                if (bestLabel !== labels.get(node.id)) {
-                    labels.set(node.id, bestLabel);
-                    changed = true;
-                }
+        const addedIds = new Set(added.map(n => n.id));
+        const edgeKey = (source, target, edgeType) => source + '|' + target + '|' + edgeType;
+        const edgeKeys = new Set(this.edges.map(e => edgeKey(e.source.id, e.target.id, e.edgeType)));
+        const anchors = new Map();
+        for (const e of data.edges || []) {
+            if (e.edgeType === 'account_relationship' && !keepAccounts) continue;
+            const source = nodeMap.get(e.source);
+            const target = nodeMap.get(e.target);
+            if (!source || !target || edgeKeys.has(edgeKey(e.source, e.target, e.edgeType))) continue;
+            edgeKeys.add(edgeKey(e.source, e.target, e.edgeType));
+            this.edges.push({ ...e, source, target });
+
+            if (addedIds.has(source.id) && !addedIds.has(target.id) && !anchors.has(source.id)) {
+                anchors.set(source.id, target);
+            } else if (addedIds.has(target.id) && !addedIds.has(source.id) && !anchors.has(target.id)) {
+                anchors.set(target.id, source);
             }
-            if (!changed) break;
         }
 
-        // Normalize cluster IDs
-        const uniqueLabels = [...new Set(labels.values())];
-        const labelMap = new Map();
-        uniqueLabels.forEach((label, idx) => labelMap.set(label, idx));
+        for (const node of added) {
+            const anchor = anchors.get(node.id);
+            const cx = anchor ? anchor.x : this.width / 2;
+            const cy = anchor ? anchor.y : this.height / 2;
+            const spread = anchor ? 80 : 300;
+            node.x = cx + (Math.random() - 0.5) * spread;
+            node.y = cy + (Math.random() - 0.5) * spread;
+            this.nodes.push(node);
+        }
+        this._addMovedToNodes(added);
+
+        this.externalContactCount += added.filter(n => n.nodeType === 'External_Contact').length;
+        this.movedContactCount += added.filter(n => n.hasMovedCompany === true).length;
+        return added;
+    }
 
-        // Assign to nodes
-        for (const node of this.nodes) {
-            if (node.nodeType === 'Contact') {
-                node.clusterId = labelMap.get(labels.get(node.id));
+    _reheatSimulation() {
+        // Fixed layouts place the new nodes along with the rest
+        if (this.layoutMode !== 'force') {
+            this.startSimulation();
+            this.renderCanvas();
+        } else if (this.simulation) {
+            this.simulation.nodes(this.nodes);
+            this.simulation.force('link').links(this.edges);
+            if (this.isLayoutFrozen) {
+                this.renderCanvas();
             } else {
-                node.clusterId = -1;
+                this.simulation.alphaDecay(this._largeGraph ? 0.04 : 0.02).alpha(0.5).restart();
             }
+        } else {
+            this.renderCanvas();
         }
+    }
 
-        // Build cluster metadata
-        this.clusters = new Map();
-        for (const node of this.nodes) {
-            if (node.clusterId == null || node.clusterId < 0) continue;
-            if (!this.clusters.has(node.clusterId)) {
-                this.clusters.set(node.clusterId, { nodes: [] });
-            }
-            this.clusters.get(node.clusterId).nodes.push(node);
-        }
+    // ─── Shared Links ──────────────────────────────────────────────
 
-        // Assign colors and labels
-        for (const [clusterId, cluster] of this.clusters) {
-            cluster.color = CLUSTER_HULL_COLORS[clusterId % CLUSTER_HULL_COLORS.length];
-            const classFreq = {};
-            for (const node of cluster.nodes) {
-                const cls = node.classification || 'Unknown';
-                classFreq[cls] = (classFreq[cls] || 0) + 1;
-            }
-            const sorted = Object.entries(classFreq).sort((a, b) => b[1] - a[1]);
-            cluster.label = sorted[0][0] + ' group (' + cluster.nodes.length + ')';
+    // Settings that decide what the server returns, applied before the graph loads
+    _applyViewSettings(view) {
+        this.hidePassive = view.hidePassive;
+        if (view.minInteractions != null) {
+            this.minInteractions = view.minInteractions;
         }
+        this.showExternalContacts = view.showExternalContacts;
+        this.showHierarchy = view.showHierarchy;
+        this.activeFilters = view.activeFilters;
+        this.searchTerm = view.searchTerm;
+        this.layoutMode = LAYOUT_OPTIONS.some(o => o.value === view.layout) ? view.layout : 'force';
+        if (this.isPortfolioMode && view.portfolio) {
+            this._portfolioSource = view.portfolio.source;
+            this.portfolioListViewId = view.portfolio.listViewId;
+            this.portfolioAccountIds = view.portfolio.accountIds;
+        }
+        this._saveToggleState();
+    }
 
-        // Largest cluster gets the account name
-        let largestId = -1;
-        let largestSize = 0;
-        for (const [clusterId, cluster] of this.clusters) {
-            if (cluster.nodes.length > largestSize) {
-                largestSize = cluster.nodes.length;
-                largestId = clusterId;
-            }
+    // Layout, selection and zoom/pan, applied once the graph's nodes exist
+    _applyViewLayout(view) {
+        for (const node of this.nodes) {
+            const pos = view.positions[node.id];
+            if (!pos) continue;
+            node.x = pos[0];
+            node.y = pos[1];
+            node.fx = pos[0];
+            node.fy = pos[1];
         }
-        if (largestId >= 0 && this._accountName) {
-            this.clusters.get(largestId).label = this._accountName;
+        if (view.transform) {
+            this.transform = { ...view.transform };
         }
+        this._hitIndex = null;
+        this._updateSearchMatches();
+        this.nodes.forEach(n => { n.color = this.getNodeColor(n); });
+
+        const selected = view.selectedNodeId ? this.nodes.find(n => n.id === view.selectedNodeId) : null;
+        this.selectedNode = selected ? { ...selected } : null;
     }
 
-    convexHull(points) {
-        if (points.length < 3) return [...points];
-        const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
-        const cross = (O, A, B) =>
-            (A[0] - O[0]) * (B[1] - O[1]) - (A[1] - O[1]) * (B[0] - O[0]);
-        const lower = [];
-        for (const p of sorted) {
-            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
-                lower.pop();
+    _currentViewState() {
+        const positions = {};
+        const shared = this.nodes.length <= MAX_LINK_POSITIONS
+            ? this.nodes
+            : this.nodes.filter(n => n.fx != null);
+        for (const node of shared) {
+            if (Number.isFinite(node.x) && Number.isFinite(node.y)) {
+                positions[node.id] = [node.x, node.y];
             }
-            lower.push(p);
         }
-        const upper = [];
-        for (let i = sorted.length - 1; i >= 0; i--) {
-            const p = sorted[i];
-            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
-                upper.pop();
-            }
-            upper.push(p);
+        return {
+            hidePassive: this.hidePassive,
+            minInteractions: this.minInteractions,
+            showExternalContacts: this.showExternalContacts,
+            showHierarchy: this.showHierarchy,
+            activeFilters: this.activeFilters,
+            searchTerm: this.searchTerm,
+            selectedNodeId: this.selectedNode ? this.selectedNode.id : null,
+            transform: this.transform,
+            positions,
+            portfolio: this.isPortfolioMode
+                ? {
+                    source: this._portfolioSource,
+                    listViewId: this.portfolioListViewId,
+                    accountIds: this.portfolioAccountIds
+                }
+                : null,
+            layout: this.layoutMode
+        };
+    }
+
+    async handleCopyLink() {
+        const url = new URL(window.location.href);
+        url.searchParams.set(VIEW_STATE_PARAM, encodeViewState(this._currentViewState()));
+        const link = url.toString();
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showToast('Link Copied', 'The link opens the graph exactly as shown.', 'success');
+        } catch (e) {
+            // Clipboard blocked or unavailable: show the link so it can be copied by hand
+            this.showToast('Copy Link', link, 'info');
         }
-        upper.pop();
-        lower.pop();
-        return lower.concat(upper);
     }
 
-    // ─── D3 Force Simulation ────────────────────────────────────────
+    // ─── Saved Views ───────────────────────────────────────────────
 
-    initCanvas() {
-        const container = this.refs.canvasContainer;
-        if (!container) return;
+    toggleViewsPanel() {
+        this.showViewsPanel = !this.showViewsPanel;
+        if (this.showViewsPanel) {
+            this.loadSavedViews();
+        }
+    }
+
+    closeViewsPanel() {
+        this.showViewsPanel = false;
+    }
+
+    async loadSavedViews() {
+        try {
+            this.savedViews = (await getGraphViews({ recordId: this.recordId || null })) || [];
+        } catch (error) {
+            this.showError('Failed to load saved views: ' + this.extractErrorMessage(error));
+        }
+    }
+
+    handleViewNameChange(event) {
+        this.newViewName = event.detail.value || '';
+    }
+
+    handleShareViewChange(event) {
+        this.shareNewView = event.detail.checked === true;
+    }
+
+    async handleSaveView() {
+        const name = this.newViewName.trim();
+        if (!name) return;
+        this.isSavingView = true;
+        try {
+            const saved = await saveGraphView({
+                recordId: this.recordId || null,
+                name,
+                viewState: serializeViewState(this._currentViewState()),
+                shared: this.shareNewView && this.canShareViews
+            });
+            this.newViewName = '';
+            this.shareNewView = false;
+            this.showToast('Success', 'Saved view "' + saved.name + '"', 'success');
+            await this.loadSavedViews();
+        } catch (error) {
+            this.showError('Failed to save view: ' + this.extractErrorMessage(error));
+        } finally {
+            this.isSavingView = false;
+        }
+    }
+
+    handleApplyView(event) {
+        const saved = this.savedViews.find(v => v.id === event.currentTarget.dataset.id);
+        const view = saved ? parseViewState(saved.viewState) : null;
+        if (!view) {
+            this.showToast('View Not Applied', 'This saved view is invalid or out of date.', 'warning');
+            return;
+        }
+        this._applyViewSettings(view);
+        this._pendingView = view;
+        this.loadGraphData();
+    }
+
+    async handleDeleteView(event) {
+        const viewId = event.currentTarget.dataset.id;
+        try {
+            await deleteGraphView({ viewId });
+            this.savedViews = this.savedViews.filter(v => v.id !== viewId);
+        } catch (error) {
+            this.showError('Failed to delete view: ' + this.extractErrorMessage(error));
+        }
+    }
+
+    handleUnpinNode() {
+        const node = this.selectedNode ? this.nodes.find(n => n.id === this.selectedNode.id) : null;
+        if (!node) return;
+        node.fx = null;
+        node.fy = null;
+        this.selectedNode = { ...node };
+        this._nudgeSimulation(0.3);
+    }
+
+    unpinAllNodes() {
+        for (const node of this.nodes) {
+            if (this._isLayoutAnchor(node)) continue;
+            node.fx = null;
+            node.fy = null;
+        }
+        if (this.selectedNode) {
+            const node = this.nodes.find(n => n.id === this.selectedNode.id);
+            if (node) this.selectedNode = { ...node };
+        }
+        this._nudgeSimulation(0.5);
+    }
+
+    // Nodes startSimulation fixes at the center of the canvas
+    _isLayoutAnchor(node) {
+        if (this.isOpportunityMode && node.nodeType === 'Opportunity' && node.id === this.recordId) return true;
+        return this.showHierarchy && node.nodeType === 'Account' && !node.isHierarchyAccount;
+    }
+
+    // ─── Clustering ────────────────────────────────────────────────
+
+    computeClusters() {
+        const CLUSTER_HULL_COLORS = [
+            'rgba(33, 150, 243, 0.15)',
+            'rgba(76, 175, 80, 0.15)',
+            'rgba(255, 152, 0, 0.15)',
+            'rgba(156, 39, 176, 0.15)',
+            'rgba(0, 150, 136, 0.15)',
+            'rgba(244, 67, 54, 0.15)',
+            'rgba(121, 85, 72, 0.15)',
+            'rgba(63, 81, 181, 0.15)'
+        ];
+
+        // Louvain over co-occurrence weights, then the account's saved edits on top
+        const contactNodes = this.nodes.filter(n => n.nodeType === 'Contact');
+        const graph = this._coOccurrenceGraph(contactNodes);
+        const reconciled = reconcileClusters(louvain(graph), this._savedClusters)
+            .filter(c => c.memberIds.length > 0);
+
+        // Assign to nodes; saved clusters come first, so they keep their colors
+        const nodeById = new Map(contactNodes.map(n => [n.id, n]));
+        for (const node of this.nodes) {
+            node.clusterId = -1;
+        }
+        this.clusters = new Map();
+        const communityOf = new Map();
+        reconciled.forEach((c, clusterId) => {
+            const nodes = c.memberIds.map(id => nodeById.get(id));
+            for (const node of nodes) {
+                node.clusterId = clusterId;
+                communityOf.set(node.id, clusterId);
+            }
+            this.clusters.set(clusterId, {
+                key: c.key,
+                name: c.name,
+                nodes,
+                color: CLUSTER_HULL_COLORS[clusterId % CLUSTER_HULL_COLORS.length]
+            });
+        });
+        this.clusterModularity = modularity(graph, communityOf);
+
+        // Named clusters keep their name; the rest are labelled by their main classification
+        for (const [, cluster] of this.clusters) {
+            if (cluster.name) {
+                cluster.label = cluster.name + ' (' + cluster.nodes.length + ')';
+                continue;
+            }
+            const classFreq = {};
+            for (const node of cluster.nodes) {
+                const cls = node.classification || 'Unknown';
+                classFreq[cls] = (classFreq[cls] || 0) + 1;
+            }
+            const sorted = Object.entries(classFreq).sort((a, b) => b[1] - a[1]);
+            cluster.label = sorted[0][0] + ' group (' + cluster.nodes.length + ')';
+        }
+
+        // Largest cluster gets the account name, unless someone named it
+        let largest = null;
+        for (const [, cluster] of this.clusters) {
+            if (!largest || cluster.nodes.length > largest.nodes.length) largest = cluster;
+        }
+        if (largest && !largest.name && this._accountName) {
+            largest.label = this._accountName;
+        }
+    }
+
+    // Contacts and the co-occurrence weights between them, both ways round
+    _coOccurrenceGraph(contactNodes) {
+        const graph = new Map(contactNodes.map(n => [n.id, new Map()]));
+        for (const edge of this.edges) {
+            if (edge.edgeType !== 'co_occurrence') continue;
+            const sId = typeof edge.source === 'object' ? edge.source.id : edge.source;
+            const tId = typeof edge.target === 'object' ? edge.target.id : edge.target;
+            if (sId === tId || !graph.has(sId) || !graph.has(tId)) continue;
+            const weight = edge.interactionCount || 1;
+            graph.get(sId).set(tId, (graph.get(sId).get(tId) || 0) + weight);
+            graph.get(tId).set(sId, (graph.get(tId).get(sId) || 0) + weight);
+        }
+        return graph;
+    }
+
+    clusterCentroids() {
+        const centroids = new Map();
+        for (const [cid, cluster] of this.clusters) {
+            let cx = 0, cy = 0;
+            for (const n of cluster.nodes) { cx += n.x; cy += n.y; }
+            centroids.set(cid, { x: cx / cluster.nodes.length, y: cy / cluster.nodes.length });
+        }
+        return centroids;
+    }
+
+    // Ray casting: whether (x, y) is inside the polygon [[x, y], ...]
+    _pointInPolygon(x, y, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    convexHull(points) {
+        if (points.length < 3) return [...points];
+        const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        const cross = (O, A, B) =>
+            (A[0] - O[0]) * (B[1] - O[1]) - (A[1] - O[1]) * (B[0] - O[0]);
+        const lower = [];
+        for (const p of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+                lower.pop();
+            }
+            lower.push(p);
+        }
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const p = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+                upper.pop();
+            }
+            upper.push(p);
+        }
+        upper.pop();
+        lower.pop();
+        return lower.concat(upper);
+    }
+
+    // ─── Buying Committee Coverage ─────────────────────────────────
+
+    toggleCoveragePanel() {
+        this.showCoveragePanel = !this.showCoveragePanel;
+        if (this.showCoveragePanel) {
+            // Shares the top left with the path finder, Insights and cluster editing
+            if (this.pathMode) this.closePathPanel();
+            this.showInsightsPanel = false;
+            this.showClustersPanel = false;
+        }
+    }
+
+    closeCoveragePanel() {
+        this.showCoveragePanel = false;
+    }
+
+    handleShowOpenSeatsChange(event) {
+        this.showOpenSeats = event.detail.checked === true;
+        this._addCommitteeSeatNodes();
+        this._updateGraphStructure();
+        this._reheatSimulation();
+    }
+
+    handleCoverageContactClick(event) {
+        const node = this.nodes.find(n => n.id === event.currentTarget.dataset.id);
+        if (node) this._revealNode(node);
+    }
+
+    // Names of the given nodes on the graph, skipping any not loaded
+    _nodeNames(ids) {
+        const names = [];
+        for (const id of ids || []) {
+            const node = this.nodes.find(n => n.id === id);
+            if (node) names.push(node.name);
+        }
+        return names;
+    }
+
+    // ─── Cluster Edits ─────────────────────────────────────────────
+
+    toggleClustersPanel() {
+        this.showClustersPanel = !this.showClustersPanel;
+        if (this.showClustersPanel) {
+            // Shares the top left with the path finder, Insights and coverage
+            if (this.pathMode) this.closePathPanel();
+            this.showInsightsPanel = false;
+            this.showCoveragePanel = false;
+        }
+    }
+
+    closeClustersPanel() {
+        this.showClustersPanel = false;
+    }
+
+    handleClusterRename(event) {
+        const cluster = this._clusterByKey(event.target.dataset.key);
+        const name = (event.target.value || '').trim() || null;
+        if (!cluster || name === cluster.name) return;
+        this._editClusters(state => {
+            state.clusters.find(c => c.key === cluster.key).name = name;
+        }, name ? 'Renamed ' + cluster.label + ' to ' + name + '.' : 'Cleared the name of ' + cluster.label + '.');
+    }
+
+    handleClusterMerge(event) {
+        const from = this._clusterByKey(event.currentTarget.dataset.key);
+        const into = this._clusterByKey(event.detail.value);
+        if (!from || !into || from === into) return;
+        this._editClusters(state => {
+            const source = state.clusters.find(c => c.key === from.key);
+            state.clusters.find(c => c.key === into.key).contactIds.push(...source.contactIds);
+            source.contactIds = [];
+        }, 'Merged ' + from.label + ' into ' + into.label + '.');
+    }
+
+    // Louvain within the cluster; the largest part keeps its key and name
+    handleClusterSplit(event) {
+        const cluster = this._clusterByKey(event.currentTarget.dataset.key);
+        if (!cluster) return;
+        const parts = louvain(this._coOccurrenceGraph(cluster.nodes));
+        const partCount = new Set(parts.values()).size;
+        if (partCount < 2) {
+            this.showToast(
+                'Cluster Not Split',
+                cluster.label + ' has no natural split. Move contacts out of it instead.',
+                'info'
+            );
+            return;
+        }
+        this._editClusters(state => {
+            const source = state.clusters.find(c => c.key === cluster.key);
+            source.contactIds = source.contactIds.filter(id => !parts.has(id) || parts.get(id) === 0);
+            for (let part = 1; part < partCount; part++) {
+                state.clusters.push({
+                    key: nextClusterKey(state.clusters),
+                    name: null,
+                    contactIds: [...parts.keys()].filter(id => parts.get(id) === part)
+                });
+            }
+        }, 'Split ' + cluster.label + ' into ' + partCount + ' clusters.');
+    }
+
+    handleNodeClusterChange(event) {
+        const node = this.selectedNode && this.nodes.find(n => n.id === this.selectedNode.id);
+        if (node) this._moveContactToCluster(node, event.detail.value);
+    }
+
+    async handleResetClusters() {
+        const previous = this._savedClusters;
+        this._savedClusters = null;
+        this._refreshClusters();
+        this._announce('Clusters reset to the detected clusters.');
+        try {
+            await resetGraphClusters({ recordId: this.recordId });
+        } catch (error) {
+            this._savedClusters = previous;
+            this._refreshClusters();
+            this.showError('Failed to reset clusters: ' + this.extractErrorMessage(error));
+        }
+    }
+
+    // key is a cluster's key, or 'new' for a cluster of its own
+    _moveContactToCluster(node, key) {
+        const from = this.clusters.get(node.clusterId);
+        const into = key === 'new' ? null : this._clusterByKey(key);
+        if ((!into && key !== 'new') || (from && into === from)) return;
+        this._editClusters(state => {
+            for (const c of state.clusters) {
+                c.contactIds = c.contactIds.filter(id => id !== node.id);
+            }
+            if (into) {
+                state.clusters.find(c => c.key === into.key).contactIds.push(node.id);
+            } else {
+                state.clusters.push({ key: nextClusterKey(state.clusters), name: null, contactIds: [node.id] });
+            }
+        }, 'Moved ' + node.name + ' to ' + (into ? into.label : 'a new cluster') + '.');
+    }
+
+    // A contact dragged into another cluster's hull joins that cluster
+    _dropIntoCluster(node) {
+        if (!this.canEditClusters || node.nodeType !== 'Contact') return;
+        const x = node.fx != null ? node.fx : node.x;
+        const y = node.fy != null ? node.fy : node.y;
+        const hull = this._clusterHulls.find(
+            h => h.clusterId !== node.clusterId && this._pointInPolygon(x, y, h.points)
+        );
+        if (hull) this._moveContactToCluster(node, this.clusters.get(hull.clusterId).key);
+    }
+
+    /**
+     * Apply an edit to the account's clusters, show it straight away and save it. The edit gets
+     * every cluster with all its contacts, including saved ones not on this graph.
+     */
+    async _editClusters(edit, message) {
+        if (!this.canEditClusters) return;
+        const previous = this._savedClusters;
+        const state = this._clusterState();
+        edit(state);
+        state.clusters = state.clusters.filter(c => c.contactIds.length > 0);
+
+        this._savedClusters = state;
+        this._refreshClusters();
+        this._announce(message);
+        try {
+            await saveGraphClusters({ recordId: this.recordId, clusterState: serializeClusterState(state) });
+        } catch (error) {
+            this._savedClusters = previous;
+            this._refreshClusters();
+            this.showError('Failed to save clusters: ' + this.extractErrorMessage(error));
+        }
+    }
+
+    // The clusters on screen, plus saved contacts not on this graph (passive, not loaded yet, other deals)
+    _clusterState() {
+        const onGraph = new Set(this.nodes.filter(n => n.nodeType === 'Contact').map(n => n.id));
+        const clusters = [...this.clusters.values()].map(c => ({
+            key: c.key,
+            name: c.name,
+            contactIds: c.nodes.map(n => n.id)
+        }));
+        for (const saved of this._savedClusters ? this._savedClusters.clusters : []) {
+            const offGraph = saved.contactIds.filter(id => !onGraph.has(id));
+            if (offGraph.length === 0) continue;
+            let cluster = clusters.find(c => c.key === saved.key);
+            if (!cluster) {
+                cluster = { key: saved.key, name: saved.name, contactIds: [] };
+                clusters.push(cluster);
+            }
+            cluster.contactIds.push(...offGraph);
+        }
+        return { clusters };
+    }
+
+    _refreshClusters() {
+        this.computeClusters();
+        this._updateInsights();
+        this._nudgeSimulation(0.3);
+    }
+
+    _clusterByKey(key) {
+        return [...this.clusters.values()].find(c => c.key === key) || null;
+    }
+
+    // Once per graph, or again on refresh; the graph falls back to detected clusters on failure
+    async _loadClusterEdits(reload) {
+        if (!this.canEditClusters || (this._clusterEditsLoaded && !reload)) return;
+        this._clusterEditsLoaded = true;
+        try {
+            this._savedClusters = parseClusterState(await getGraphClusters({ recordId: this.recordId }));
+        } catch (error) {
+            console.warn('Failed to load cluster edits, using detected clusters:', error);
+        }
+    }
+
+    // ─── Path Finder ───────────────────────────────────────────────
+
+    buildPathAdjacency() {
+        const adjacency = new Map();
+        for (const edge of this.edges) {
+            if (!PATH_EDGE_TYPES.includes(edge.edgeType)) continue;
+            const sId = edge.source.id;
+            const tId = edge.target.id;
+            if (sId === tId) continue;
+            const cost = this.getPathEdgeCost(edge);
+
+            if (!adjacency.has(sId)) adjacency.set(sId, []);
+            if (!adjacency.has(tId)) adjacency.set(tId, []);
+            adjacency.get(sId).push({ id: tId, edge, cost });
+            adjacency.get(tId).push({ id: sId, edge, cost });
+        }
+        return adjacency;
+    }
+
+    getPathEdgeCost(edge) {
+        // Strongest path = highest product of strengths = lowest sum of -log(strength)
+        const strength = Math.min(1, Math.max(edge.strength || 0, 0.01));
+        return -Math.log(strength);
+    }
+
+    findStrongestPath(adjacency, startId, targetId, blockedNodes = new Set(), blockedEdges = new Set()) {
+        const dist = new Map([[startId, 0]]);
+        const prev = new Map();
+        const visited = new Set();
+        const queue = new PriorityQueue();
+        queue.push(startId, 0);
+
+        // Dijkstra over a binary heap; paged accounts can reach thousands of contacts, and
+        // stale queue entries for nodes already settled are skipped
+        while (queue.size > 0) {
+            const current = queue.pop();
+            if (visited.has(current)) continue;
+            visited.add(current);
+            if (current === targetId) break;
+
+            for (const { id, edge, cost } of adjacency.get(current) || []) {
+                if (visited.has(id) || blockedNodes.has(id) || blockedEdges.has(edge)) continue;
+                const candidate = dist.get(current) + cost;
+                if (!dist.has(id) || candidate < dist.get(id)) {
+                    dist.set(id, candidate);
+                    prev.set(id, { id: current, edge });
+                    queue.push(id, candidate);
+                }
+            }
+        }
+
+        if (!visited.has(targetId)) return null;
+
+        const nodeIds = [targetId];
+        const edges = [];
+        let step = targetId;
+        while (step !== startId) {
+            const hop = prev.get(step);
+            edges.unshift(hop.edge);
+            nodeIds.unshift(hop.id);
+            step = hop.id;
+        }
+        return { nodeIds, edges, cost: dist.get(targetId) };
+    }
+
+    findRankedPaths(startId, targetId, maxPaths = MAX_RANKED_PATHS) {
+        if (!startId || !targetId || startId === targetId) return [];
+
+        const adjacency = this.buildPathAdjacency();
+        const first = this.findStrongestPath(adjacency, startId, targetId);
+        if (!first) return [];
+
+        // Yen's algorithm: branch off every prefix of the last accepted path
+        const paths = [first];
+        const candidates = [];
+        const seen = new Set([first.nodeIds.join('>')]);
+
+        while (paths.length < maxPaths) {
+            const last = paths[paths.length - 1];
+            for (let i = 0; i < last.nodeIds.length - 1; i++) {
+                const spurId = last.nodeIds[i];
+                const rootIds = last.nodeIds.slice(0, i + 1);
+
+                // Block the next hop of every accepted path sharing this prefix
+                const blockedEdges = new Set();
+                for (const p of paths) {
+                    if (p.edges[i] && rootIds.every((id, j) => p.nodeIds[j] === id)) {
+                        blockedEdges.add(p.edges[i]);
+                    }
+                }
+                const blockedNodes = new Set(rootIds.slice(0, -1));
+
+                const spur = this.findStrongestPath(adjacency, spurId, targetId, blockedNodes, blockedEdges);
+                if (!spur) continue;
+
+                const candidate = {
+                    nodeIds: rootIds.slice(0, -1).concat(spur.nodeIds),
+                    edges: last.edges.slice(0, i).concat(spur.edges)
+                };
+                const key = candidate.nodeIds.join('>');
+                if (seen.has(key)) continue;
+                seen.add(key);
+                candidate.cost = candidate.edges.reduce((sum, e) => sum + this.getPathEdgeCost(e), 0);
+                candidates.push(candidate);
+            }
+
+            if (candidates.length === 0) break;
+            candidates.sort((a, b) => a.cost - b.cost);
+            paths.push(candidates.shift());
+        }
+        return paths;
+    }
+
+    updatePathResults() {
+        this.rankedPaths = this.findRankedPaths(this.pathStartId, this.pathTargetId);
+        this.selectedPathIndex = 0;
+        this.renderCanvas();
+    }
+
+    get activePath() {
+        if (!this.pathMode) return null;
+        return this.rankedPaths[this.selectedPathIndex] || null;
+    }
+
+    // ─── Focus Mode ────────────────────────────────────────────────
+
+    focusOnNode(node) {
+        this.focusNodeId = node.id;
+        this._updateFocus();
+        const t = this.transform;
+        t.x = this.width / 2 - node.x * t.k;
+        t.y = this.height / 2 - node.y * t.k;
+        this._announce(this._focusSummary());
+        this.renderCanvas();
+    }
+
+    handleFocusSelectedNode() {
+        const node = this.selectedNode && this.nodes.find(n => n.id === this.selectedNode.id);
+        if (node) this.focusOnNode(node);
+    }
+
+    handleFocusHopsChange(event) {
+        this.focusHops = parseInt(event.currentTarget.dataset.hops, 10) || 1;
+        this._updateFocus();
+        this._announce(this._focusSummary());
+        this.renderCanvas();
+    }
+
+    /**
+     * Load everyone the focused contact works with from the server, including passive
+     * contacts not on screen and external contacts, and add them around the contact.
+     */
+    async handleExpandFocus() {
+        const node = this._focusNode();
+        if (!node || node.nodeType !== 'Contact' || this.isExpandingFocus) return;
+        this.isExpandingFocus = true;
+        try {
+            const accountId = this._classificationAccountId(node);
+            const data = await getContactNeighbourhood({
+                accountId,
+                contactId: node.id,
+                thresholdDays: this.config.activityThresholdDays || 90
+            });
+            // Portfolio contacts carry their account, which overrides are saved against
+            const added = this._mergeGraphNodes({
+                edges: (data && data.edges) || [],
+                nodes: ((data && data.nodes) || []).map(
+                    n => (n.nodeType === 'Contact' && !n.accountId ? { ...n, accountId } : n)
+                )
+            });
+            this._expandedFocusIds.add(node.id);
+            this._updateGraphStructure();
+            this._announce(
+                (added.length === 1 ? 'Added 1 node' : 'Added ' + added.length + ' nodes')
+                    + ' around ' + node.name + '. ' + this._focusSummary()
+            );
+            this._reheatSimulation();
+        } catch (error) {
+            this.showError('Failed to expand ' + node.name + ': ' + this.extractErrorMessage(error));
+        } finally {
+            this.isExpandingFocus = false;
+        }
+    }
+
+    exitFocusMode() {
+        if (!this.focusNodeId) return;
+        this.focusNodeId = null;
+        this._updateFocus();
+        this._announce('Focus cleared. ' + this._graphSummary());
+        this.renderCanvas();
+    }
+
+    // Recompute who is within range of the focused node; leaves focus mode if it is gone
+    _updateFocus() {
+        if (this.focusNodeId && !this.nodes.some(n => n.id === this.focusNodeId)) {
+            this.focusNodeId = null;
+        }
+        this._focusDistances = this.focusNodeId ? this._hopDistances(this.focusNodeId, this.focusHops) : null;
+        this._updateAccessibleGraph();
+    }
+
+    // Breadth-first over visible edges. Accounts are reached but not passed through,
+    // since every contact hangs off one.
+    _hopDistances(startId, maxHops) {
+        const nodeById = new Map(this.nodes.map(n => [n.id, n]));
+        const adjacency = new Map();
+        for (const edge of this.edges) {
+            if (edge.timelineHidden) continue;
+            const sId = edge.source.id;
+            const tId = edge.target.id;
+            if (!adjacency.has(sId)) adjacency.set(sId, []);
+            if (!adjacency.has(tId)) adjacency.set(tId, []);
+            adjacency.get(sId).push(tId);
+            adjacency.get(tId).push(sId);
+        }
+
+        const distances = new Map([[startId, 0]]);
+        let frontier = [startId];
+        for (let hop = 1; hop <= maxHops && frontier.length > 0; hop++) {
+            const next = [];
+            for (const id of frontier) {
+                const node = nodeById.get(id);
+                if (id !== startId && node && node.nodeType === 'Account') continue;
+                for (const neighbourId of adjacency.get(id) || []) {
+                    if (distances.has(neighbourId)) continue;
+                    distances.set(neighbourId, hop);
+                    next.push(neighbourId);
+                }
+            }
+            frontier = next;
+        }
+        return distances;
+    }
+
+    _isInFocus(node) {
+        return !this._focusDistances || this._focusDistances.has(node.id);
+    }
+
+    _focusNode() {
+        if (!this.focusNodeId) return null;
+        return this.nodes.find(n => n.id === this.focusNodeId) || null;
+    }
+
+    _focusSummary() {
+        const node = this._focusNode();
+        if (!node) return '';
+        const count = this.accessibleNodes.length;
+        return 'Focused on ' + node.name + ': ' + (count === 1 ? '1 node' : count + ' nodes')
+            + ' within ' + (this.focusHops === 1 ? '1 hop' : this.focusHops + ' hops') + '.';
+    }
+
+    // ─── Insights ──────────────────────────────────────────────────
+
+    toggleInsightsPanel() {
+        this.showInsightsPanel = !this.showInsightsPanel;
+        if (this.showInsightsPanel) {
+            // Shares the top left with the path finder, cluster editing and coverage
+            if (this.pathMode) this.closePathPanel();
+            this.showClustersPanel = false;
+            this.showCoveragePanel = false;
+            this._updateInsights();
+        }
+    }
+
+    closeInsightsPanel() {
+        this.showInsightsPanel = false;
+    }
+
+    handleInsightMetricChange(event) {
+        this.insightMetric = event.detail.value;
+    }
+
+    handleNodeSizeChange(event) {
+        const option = NODE_SIZE_OPTIONS.find(o => o.value === event.detail.value);
+        if (!option) return;
+        this.nodeSizeMetric = option.value;
+        this._updateInsights();
+        if (option.value === 'interactions') this._applyNodeSizes();
+
+        // forceCollide reads radii once; setting the accessor again picks up the new sizes
+        const collision = this.simulation && this.simulation.force('collision');
+        if (collision) collision.radius(d => d.radius + 5);
+        this._announce('Node size shows ' + option.label.toLowerCase() + '.');
+        this._nudgeSimulation(0.3);
+    }
+
+    handleInsightClick(event) {
+        const node = this.nodes.find(n => n.id === event.currentTarget.dataset.id);
+        if (node) this._revealNode(node);
+    }
+
+    // Metrics are kept while the panel is open or they drive node size, and recomputed with the graph
+    _updateInsights() {
+        const metricSizing = this.nodeSizeMetric !== 'interactions';
+        this._insights = this.showInsightsPanel || metricSizing ? this._computeInsights() : null;
+        if (metricSizing) this._applyNodeSizes();
+    }
+
+    _computeInsights() {
+        const graph = buildMetricGraph(this.nodes, this.edges);
+        const clusterOf = new Map();
+        for (const node of this.nodes) {
+            if (node.nodeType === 'Contact' && node.clusterId != null && node.clusterId >= 0) {
+                clusterOf.set(node.id, node.clusterId);
+            }
+        }
+        const scores = {
+            degree: degreeCentrality(graph),
+            betweenness: betweennessCentrality(graph),
+            eigenvector: eigenvectorCentrality(graph)
+        };
+
+        // Node size compares everyone with the top scorer
+        const sizeScores = {};
+        for (const [metric, values] of Object.entries(scores)) {
+            const max = Math.max(0, ...values.values());
+            sizeScores[metric] = new Map([...values].map(([id, value]) => [id, max > 0 ? value / max : 0]));
+        }
+        return {
+            scores,
+            sizeScores,
+            brokers: findBrokers(graph, clusterOf),
+            isolated: findIsolatedContacts(this.nodes, this.edges)
+        };
+    }
+
+    // Radii of people, after the node size setting or the metrics behind it change
+    _applyNodeSizes() {
+        for (const node of this.nodes) {
+            if (node.nodeType !== 'Contact' && node.nodeType !== 'External_Contact') continue;
+            node.radius = this.getNodeRadius(
+                node.timelineState ? { ...node, interactionCount: node.timelineState.interactionCount } : node
+            );
+        }
+        this._hitIndex = null;
+    }
+
+    // 0-1 relative to the top scorer, or null while nodes are sized by interactions
+    _nodeSizeScore(node) {
+        if (this.nodeSizeMetric === 'interactions' || !this._insights) return null;
+        return this._insights.sizeScores[this.nodeSizeMetric].get(node.id) || 0;
+    }
+
+    // Ranked { node, meta } for the chosen Insights metric
+    _rankedInsights() {
+        if (!this._insights) return [];
+        const nodeById = new Map(this.nodes.map(n => [n.id, n]));
+        const byName = (a, b) => (a.node.name || '').localeCompare(b.node.name || '');
+        const { scores, brokers, isolated } = this._insights;
+
+        if (this.insightMetric === 'brokers') {
+            // Most clusters linked first, then whoever carries the most shortest paths
+            const betweenness = scores.betweenness;
+            return [...brokers]
+                .sort((a, b) => b.clusterIds.length - a.clusterIds.length
+                    || betweenness.get(b.id) - betweenness.get(a.id))
+                .map(broker => ({
+                    node: nodeById.get(broker.id),
+                    meta: 'Links ' + this._joinNames(broker.clusterIds.map(id => this.clusters.get(id).label))
+                }));
+        }
+        if (this.insightMetric === 'isolated') {
+            return isolated
+                .map(node => {
+                    const count = node.interactionCount || 0;
+                    return { node, count, meta: count === 1 ? '1 interaction' : count + ' interactions' };
+                })
+                .sort((a, b) => b.count - a.count || byName(a, b));
+        }
+
+        const format = {
+            degree: value => (value === 1 ? '1 connection' : value + ' connections'),
+            betweenness: value => Math.round(value * 100) + '% of shortest paths',
+            eigenvector: value => 'Score ' + value.toFixed(2)
+        }[this.insightMetric];
+        return [...scores[this.insightMetric]]
+            .filter(([, value]) => value > 0)
+            .map(([id, value]) => ({ node: nodeById.get(id), value, meta: format(value) }))
+            .sort((a, b) => b.value - a.value || byName(a, b));
+    }
+
+    _joinNames(names) {
+        if (names.length <= 1) return names.join('');
+        return names.slice(0, -1).join(', ') + ' and ' + names[names.length - 1];
+    }
+
+    // ─── Timeline Playback ─────────────────────────────────────────
+
+    timelineEdgeKey(sourceId, targetId, edgeType) {
+        return (sourceId < targetId ? sourceId + '_' + targetId : targetId + '_' + sourceId) + ':' + edgeType;
+    }
+
+    applyTimelineSnapshot() {
+        const snapshot = this.timelineData && this.timelineData.snapshots[this.timelineIndex];
+        if (!snapshot) return;
+
+        const nodeStates = new Map((snapshot.nodes || []).map(n => [n.id, n]));
+        const edgeStates = new Map();
+        for (const e of snapshot.edges || []) {
+            edgeStates.set(this.timelineEdgeKey(e.source, e.target, e.edgeType), e);
+        }
+
+        // Contacts appear once they have interacted; size follows interactions so far
+        for (const node of this.nodes) {
+            if (node.nodeType !== 'Contact') continue;
+            const state = nodeStates.get(node.id) || null;
+            node.timelineState = state;
+            node.timelineHidden = !state;
+            node.radius = this.getNodeRadius(
+                state ? { ...node, interactionCount: state.interactionCount } : node
+            );
+            node.color = this.getNodeColor(node);
+        }
+
+        for (const edge of this.edges) {
+            const endpointHidden = edge.source.timelineHidden || edge.target.timelineHidden;
+            if (edge.edgeType === 'co_occurrence' || edge.edgeType === 'account_relationship') {
+                const state = edgeStates.get(
+                    this.timelineEdgeKey(edge.source.id, edge.target.id, edge.edgeType)
+                );
+                edge.timelineStrength = state ? state.strength : null;
+                edge.timelineHidden = !state || endpointHidden;
+            } else {
+                edge.timelineHidden = !!endpointHidden;
+            }
+        }
+
+        this._hitIndex = null;
+        this._updateFocus();
+        this.renderCanvas();
+    }
+
+    clearTimelineState() {
+        for (const node of this.nodes) {
+            if (node.nodeType !== 'Contact') continue;
+            node.timelineState = null;
+            node.timelineHidden = false;
+            node.radius = this.getNodeRadius(node);
+            node.color = this.getNodeColor(node);
+        }
+        for (const edge of this.edges) {
+            edge.timelineHidden = false;
+            edge.timelineStrength = null;
+        }
+        this._hitIndex = null;
+        this._updateFocus();
+    }
+
+    // ─── D3 Force Simulation ────────────────────────────────────────
+
+    initCanvas() {
+        const container = this.refs.canvasContainer;
+        if (!container) return;
 
         this.width = container.clientWidth || 800;
         this.height = container.clientHeight || 600;
@@ -455,6 +1960,14 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         this.canvas.height = this.height;
         this.canvas.style.width = '100%';
         this.canvas.style.height = '100%';
+        // Touch gestures are handled below instead of scrolling or zooming the page
+        this.canvas.style.touchAction = 'none';
+        // Focusable so the graph can be used from the keyboard; the node tables below mirror it for screen readers
+        this.canvas.tabIndex = 0;
+        this.canvas.setAttribute('role', 'application');
+        this.canvas.setAttribute('aria-label',
+            'Relationship graph. Arrow keys move between connected nodes, Enter opens details, '
+            + 'plus and minus zoom, Escape closes details.');
         container.appendChild(this.canvas);
 
         this.ctx = this.canvas.getContext('2d');
@@ -466,6 +1979,13 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         this.canvas.addEventListener('click', this.handleCanvasClick.bind(this));
         this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
         this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
+        this.canvas.addEventListener('keydown', this.handleCanvasKeyDown.bind(this));
+        this.canvas.addEventListener('focus', this.handleCanvasFocus.bind(this));
+        this.canvas.addEventListener('blur', this.handleCanvasBlur.bind(this));
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+        this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+        this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp.bind(this));
 
         // Handle resize
         this.resizeObserver = new ResizeObserver(() => {
@@ -483,23 +2003,54 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
             this.simulation.stop();
         }
 
+        const layout = this.layoutMode === 'force' ? null : this._computeLayout();
+        this._layoutGuides = layout ? layout.guides : null;
+
         // eslint-disable-next-line no-undef
         const d3 = window.d3;
-        if (!d3) return;
+        if (!d3 || (layout && this.isLayoutFrozen)) {
+            // Without d3, or while frozen, a fixed layout places nodes without animating
+            this.simulation = null;
+            if (layout) this._moveNodesTo(layout.positions);
+            return;
+        }
+
+        const onTick = () => {
+            this._hitIndex = null;
+            this.renderCanvas();
+        };
+
+        // Fixed layouts pull each node to its place, so switching layouts animates
+        if (layout) {
+            const target = d => layout.positions.get(d.id) || d;
+            this.simulation = d3.forceSimulation(this.nodes)
+                .force('x', d3.forceX(d => target(d).x).strength(0.3))
+                .force('y', d3.forceY(d => target(d).y).strength(0.3))
+                .alphaDecay(0.05)
+                .on('tick', onTick);
+            return;
+        }
+
+        // The deal sits at the center of its buying committee
+        if (this.isOpportunityMode) {
+            const oppNode = this.nodes.find(n => n.nodeType === 'Opportunity' && n.id === this.recordId);
+            if (oppNode && oppNode.fx == null) {
+                oppNode.fx = this.width / 2;
+                oppNode.fy = this.height / 2;
+            }
+        }
 
-        // In hierarchy mode, fix the Account node at center
+        // In hierarchy mode, fix the Account node at center (unless a shared link placed it)
         if (this.showHierarchy) {
             const accountNode = this.nodes.find(
                 n => n.nodeType === 'Account' && !n.isHierarchyAccount
             );
-            if (accountNode) {
+            if (accountNode && accountNode.fx == null) {
                 accountNode.fx = this.width / 2;
                 accountNode.fy = this.height / 2;
             }
         }
 
-        // Store reference for cluster force closure
-        const clusters = this.clusters;
         const w = this.width;
         const h = this.height;
 
@@ -512,6 +2063,7 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
                     if (d.edgeType === 'cross_account') return 180;
                     if (d.edgeType === 'hierarchy') return 200;
                     if (d.edgeType === 'moved_to') return 100;
+                    if (d.edgeType === 'seat_candidate') return 90;
                     if (d.edgeType === 'account_relationship') return 120;
                     return 120;
                 })
@@ -527,14 +2079,9 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
             )
             .force('cluster', (alpha) => {
                 // Attract same-cluster nodes toward their centroid
-                if (!clusters || clusters.size <= 1) return;
+                if (!this.clusters || this.clusters.size <= 1) return;
                 const strength = 0.15 * alpha;
-                const centroids = new Map();
-                for (const [cid, cluster] of clusters) {
-                    let cx = 0, cy = 0;
-                    for (const n of cluster.nodes) { cx += n.x; cy += n.y; }
-                    centroids.set(cid, { x: cx / cluster.nodes.length, y: cy / cluster.nodes.length });
-                }
+                const centroids = this.clusterCentroids();
                 for (const node of this.nodes) {
                     if (node.clusterId == null || node.clusterId < 0 || node.fx != null) continue;
                     const centroid = centroids.get(node.clusterId);
@@ -554,8 +2101,107 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
                     if (node.y > h - pad) node.vy -= 1;
                 }
             })
-            .alphaDecay(0.02)
-            .on('tick', () => this.renderCanvas());
+            // Large graphs settle in about half as many ticks
+            .alphaDecay(this._largeGraph ? 0.04 : 0.02)
+            .on('tick', onTick);
+    }
+
+    // ─── Layouts ───────────────────────────────────────────────────
+
+    handleLayoutSelect(event) {
+        const value = event.detail.value;
+        if (value === 'freeze') {
+            this.toggleLayoutFreeze();
+            return;
+        }
+        const option = LAYOUT_OPTIONS.find(o => o.value === value);
+        if (!option || value === this.layoutMode) return;
+
+        // Pins from the previous layout would hold nodes out of their new places
+        this.layoutMode = value;
+        for (const node of this.nodes) {
+            node.fx = null;
+            node.fy = null;
+        }
+        this.startSimulation();
+        if (this._layoutGuides) {
+            this._fitTransform(this._computeLayout().bounds);
+        }
+        this._announce(option.label + ' layout.');
+        this.renderCanvas();
+    }
+
+    toggleLayoutFreeze() {
+        this.isLayoutFrozen = !this.isLayoutFrozen;
+        if (this.isLayoutFrozen) {
+            if (this.simulation) this.simulation.stop();
+        } else if (this.layoutMode !== 'force') {
+            this.startSimulation();
+        } else if (this.simulation) {
+            this.simulation.alpha(0.3).restart();
+        }
+        this._announce(this.isLayoutFrozen ? 'Layout frozen.' : 'Layout unfrozen.');
+    }
+
+    _computeLayout() {
+        const center = { x: this.width / 2, y: this.height / 2 };
+        if (this.layoutMode === 'orgChart') {
+            return orgChartLayout(this.nodes, center);
+        }
+        if (this.layoutMode === 'radial') {
+            const centerNode = this.nodes.find(n => this._isLayoutAnchor(n))
+                || this.nodes.find(n => n.nodeType === 'Account' && !n.isHierarchyAccount && !this.isPortfolioMode);
+            return radialLayout(this.nodes, centerNode ? centerNode.id : null, center);
+        }
+        const classifications = this.config.classifications && this.config.classifications.length
+            ? this.config.classifications
+            : Object.keys(CLASSIFICATION_COLORS);
+        return swimlaneLayout(this.nodes, classifications, center);
+    }
+
+    // Places nodes directly; pinned nodes stay where they were put
+    _moveNodesTo(positions) {
+        for (const node of this.nodes) {
+            const pos = positions.get(node.id);
+            if (!pos || node.fx != null) continue;
+            node.x = pos.x;
+            node.y = pos.y;
+        }
+        this._hitIndex = null;
+        this.renderCanvas();
+    }
+
+    // Zoom out (never in) until the whole layout fits the canvas
+    _fitTransform(box) {
+        const w = box.maxX - box.minX + 2 * LAYOUT_FIT_PADDING;
+        const h = box.maxY - box.minY + 2 * LAYOUT_FIT_PADDING;
+        const k = Math.min(1, this.width / w, this.height / h);
+        this.transform = {
+            x: this.width / 2 - ((box.minX + box.maxX) / 2) * k,
+            y: this.height / 2 - ((box.minY + box.maxY) / 2) * k,
+            k
+        };
+    }
+
+    // Let the layout react to a change; a frozen layout only redraws
+    _nudgeSimulation(alpha) {
+        if (this.simulation && !this.isLayoutFrozen) {
+            this.simulation.alpha(alpha).restart();
+            return;
+        }
+        this._hitIndex = null;
+        this.renderCanvas();
+    }
+
+    // A dragged node is pinned where it is; in a frozen layout nothing else moves it there
+    _dragNodeTo(node, x, y) {
+        node.fx = x;
+        node.fy = y;
+        if (this.isLayoutFrozen) {
+            node.x = x;
+            node.y = y;
+        }
+        this._nudgeSimulation(0.3);
     }
 
     // ─── Canvas Rendering ───────────────────────────────────────────
@@ -573,12 +2219,16 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         ctx.translate(t.x, t.y);
         ctx.scale(t.k, t.k);
 
-        // Draw cluster hulls (translucent backgrounds)
-        if (this.clusters && this.clusters.size > 1) {
-            for (const [, cluster] of this.clusters) {
-                if (cluster.nodes.length < 2) continue;
+        this.drawLayoutGuides(ctx);
 
-                const points = cluster.nodes.map(n => [n.x, n.y]);
+        // Draw cluster hulls (translucent backgrounds); fixed layouts place clusters apart
+        this._clusterHulls = [];
+        if (this.layoutMode === 'force' && this.clusters && this.clusters.size > 1) {
+            for (const [clusterId, cluster] of this.clusters) {
+                const visible = cluster.nodes.filter(n => !n.timelineHidden);
+                if (visible.length < 2) continue;
+
+                const points = visible.map(n => [n.x, n.y]);
                 const hull = this.convexHull(points);
                 if (hull.length < 3) continue;
 
@@ -587,13 +2237,16 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
                 const cx = hull.reduce((s, p) => s + p[0], 0) / hull.length;
                 const cy = hull.reduce((s, p) => s + p[1], 0) / hull.length;
 
-                ctx.beginPath();
-                hull.forEach((p, i) => {
+                const padded = hull.map(p => {
                     const dx = p[0] - cx;
                     const dy = p[1] - cy;
                     const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-                    const px = p[0] + (dx / dist) * padding;
-                    const py = p[1] + (dy / dist) * padding;
+                    return [p[0] + (dx / dist) * padding, p[1] + (dy / dist) * padding];
+                });
+                this._clusterHulls.push({ clusterId, points: padded });
+
+                ctx.beginPath();
+                padded.forEach(([px, py], i) => {
                     if (i === 0) { ctx.moveTo(px, py); } else { ctx.lineTo(px, py); }
                 });
                 ctx.closePath();
@@ -612,16 +2265,47 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
             }
         }
 
-        // Draw edges
+        // Only what is in the viewport is drawn; exports draw everything
+        const view = this._isExporting ? null : this._viewBounds();
+
+        // Draw edges (dim everything off the highlighted path or outside the focus)
+        const activePath = this.activePath;
+        const pathEdges = activePath ? new Set(activePath.edges) : null;
+        const bundled = this._bundleEdges();
+        this._bundledEdges = bundled ? bundled.edges : null;
         this.edges.forEach(edge => {
+            if (edge.timelineHidden) return;
+            if (bundled && bundled.edges.has(edge)) return;
+            if (view && !overlaps(edgeBox(edge), view)) return;
+            if (pathEdges && !pathEdges.has(edge)) {
+                ctx.globalAlpha = 0.25;
+            } else if (!this._isInFocus(edge.source) || !this._isInFocus(edge.target)) {
+                ctx.globalAlpha = FOCUS_DIM_ALPHA;
+            }
             this.drawEdge(ctx, edge);
+            ctx.globalAlpha = 1;
         });
+        if (bundled) {
+            if (pathEdges) ctx.globalAlpha = 0.25;
+            this.drawEdgeBundles(ctx, bundled.bundles);
+            ctx.globalAlpha = 1;
+        }
+
+        if (activePath) {
+            this.drawPathHighlight(ctx, activePath);
+        }
 
         // Draw nodes
         this.nodes.forEach(node => {
+            if (node.timelineHidden) return;
+            if (view && !overlaps(nodeBox(node), view)) return;
             this.drawNode(ctx, node);
         });
 
+        if (activePath) {
+            this.drawPathNodeRings(ctx, activePath);
+        }
+
         // Draw hovered node highlight
         if (this.hoveredNode) {
             this.drawNodeHighlight(ctx, this.hoveredNode);
@@ -633,6 +2317,13 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
             this.drawEdgeTooltip(ctx, this.hoveredEdge);
         }
 
+        // Keyboard focus, with the same tooltip a hover shows
+        const focusedNode = this._canvasFocused && !this._isExporting ? this._keyboardFocusNode() : null;
+        if (focusedNode) {
+            this.drawFocusRing(ctx, focusedNode);
+            if (!this.hoveredNode) this.drawTooltip(ctx, focusedNode);
+        }
+
         ctx.restore();
 
         // Draw fixed UI elements (not affected by zoom/pan, skip during export)
@@ -662,17 +2353,27 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
             edgeColor = 'rgba(1, 118, 211, 0.6)';
         } else if (edge.edgeType === 'moved_to') {
             edgeColor = 'rgba(198, 40, 40, 0.7)';
+        } else if (edge.edgeType === 'seat_candidate') {
+            edgeColor = 'rgba(112, 110, 107, 0.6)';
         } else {
             edgeColor = 'rgba(50, 50, 50, 0.4)';
         }
 
+        // Timeline playback shows the strength as of the current snapshot
+        const strength = edge.timelineStrength != null ? edge.timelineStrength : edge.strength;
+
         ctx.strokeStyle = edgeColor;
         ctx.lineWidth = edge.edgeType === 'hierarchy'
             ? 3
             : edge.edgeType === 'moved_to'
                 ? 2.5
-                : Math.max(1, (edge.strength || 0.1) * 4);
+                : edge.edgeType === 'seat_candidate'
+                    ? 1.5
+                    : Math.max(1, (strength || 0.1) * 4);
+        // Suggestions are dashed, like the open seats they point to
+        if (edge.edgeType === 'seat_candidate') ctx.setLineDash([4, 3]);
         ctx.stroke();
+        ctx.setLineDash([]);
 
         // Arrow for moved_to edges (points toward the new company)
         if (edge.edgeType === 'moved_to') {
@@ -704,19 +2405,41 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
             ctx.textAlign = 'center';
             ctx.fillText('moved to', midX, midY - 5);
         }
+
+        if (edge.edgeType === 'opportunity_role' && edge.label && this._shouldDrawEdgeLabel(edge)) {
+            this.drawEdgeLabel(ctx, edge);
+        }
+    }
+
+    // Contact roles at the middle of the edge, on a backing so crossing edges don't hide them
+    drawEdgeLabel(ctx, edge) {
+        const maxChars = 20;
+        const label = edge.label.length > maxChars
+            ? edge.label.substring(0, maxChars) + '...'
+            : edge.label;
+        const midX = (edge.source.x + edge.target.x) / 2;
+        const midY = (edge.source.y + edge.target.y) / 2;
+
+        ctx.font = '9px sans-serif';
+        const w = ctx.measureText(label).width + 6;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(midX - w / 2, midY - 7, w, 12);
+        ctx.fillStyle = '#b26a00';
+        ctx.textAlign = 'center';
+        ctx.fillText(label, midX, midY + 2);
     }
 
     drawNode(ctx, node) {
         const radius = node.radius;
         const isMoved = node.hasMovedCompany === true;
         const isMovedToCompany = node.nodeType === 'Moved_To_Company';
+        const isOpenSeat = node.nodeType === 'Committee_Seat';
         const isHierarchyAcct = node.isHierarchyAccount === true;
+        const alpha = this._isInFocus(node) ? 1 : FOCUS_DIM_ALPHA;
 
         ctx.save();
 
-        if (isHierarchyAcct) {
-            ctx.globalAlpha = 0.7;
-        }
+        ctx.globalAlpha = isHierarchyAcct ? 0.7 * alpha : alpha;
 
         ctx.beginPath();
 
@@ -744,8 +2467,8 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
             ctx.arc(node.x, node.y, radius, 0, 2 * Math.PI);
         }
 
-        // Fill color (node.color already handles moved = grey)
-        ctx.fillStyle = node.color;
+        // Fill color (node.color already handles moved = grey); open seats are hollow
+        ctx.fillStyle = isOpenSeat ? 'rgba(255, 255, 255, 0.85)' : node.color;
         ctx.fill();
 
         // Border
@@ -756,6 +2479,10 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
             ctx.strokeStyle = '#c62828';
             ctx.lineWidth = 2;
             ctx.setLineDash([4, 3]);
+        } else if (isOpenSeat) {
+            ctx.strokeStyle = node.color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 3]);
         } else if (isHierarchyAcct && node.hierarchyLevel === 'parent') {
             ctx.strokeStyle = '#003d73';
             ctx.lineWidth = 3;
@@ -779,7 +2506,7 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         // Risk ring indicator (dashed ring is ok per user)
         if (node.nodeType === 'Contact' && this.riskNodeIds.has(node.id)) {
             const severity = this.riskNodeIds.get(node.id);
-            ctx.globalAlpha = 1;
+            ctx.globalAlpha = alpha;
             ctx.beginPath();
             ctx.arc(node.x, node.y, radius + 5, 0, 2 * Math.PI);
             ctx.strokeStyle = severity === 'high' ? '#c62828' : '#ef6c00';
@@ -791,7 +2518,7 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
 
         // Search match highlight
         if (this.searchMatchIds.has(node.id)) {
-            ctx.globalAlpha = 1;
+            ctx.globalAlpha = alpha;
             ctx.beginPath();
             ctx.arc(node.x, node.y, radius + 7, 0, 2 * Math.PI);
             ctx.strokeStyle = '#0176d3';
@@ -801,10 +2528,15 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
 
         ctx.restore();
 
+        if (!this._shouldDrawLabel(node)) return;
+
         // Node label
         if (node.nodeType === 'Account' || isMovedToCompany) {
             ctx.font = 'bold 12px sans-serif';
             ctx.fillStyle = isMovedToCompany ? '#c62828' : '#333';
+        } else if (isOpenSeat) {
+            ctx.font = 'italic 10px sans-serif';
+            ctx.fillStyle = node.color;
         } else {
             ctx.font = '10px sans-serif';
             ctx.fillStyle = isMoved ? '#999' : '#333';
@@ -842,6 +2574,174 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         }
     }
 
+    // One line per pair of clusters, thicker the more co-occurrence edges it stands for
+    drawEdgeBundles(ctx, bundles) {
+        const centroids = this.clusterCentroids();
+        const k = this.transform.k;
+        ctx.strokeStyle = 'rgba(100, 100, 100, 0.35)';
+        for (const bundle of bundles) {
+            const from = centroids.get(bundle.from);
+            const to = centroids.get(bundle.to);
+            if (!from || !to) continue;
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.lineWidth = Math.min(12, 1 + Math.log2(bundle.count) * 1.5) / k;
+            ctx.stroke();
+        }
+    }
+
+    // Reporting lines, strength rings or classification lanes behind a fixed layout
+    drawLayoutGuides(ctx) {
+        const guides = this._layoutGuides;
+        if (!guides) return;
+
+        if (guides.lanes) {
+            guides.lanes.forEach((lane, i) => {
+                ctx.fillStyle = i % 2 === 0 ? 'rgba(0, 0, 0, 0.03)' : 'rgba(0, 0, 0, 0.06)';
+                ctx.fillRect(lane.x, guides.top, lane.width, guides.bottom - guides.top);
+                ctx.fillStyle = CLASSIFICATION_COLORS[lane.label] || '#9e9e9e';
+                ctx.fillRect(lane.x, guides.top, lane.width, 4);
+                ctx.font = 'bold 12px sans-serif';
+                ctx.fillStyle = '#333';
+                ctx.textAlign = 'center';
+                ctx.fillText(lane.label + ' (' + lane.count + ')', lane.x + lane.width / 2, guides.top + 24);
+            });
+        }
+
+        if (guides.rings) {
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.15)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.font = '11px sans-serif';
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            ctx.textAlign = 'center';
+            for (const ring of guides.rings) {
+                ctx.beginPath();
+                ctx.arc(guides.cx, guides.cy, ring.radius, 0, 2 * Math.PI);
+                ctx.stroke();
+                ctx.fillText(ring.label + ' (' + ring.count + ')', guides.cx, guides.cy - ring.radius - 6);
+            }
+            ctx.setLineDash([]);
+        }
+
+        if (guides.reportingLines) {
+            // Elbow connectors from manager down to report, following the nodes as they move
+            const nodeMap = new Map(this.nodes.map(n => [n.id, n]));
+            ctx.strokeStyle = '#b0bec5';
+            ctx.lineWidth = 1.5;
+            for (const [managerId, reportId] of guides.reportingLines) {
+                const manager = nodeMap.get(managerId);
+                const report = nodeMap.get(reportId);
+                if (!manager || !report) continue;
+                const midY = (manager.y + report.y) / 2;
+                ctx.beginPath();
+                ctx.moveTo(manager.x, manager.y);
+                ctx.lineTo(manager.x, midY);
+                ctx.lineTo(report.x, midY);
+                ctx.lineTo(report.x, report.y);
+                ctx.stroke();
+            }
+        }
+    }
+
+    // ─── Level of Detail ───────────────────────────────────────────
+
+    _viewBounds() {
+        const t = this.transform;
+        return {
+            minX: -t.x / t.k - CULL_MARGIN,
+            minY: -t.y / t.k - CULL_MARGIN,
+            maxX: (this.width - t.x) / t.k + CULL_MARGIN,
+            maxY: (this.height - t.y) / t.k + CULL_MARGIN
+        };
+    }
+
+    // Accounts, exports and whatever the user is looking at are always labelled; outside
+    // the focus only the hovered node is
+    _shouldDrawLabel(node) {
+        if (!this._isInFocus(node)) return node === this.hoveredNode;
+        if (this._isExporting || node.nodeType === 'Account' || node.nodeType === 'Moved_To_Company'
+            || node.nodeType === 'Committee_Seat') return true;
+        if (node === this.hoveredNode || node.id === this._focusedNodeId || this.searchMatchIds.has(node.id)) return true;
+        if (this.selectedNode && this.selectedNode.id === node.id) return true;
+
+        const k = this.transform.k;
+        if (10 * k < MIN_LABEL_FONT_PX) return false;
+        return !this._largeGraph || node.radius * k >= LARGE_GRAPH_LABEL_RADIUS;
+    }
+
+    // An edge is labelled when both its ends are, so roles follow the node label rules
+    _shouldDrawEdgeLabel(edge) {
+        if (edge === this.hoveredEdge) return true;
+        return this._shouldDrawLabel(edge.source) && this._shouldDrawLabel(edge.target);
+    }
+
+    /**
+     * Zoomed out on a large graph, co-occurrence edges between clustered contacts are merged into
+     * one bundle per pair of clusters, and those inside a cluster are left to its hull. Edges on the
+     * highlighted path or touching the hovered or selected node are still drawn on their own.
+     * Focus mode and fixed layouts never bundle: the first keeps the focused circle's edges
+     * individual, and the second has no cluster centroids to bundle between.
+     * @returns {Object} { edges: Set of bundled edges, bundles: [{ from, to, count }] }, or null
+     */
+    _bundleEdges() {
+        if (!this._largeGraph || this._isExporting || this.focusNodeId || this.layoutMode !== 'force') return null;
+        if (this.transform.k >= EDGE_BUNDLE_ZOOM) return null;
+
+        const activePath = this.activePath;
+        const pathEdges = activePath ? new Set(activePath.edges) : null;
+        const keepIds = new Set();
+        if (this.hoveredNode) keepIds.add(this.hoveredNode.id);
+        if (this.selectedNode) keepIds.add(this.selectedNode.id);
+
+        const edges = new Set();
+        const bundles = new Map();
+        for (const edge of this.edges) {
+            if (edge.edgeType !== 'co_occurrence' || edge.timelineHidden) continue;
+            const a = edge.source.clusterId;
+            const b = edge.target.clusterId;
+            if (a == null || b == null || a < 0 || b < 0) continue;
+            if (pathEdges && pathEdges.has(edge)) continue;
+            if (keepIds.has(edge.source.id) || keepIds.has(edge.target.id)) continue;
+
+            edges.add(edge);
+            if (a === b) continue;
+            const key = Math.min(a, b) + ':' + Math.max(a, b);
+            if (!bundles.has(key)) bundles.set(key, { from: Math.min(a, b), to: Math.max(a, b), count: 0 });
+            bundles.get(key).count++;
+        }
+        return { edges, bundles: [...bundles.values()] };
+    }
+
+    drawPathHighlight(ctx, path) {
+        ctx.save();
+        ctx.beginPath();
+        path.edges.forEach(edge => {
+            ctx.moveTo(edge.source.x, edge.source.y);
+            ctx.lineTo(edge.target.x, edge.target.y);
+        });
+        ctx.strokeStyle = PATH_HIGHLIGHT_COLOR;
+        ctx.lineWidth = 6;
+        ctx.lineCap = 'round';
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawPathNodeRings(ctx, path) {
+        const nodeMap = new Map(this.nodes.map(n => [n.id, n]));
+        path.nodeIds.forEach((id, idx) => {
+            const node = nodeMap.get(id);
+            if (!node) return;
+            const isEndpoint = idx === 0 || idx === path.nodeIds.length - 1;
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, node.radius + 4, 0, 2 * Math.PI);
+            ctx.strokeStyle = PATH_HIGHLIGHT_COLOR;
+            ctx.lineWidth = isEndpoint ? 4 : 2.5;
+            ctx.stroke();
+        });
+    }
+
     drawNodeHighlight(ctx, node) {
         ctx.beginPath();
         ctx.arc(node.x, node.y, node.radius + 4, 0, 2 * Math.PI);
@@ -850,11 +2750,33 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         ctx.stroke();
     }
 
+    // Dashed ring on a white halo so it stands out from the hover highlight and on any fill
+    drawFocusRing(ctx, node) {
+        ctx.beginPath();
+        ctx.arc(node.x, node.y, node.radius + 7, 0, 2 * Math.PI);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 5;
+        ctx.stroke();
+        ctx.setLineDash([5, 3]);
+        ctx.strokeStyle = FOCUS_RING_COLOR;
+        ctx.lineWidth = 2.5;
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
     drawTooltip(ctx, node) {
         const lines = [node.name];
         if (node.nodeType === 'Moved_To_Company') {
             lines.push('Contact moved here');
         }
+        if (node.nodeType === 'Committee_Seat') {
+            lines.push('Open committee seat');
+            const names = this._nodeNames(node.candidateIds);
+            lines.push(names.length ? 'Suggested: ' + names.join(', ') : 'No suggested contacts');
+        }
+        if (node.coverageScore != null) {
+            lines.push('Committee coverage: ' + Math.round(node.coverageScore * 100) + '%');
+        }
         if (node.title) lines.push(node.title);
         if (node.hasMovedCompany) {
             lines.push('\u274C No longer at company');
@@ -909,15 +2831,7 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         const midX = (edge.source.x + edge.target.x) / 2;
         const midY = (edge.source.y + edge.target.y) / 2;
 
-        const typeLabels = {
-            'co_occurrence': 'Co-occurrence',
-            'account_relationship': 'Account Relationship',
-            'opportunity_role': 'Opportunity Role',
-            'cross_account': 'Cross-Account',
-            'hierarchy': 'Hierarchy',
-            'moved_to': 'Moved To'
-        };
-        const lines = [typeLabels[edge.edgeType] || edge.edgeType];
+        const lines = [EDGE_TYPE_LABELS[edge.edgeType] || edge.edgeType];
         if (edge.label) lines.push('Role: ' + edge.label);
         if (edge.interactionCount) lines.push(edge.interactionCount + ' interactions');
         if (edge.strength) lines.push('Strength: ' + (edge.strength * 100).toFixed(0) + '%');
@@ -943,8 +2857,8 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         });
     }
 
-    drawLegend(ctx) {
-        // Only show legend items relevant to the current graph
+    // Only show legend items relevant to the current graph
+    getLegendItems() {
         const legendItems = [];
         if (this.riskNodeIds && this.riskNodeIds.size > 0) {
             legendItems.push({ type: 'ring', color: '#c62828', label: 'At-risk (dashed ring)' });
@@ -956,15 +2870,24 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         if (hasMovedToEdge) {
             legendItems.push({ type: 'arrow', label: 'Moved to (new company)' });
         }
+        if (this.nodes && this.nodes.some(n => n.nodeType === 'Committee_Seat')) {
+            legendItems.push({ type: 'ring', color: '#706e6b', label: 'Open committee seat' });
+        }
+        if (this.activePath) {
+            legendItems.push({ type: 'path', label: 'Strongest path' });
+        }
+        return legendItems;
+    }
 
-        if (legendItems.length === 0) return;
+    // Returns the height drawn, so the PDF export can stack its own legend sections below
+    drawLegend(ctx, legendX = 12, legendY = 12) {
+        const legendItems = this.getLegendItems();
+        if (legendItems.length === 0) return 0;
 
         const padding = 8;
         const lineHeight = 18;
         const legendW = 210;
         const legendH = legendItems.length * lineHeight + padding * 2;
-        const legendX = 12;
-        const legendY = 12;
 
         // Background
         ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
@@ -1022,11 +2945,19 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
                 ctx.closePath();
                 ctx.fillStyle = '#c62828';
                 ctx.fill();
+            } else if (item.type === 'path') {
+                ctx.beginPath();
+                ctx.moveTo(iconX, y);
+                ctx.lineTo(iconX + 28, y);
+                ctx.strokeStyle = PATH_HIGHLIGHT_COLOR;
+                ctx.lineWidth = 5;
+                ctx.stroke();
             }
 
             ctx.fillStyle = '#555';
             ctx.fillText(item.label, textX, y + 3);
         });
+        return legendH;
     }
 
     drawMinimap(ctx) {
@@ -1063,6 +2994,7 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
 
         // Draw node dots
         for (const n of this.nodes) {
+            if (n.timelineHidden) continue;
             const dx = offX + (n.x - minX) * scale;
             const dy = offY + (n.y - minY) * scale;
             ctx.beginPath();
@@ -1096,6 +3028,7 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
 
     getNodeRadius(node) {
         if (node.nodeType === 'Moved_To_Company') return 18;
+        if (node.nodeType === 'Committee_Seat') return 12;
         if (node.nodeType === 'Account') {
             if (node.isHierarchyAccount) {
                 return node.hierarchyLevel === 'parent' ? 30 : 16;
@@ -1103,16 +3036,19 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
             return 24;
         }
         if (node.nodeType === 'Opportunity') return 14;
+        const score = this._nodeSizeScore(node);
         if (node.nodeType === 'External_Contact') {
             const base = 8;
             const maxExtra = 8;
+            if (score != null) return base + score * maxExtra;
             const interactions = node.interactionCount || 0;
             return base + Math.min(interactions / 5, maxExtra);
         }
 
-        // Contact radius based on interaction count
+        // Contact radius based on interaction count, or on the metric chosen in the Insights panel
         const base = 10;
         const maxExtra = 12;
+        if (score != null) return base + score * maxExtra;
         const interactions = node.interactionCount || 0;
         return base + Math.min(interactions / 5, maxExtra);
     }
@@ -1125,6 +3061,10 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         if (node.nodeType === 'Moved_To_Company') {
             return '#e8e8e8';
         }
+        if (node.nodeType === 'Committee_Seat') {
+            // Outline in the colour of the role the seat needs
+            return CLASSIFICATION_COLORS[node.seatClassification] || '#706e6b';
+        }
         if (node.nodeType === 'External_Contact') {
             return NODE_TYPE_COLORS['External_Contact'];
         }
@@ -1135,8 +3075,9 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
             return NODE_TYPE_COLORS[node.nodeType] || '#9e9e9e';
         }
 
-        // Contact color based on classification
-        if (this.activeFilters.length > 0 && !this.activeFilters.includes(node.classification)) {
+        // Contact color based on classification (as of the timeline snapshot, if playing back)
+        const classification = node.timelineState ? node.timelineState.classification : node.classification;
+        if (this.activeFilters.length > 0 && !this.activeFilters.includes(classification)) {
             return '#e0e0e0'; // Dimmed for filtered-out classifications
         }
 
@@ -1145,7 +3086,7 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
             return '#e0e0e0';
         }
 
-        return CLASSIFICATION_COLORS[node.classification] || CLASSIFICATION_COLORS['Unknown'];
+        return CLASSIFICATION_COLORS[classification] || CLASSIFICATION_COLORS['Unknown'];
     }
 
     // ─── Event Handlers ─────────────────────────────────────────────
@@ -1157,9 +3098,8 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
 
         // Handle dragging
         if (this.draggedNode) {
-            this.draggedNode.fx = x;
-            this.draggedNode.fy = y;
-            if (this.simulation) this.simulation.alpha(0.3).restart();
+            this._dragMoved = true;
+            this._dragNodeTo(this.draggedNode, x, y);
             return;
         }
 
@@ -1183,6 +3123,7 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
     }
 
     handleMouseDown(event) {
+        if (this._isAfterTouch()) return;
         const rect = this.canvas.getBoundingClientRect();
         const x = (event.clientX - rect.left - this.transform.x) / this.transform.k;
         const y = (event.clientY - rect.top - this.transform.y) / this.transform.k;
@@ -1190,9 +3131,11 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         const node = this.findNodeAt(x, y);
         if (node) {
             this.draggedNode = node;
+            this._dragStartPinned = node.fx != null;
+            this._dragMoved = false;
             node.fx = node.x;
             node.fy = node.y;
-            if (this.simulation) this.simulation.alphaTarget(0.3).restart();
+            if (this.simulation && !this.isLayoutFrozen) this.simulation.alphaTarget(0.3).restart();
         } else {
             this.isPanning = true;
         }
@@ -1200,13 +3143,12 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
 
     handleMouseUp() {
         if (this.draggedNode) {
-            this.draggedNode.fx = null;
-            this.draggedNode.fy = null;
-            // Only re-fix account node in hierarchy mode
-            if (this.showHierarchy && this.draggedNode.nodeType === 'Account' && !this.draggedNode.isHierarchyAccount) {
-                this.draggedNode.fx = this.draggedNode.x;
-                this.draggedNode.fy = this.draggedNode.y;
+            // A dragged node stays pinned where it was dropped; a plain click leaves it free
+            if (!this._dragMoved && !this._dragStartPinned) {
+                this.draggedNode.fx = null;
+                this.draggedNode.fy = null;
             }
+            if (this._dragMoved) this._dropIntoCluster(this.draggedNode);
             this.draggedNode = null;
             if (this.simulation) this.simulation.alphaTarget(0);
         }
@@ -1214,6 +3156,7 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
     }
 
     handleCanvasClick(event) {
+        if (this._isAfterTouch()) return;
         const rect = this.canvas.getBoundingClientRect();
         const rawX = event.clientX - rect.left;
         const rawY = event.clientY - rect.top;
@@ -1232,91 +3175,536 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
             }
         }
 
-        const x = (rawX - this.transform.x) / this.transform.k;
-        const y = (rawY - this.transform.y) / this.transform.k;
+        const x = (rawX - this.transform.x) / this.transform.k;
+        const y = (rawY - this.transform.y) / this.transform.k;
+
+        const node = this.findNodeAt(x, y);
+        if (node) {
+            this.selectedNode = { ...node };
+        } else {
+            this.selectedNode = null;
+        }
+    }
+
+    handleDoubleClick(event) {
+        if (this._isAfterTouch()) return;
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left - this.transform.x) / this.transform.k;
+        const y = (event.clientY - rect.top - this.transform.y) / this.transform.k;
+
+        const node = this.findNodeAt(x, y);
+        if (!node || node.nodeType === 'Committee_Seat') return;
+        // Shift-double-click focuses on the node instead of opening its record
+        if (event.shiftKey) {
+            this.focusOnNode(node);
+        } else {
+            this.navigateToRecordById(node.id);
+        }
+    }
+
+    handleWheel(event) {
+        event.preventDefault();
+
+        const rect = this.canvas.getBoundingClientRect();
+        const mouseX = event.clientX - rect.left;
+        const mouseY = event.clientY - rect.top;
+
+        const scaleFactor = event.deltaY < 0 ? 1.05 : 1 / 1.05;
+        const newK = Math.max(0.1, Math.min(5, this.transform.k * scaleFactor));
+
+        // Zoom toward mouse position
+        this.transform.x = mouseX - (mouseX - this.transform.x) * (newK / this.transform.k);
+        this.transform.y = mouseY - (mouseY - this.transform.y) * (newK / this.transform.k);
+        this.transform.k = newK;
+
+        this.renderCanvas();
+    }
+
+    findNodeAt(x, y) {
+        // Later nodes are drawn on top, so the highest index wins
+        let best = null;
+        for (const entry of this._spatialIndex().nodes.query({ minX: x, minY: y, maxX: x, maxY: y })) {
+            const node = entry.item;
+            if (node.timelineHidden || (best && entry.order < best.order)) continue;
+            const dx = x - node.x;
+            const dy = y - node.y;
+            if (dx * dx + dy * dy < node.radius * node.radius) {
+                best = entry;
+            }
+        }
+        return best ? best.item : null;
+    }
+
+    findEdgeAt(x, y) {
+        const threshold = 6;
+        const candidates = this._spatialIndex().edges
+            .query({ minX: x - threshold, minY: y - threshold, maxX: x + threshold, maxY: y + threshold })
+            .sort((a, b) => b.order - a.order);
+        for (const { item: edge } of candidates) {
+            if (edge.timelineHidden) continue;
+            if (this._bundledEdges && this._bundledEdges.has(edge)) continue;
+            const sx = edge.source.x, sy = edge.source.y;
+            const tx = edge.target.x, ty = edge.target.y;
+            const dx = tx - sx, dy = ty - sy;
+            const lenSq = dx * dx + dy * dy;
+            if (lenSq === 0) continue;
+            let t = ((x - sx) * dx + (y - sy) * dy) / lenSq;
+            t = Math.max(0, Math.min(1, t));
+            const cx = sx + t * dx, cy = sy + t * dy;
+            const dist = Math.sqrt((x - cx) ** 2 + (y - cy) ** 2);
+            if (dist < threshold) return edge;
+        }
+        return null;
+    }
+
+    // ─── Touch & Pen ───────────────────────────────────────────────
+    // One finger drags a node or pans; two fingers pinch-zoom and pan together. A tap highlights
+    // a node, and a long press opens its detail panel. Mouse input stays on the handlers above.
+
+    handlePointerDown(event) {
+        if (event.pointerType === 'mouse') return;
+        event.preventDefault();
+        this._lastTouchTime = Date.now();
+        const point = this._pointerPoint(event);
+
+        if (!this._touch) {
+            const node = this._findTouchTarget(point);
+            this._touch = {
+                pointers: new Map([[event.pointerId, point]]),
+                node,
+                start: point,
+                moved: false,
+                longPressed: false,
+                pinch: null,
+                longPressTimer: node ? setTimeout(() => this._handleLongPress(), LONG_PRESS_MS) : null
+            };
+        } else if (this._touch.pointers.size === 1) {
+            // A second finger turns the gesture into a pinch; a node being dragged stays where it is
+            this._touch.pointers.set(event.pointerId, point);
+            this._releaseTouchNode();
+            this._touch.moved = true;
+            this._touch.pinch = this._pinchState();
+        } else {
+            return;
+        }
+        if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(event.pointerId);
+    }
+
+    handlePointerMove(event) {
+        const touch = this._touch;
+        if (!touch || !touch.pointers.has(event.pointerId)) return;
+        this._lastTouchTime = Date.now();
+        const point = this._pointerPoint(event);
+        const previous = touch.pointers.get(event.pointerId);
+        touch.pointers.set(event.pointerId, point);
+
+        if (touch.pinch) {
+            this._applyPinch(this._pinchState());
+            return;
+        }
+        if (!touch.moved) {
+            if (Math.hypot(point.x - touch.start.x, point.y - touch.start.y) < TAP_SLOP) return;
+            touch.moved = true;
+            clearTimeout(touch.longPressTimer);
+            if (touch.node && this.simulation && !this.isLayoutFrozen) this.simulation.alphaTarget(0.3).restart();
+        }
+
+        if (touch.node) {
+            // A dragged node stays pinned where it is dropped, as with the mouse
+            const graphPoint = this._toGraphPoint(point);
+            this._dragNodeTo(touch.node, graphPoint.x, graphPoint.y);
+        } else {
+            this.transform.x += point.x - previous.x;
+            this.transform.y += point.y - previous.y;
+            this.renderCanvas();
+        }
+    }
+
+    handlePointerUp(event) {
+        const touch = this._touch;
+        if (!touch || !touch.pointers.has(event.pointerId)) return;
+        this._lastTouchTime = Date.now();
+        touch.pointers.delete(event.pointerId);
+
+        if (touch.pointers.size > 0) {
+            // Lifting one finger of a pinch: the other one carries on panning
+            touch.pinch = null;
+            return;
+        }
+        clearTimeout(touch.longPressTimer);
+        this._touch = null;
+
+        if (event.type === 'pointerup' && !touch.moved && !touch.longPressed) {
+            this._handleTap(touch.node);
+        } else if (touch.node && touch.moved) {
+            const node = touch.node;
+            this._releaseTouchNode(touch);
+            this._dropIntoCluster(node);
+        }
+    }
+
+    // Tapping a node highlights it with its tooltip (a hover, on a tablet); an open detail panel follows it
+    _handleTap(node) {
+        this.hoveredNode = node;
+        this.hoveredEdge = null;
+        if (!node) {
+            this.selectedNode = null;
+        } else if (this.selectedNode) {
+            this.selectedNode = { ...node };
+        }
+        this.renderCanvas();
+    }
+
+    _handleLongPress() {
+        const touch = this._touch;
+        if (!touch || touch.moved || !touch.node) return;
+        touch.longPressed = true;
+        this.hoveredNode = touch.node;
+        this.selectedNode = { ...touch.node };
+        this.renderCanvas();
+    }
+
+    _releaseTouchNode(touch = this._touch) {
+        clearTimeout(touch.longPressTimer);
+        if (touch.node && this.simulation) this.simulation.alphaTarget(0);
+        touch.node = null;
+    }
+
+    _pinchState() {
+        const [a, b] = [...this._touch.pointers.values()];
+        return {
+            distance: Math.hypot(a.x - b.x, a.y - b.y),
+            center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+        };
+    }
+
+    // Zoom by the change in finger spread around the old midpoint, then follow the midpoint
+    _applyPinch(pinch) {
+        const previous = this._touch.pinch;
+        const t = this.transform;
+        const scale = previous.distance > 0 ? pinch.distance / previous.distance : 1;
+        const newK = Math.max(0.1, Math.min(5, t.k * scale));
+        t.x = pinch.center.x - (previous.center.x - t.x) * (newK / t.k);
+        t.y = pinch.center.y - (previous.center.y - t.y) * (newK / t.k);
+        t.k = newK;
+        this._touch.pinch = pinch;
+        this.renderCanvas();
+    }
+
+    _pointerPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    _toGraphPoint(point) {
+        return {
+            x: (point.x - this.transform.x) / this.transform.k,
+            y: (point.y - this.transform.y) / this.transform.k
+        };
+    }
+
+    // Nearest node within its radius or the touch target, whichever is larger on screen
+    _findTouchTarget(point) {
+        const { x, y } = this._toGraphPoint(point);
+        const minRadius = TOUCH_TARGET_RADIUS / this.transform.k;
+        const area = { minX: x - minRadius, minY: y - minRadius, maxX: x + minRadius, maxY: y + minRadius };
+        let best = null;
+        let bestDist = Infinity;
+        for (const { item: node } of this._spatialIndex().nodes.query(area)) {
+            if (node.timelineHidden) continue;
+            const dist = Math.hypot(x - node.x, y - node.y);
+            if (dist < Math.max(node.radius, minRadius) && dist < bestDist) {
+                bestDist = dist;
+                best = node;
+            }
+        }
+        return best;
+    }
+
+    _isAfterTouch() {
+        return Date.now() - this._lastTouchTime < TOUCH_MOUSE_GUARD_MS;
+    }
+
+    // ─── Keyboard & Screen Reader ──────────────────────────────────
+
+    handleCanvasKeyDown(event) {
+        switch (event.key) {
+            case 'ArrowUp':
+                this._moveKeyboardFocus(0, -1);
+                break;
+            case 'ArrowDown':
+                this._moveKeyboardFocus(0, 1);
+                break;
+            case 'ArrowLeft':
+                this._moveKeyboardFocus(-1, 0);
+                break;
+            case 'ArrowRight':
+                this._moveKeyboardFocus(1, 0);
+                break;
+            case 'Enter':
+            case ' ': {
+                const node = this._keyboardFocusNode();
+                if (!node) return;
+                this.selectedNode = { ...node };
+                break;
+            }
+            case '+':
+            case '=':
+                this.handleZoomIn();
+                break;
+            case '-':
+            case '_':
+                this.handleZoomOut();
+                break;
+            case '0':
+                this.handleZoomReset();
+                break;
+            case 'Escape':
+                if (this.selectedNode) {
+                    this.closeDetailPanel();
+                } else if (this.focusNodeId) {
+                    this.exitFocusMode();
+                } else {
+                    return;
+                }
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    handleCanvasFocus() {
+        this._canvasFocused = true;
+        this.renderCanvas();
+    }
+
+    handleCanvasBlur() {
+        this._canvasFocused = false;
+        this.renderCanvas();
+    }
+
+    // Arrow keys follow edges; a node with no connection that way falls back to the nearest node in that direction
+    _moveKeyboardFocus(dx, dy) {
+        const shown = this.nodes.filter(n => this._isNodeShown(n));
+        if (shown.length === 0) return;
+
+        const current = this._keyboardFocusNode();
+        let next;
+        if (!current) {
+            next = this._nodeNearestViewCenter(shown);
+        } else {
+            const shownIds = new Set(shown.map(n => n.id));
+            const neighbours = this._neighbourNodes(current).filter(n => shownIds.has(n.id));
+            next = this._nodeInDirection(current, neighbours, dx, dy)
+                || this._nodeInDirection(current, shown, dx, dy);
+        }
+        if (!next) return;
+
+        this._focusedNodeId = next.id;
+        this._scrollNodeIntoView(next);
+        this._announce(this._describeNode(next));
+        this.renderCanvas();
+    }
+
+    _keyboardFocusNode() {
+        if (!this._focusedNodeId) return null;
+        return this.nodes.find(n => n.id === this._focusedNodeId && this._isNodeShown(n)) || null;
+    }
+
+    _neighbourNodes(node) {
+        const neighbours = [];
+        for (const edge of this.edges) {
+            if (edge.timelineHidden) continue;
+            if (edge.source.id === node.id) neighbours.push(edge.target);
+            else if (edge.target.id === node.id) neighbours.push(edge.source);
+        }
+        return neighbours;
+    }
+
+    // Within about 70 degrees of the arrow, preferring nodes straight ahead over closer ones off to the side
+    _nodeInDirection(from, candidates, dx, dy) {
+        let best = null;
+        let bestScore = Infinity;
+        for (const node of candidates) {
+            const vx = node.x - from.x;
+            const vy = node.y - from.y;
+            const dist = Math.sqrt(vx * vx + vy * vy);
+            if (node.id === from.id || dist === 0) continue;
+            const cos = (vx * dx + vy * dy) / dist;
+            if (cos <= 0.35) continue;
+            const score = dist * (2 - cos);
+            if (score < bestScore) {
+                bestScore = score;
+                best = node;
+            }
+        }
+        return best;
+    }
+
+    _nodeNearestViewCenter(nodes) {
+        const t = this.transform;
+        const cx = (this.width / 2 - t.x) / t.k;
+        const cy = (this.height / 2 - t.y) / t.k;
+        let best = null;
+        let bestDist = Infinity;
+        for (const node of nodes) {
+            const dist = (node.x - cx) ** 2 + (node.y - cy) ** 2;
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = node;
+            }
+        }
+        return best;
+    }
 
-        const node = this.findNodeAt(x, y);
-        if (node) {
-            this.selectedNode = { ...node };
-        } else {
-            this.selectedNode = null;
+    _scrollNodeIntoView(node) {
+        const t = this.transform;
+        const sx = node.x * t.k + t.x;
+        const sy = node.y * t.k + t.y;
+        if (sx < FOCUS_SCROLL_MARGIN || sx > this.width - FOCUS_SCROLL_MARGIN
+            || sy < FOCUS_SCROLL_MARGIN || sy > this.height - FOCUS_SCROLL_MARGIN) {
+            t.x = this.width / 2 - node.x * t.k;
+            t.y = this.height / 2 - node.y * t.k;
         }
     }
 
-    handleDoubleClick(event) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (event.clientX - rect.left - this.transform.x) / this.transform.k;
-        const y = (event.clientY - rect.top - this.transform.y) / this.transform.k;
+    // What is on screen: classification legend filters, timeline playback and focus mode hide nodes
+    _isNodeShown(node) {
+        if (node.timelineHidden || !this._isInFocus(node)) return false;
+        if (this.activeFilters.length === 0 || node.nodeType !== 'Contact') return true;
+        return this.activeFilters.includes(this._currentClassification(node));
+    }
 
-        const node = this.findNodeAt(x, y);
-        if (node) {
-            this.navigateToRecordById(node.id);
-        }
+    _currentClassification(node) {
+        return node.timelineState ? node.timelineState.classification : node.classification;
     }
 
-    handleWheel(event) {
-        event.preventDefault();
+    // Rebuild the screen-reader tables after the graph, filters or timeline change
+    _updateAccessibleGraph() {
+        const shown = this.nodes.filter(n => this._isNodeShown(n));
+        const shownIds = new Set(shown.map(n => n.id));
+        const edges = this.edges.filter(
+            e => !e.timelineHidden && shownIds.has(e.source.id) && shownIds.has(e.target.id)
+        );
+        const connections = new Map();
+        for (const edge of edges) {
+            connections.set(edge.source.id, (connections.get(edge.source.id) || 0) + 1);
+            connections.set(edge.target.id, (connections.get(edge.target.id) || 0) + 1);
+        }
 
-        const rect = this.canvas.getBoundingClientRect();
-        const mouseX = event.clientX - rect.left;
-        const mouseY = event.clientY - rect.top;
+        this.accessibleNodes = shown.map(node => {
+            const classification = this._currentClassification(node);
+            const severity = this.riskNodeIds.get(node.id);
+            return {
+                key: node.id,
+                name: node.name,
+                type: NODE_TYPE_LABELS[node.nodeType] || node.nodeType,
+                classification: classification && classification !== 'Unknown' ? classification : '',
+                risk: severity ? severity.charAt(0).toUpperCase() + severity.slice(1) : '',
+                connections: connections.get(node.id) || 0
+            };
+        });
+        this.accessibleEdges = edges.map((edge, idx) => ({
+            key: 'a11y-edge-' + idx,
+            source: edge.source.name,
+            target: edge.target.name,
+            type: edge.label
+                ? (EDGE_TYPE_LABELS[edge.edgeType] || edge.edgeType) + ': ' + edge.label
+                : EDGE_TYPE_LABELS[edge.edgeType] || edge.edgeType,
+            strength: edge.strength != null ? Math.round(edge.strength * 100) + '%' : ''
+        }));
+    }
 
-        const scaleFactor = event.deltaY < 0 ? 1.05 : 1 / 1.05;
-        const newK = Math.max(0.1, Math.min(5, this.transform.k * scaleFactor));
+    _describeNode(node) {
+        const parts = [node.name, NODE_TYPE_LABELS[node.nodeType] || node.nodeType];
+        const classification = this._currentClassification(node);
+        if (node.nodeType === 'Opportunity' && classification) {
+            parts.push('stage ' + classification);
+        } else if (classification && classification !== 'Unknown') {
+            parts.push(classification);
+        }
 
-        // Zoom toward mouse position
-        this.transform.x = mouseX - (mouseX - this.transform.x) * (newK / this.transform.k);
-        this.transform.y = mouseY - (mouseY - this.transform.y) * (newK / this.transform.k);
-        this.transform.k = newK;
+        const severity = this.riskNodeIds.get(node.id);
+        if (severity) {
+            const messages = this.riskAlerts.filter(a => a.contactId === node.id).map(a => a.message);
+            parts.push(severity + ' risk: ' + messages.join('; '));
+        }
 
-        this.renderCanvas();
+        const count = this._neighbourNodes(node).filter(n => this._isNodeShown(n)).length;
+        parts.push(count === 1 ? '1 connection' : count + ' connections');
+        return parts.join(', ');
     }
 
-    findNodeAt(x, y) {
-        // Search in reverse (top nodes first)
-        for (let i = this.nodes.length - 1; i >= 0; i--) {
-            const node = this.nodes[i];
-            const dx = x - node.x;
-            const dy = y - node.y;
-            if (dx * dx + dy * dy < node.radius * node.radius) {
-                return node;
-            }
+    _graphSummary() {
+        const nodeCount = this.accessibleNodes.length;
+        const edgeCount = this.accessibleEdges.length;
+        let summary = 'Showing ' + (nodeCount === 1 ? '1 node' : nodeCount + ' nodes')
+            + ' and ' + (edgeCount === 1 ? '1 relationship' : edgeCount + ' relationships') + '.';
+
+        const alertCount = this.riskAlerts.length;
+        if (alertCount > 0) {
+            const highCount = this.riskAlerts.filter(a => a.severity === 'high').length;
+            summary += ' ' + (alertCount === 1 ? '1 risk alert' : alertCount + ' risk alerts')
+                + (highCount > 0 ? ', ' + highCount + ' high severity' : '') + '.';
         }
-        return null;
+        return summary;
     }
 
-    findEdgeAt(x, y) {
-        const threshold = 6;
-        for (let i = this.edges.length - 1; i >= 0; i--) {
-            const edge = this.edges[i];
-            const sx = edge.source.x, sy = edge.source.y;
-            const tx = edge.target.x, ty = edge.target.y;
-            const dx = tx - sx, dy = ty - sy;
-            const lenSq = dx * dx + dy * dy;
-            if (lenSq === 0) continue;
-            let t = ((x - sx) * dx + (y - sy) * dy) / lenSq;
-            t = Math.max(0, Math.min(1, t));
-            const cx = sx + t * dx, cy = sy + t * dy;
-            const dist = Math.sqrt((x - cx) ** 2 + (y - cy) ** 2);
-            if (dist < threshold) return edge;
+    // Messages from the same update (say a reload that also restores a selection) are read together
+    _announce(message) {
+        if (this._announceQueued) {
+            this.announcement += ' ' + message;
+            return;
         }
-        return null;
+        this.announcement = message;
+        this._announceQueued = true;
+        Promise.resolve().then(() => {
+            this._announceQueued = false;
+        });
+    }
+
+    _spatialIndex() {
+        if (!this._hitIndex) {
+            this._hitIndex = {
+                nodes: Quadtree.fromItems(this.nodes, nodeBox),
+                edges: Quadtree.fromItems(this.edges, edgeBox)
+            };
+        }
+        return this._hitIndex;
     }
 
     // ─── UI Actions ─────────────────────────────────────────────────
 
     async handleRefresh() {
+        if (this.isPortfolioMode) {
+            await this.loadPortfolio(true);
+            return;
+        }
+        if (this.isOpportunityMode) {
+            await this.loadOpportunityGraph(true);
+            return;
+        }
         this.isLoading = true;
         try {
-            const data = await refreshGraphData({
-                accountId: this.recordId,
-                hidePassive: this.hidePassive,
-                minInteractions: this.minInteractions,
-                thresholdDays: this.config.activityThresholdDays || 90,
-                showExternalContacts: this.showExternalContacts,
-                showHierarchy: this.showHierarchy
-            });
+            // Teammates may have edited the clusters since the graph loaded
+            const [data] = await Promise.all([
+                refreshGraphData({
+                    accountId: this.recordId,
+                    hidePassive: this.hidePassive,
+                    minInteractions: this.minInteractions,
+                    thresholdDays: this.config.activityThresholdDays || 90,
+                    showExternalContacts: this.showExternalContacts,
+                    showHierarchy: this.showHierarchy
+                }),
+                this._loadClusterEdits(true)
+            ]);
             this.processGraphData(data);
+            // Recalculating strengths records a new health snapshot
+            this.loadAccountHealth();
+            if (this.showRiskPanel) {
+                this.loadRiskHistory();
+            }
             this.showToast('Success', 'Graph data refreshed', 'success');
         } catch (error) {
             this.showError('Failed to refresh: ' + this.extractErrorMessage(error));
@@ -1365,20 +3753,16 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         this.nodes.forEach(n => {
             n.color = this.getNodeColor(n);
         });
+        this._updateAccessibleGraph();
+        this._announce(this._graphSummary());
         this.renderCanvas();
     }
 
     handleSearchInput(event) {
         this.searchTerm = event.detail.value || '';
-        this.searchMatchIds = new Set();
+        this._updateSearchMatches();
 
         if (this.searchTerm.length >= 2) {
-            const term = this.searchTerm.toLowerCase();
-            for (const node of this.nodes) {
-                if (node.name && node.name.toLowerCase().includes(term)) {
-                    this.searchMatchIds.add(node.id);
-                }
-            }
             // Auto-center on single match
             if (this.searchMatchIds.size === 1) {
                 const matchId = [...this.searchMatchIds][0];
@@ -1393,29 +3777,172 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         this.renderCanvas();
     }
 
-    async handleClassificationOverride(event) {
+    _updateSearchMatches() {
+        this.searchMatchIds = new Set();
+        if (this.searchTerm.length < 2) return;
+        const term = this.searchTerm.toLowerCase();
+        for (const node of this.nodes) {
+            if (node.name && node.name.toLowerCase().includes(term)) {
+                this.searchMatchIds.add(node.id);
+            }
+        }
+    }
+
+    // Picking a role only stages it; Save sends it with the optional justification
+    handleClassificationOverride(event) {
+        if (!this.selectedNode) return;
         const newClassification = event.detail.value;
+        if (newClassification === this.selectedNode.classification) {
+            this.cancelClassificationOverride();
+            return;
+        }
+        this.pendingOverride = { contactId: this.selectedNode.id, classification: newClassification };
+        this.overrideJustification = '';
+    }
+
+    handleJustificationChange(event) {
+        this.overrideJustification = event.detail.value || '';
+    }
+
+    cancelClassificationOverride() {
+        this.pendingOverride = null;
+        this.overrideJustification = '';
+    }
+
+    async saveClassificationOverride() {
+        if (!this.isOverridePending) return;
+
+        try {
+            const result = await overrideClassification({
+                contactId: this.selectedNode.id,
+                accountId: this._classificationAccountId(this.selectedNode),
+                classification: this.pendingOverride.classification,
+                justification: this.overrideJustification.trim() || null
+            });
+            this.cancelClassificationOverride();
+            this._applyClassificationResult(result);
+            this.showToast('Success', 'Classification updated', 'success');
+        } catch (error) {
+            this.showError('Failed to override classification: ' + this.extractErrorMessage(error));
+        }
+    }
+
+    async handleRevertClassification() {
         if (!this.selectedNode) return;
 
         try {
-            await overrideClassification({
+            const result = await revertClassification({
                 contactId: this.selectedNode.id,
-                accountId: this.recordId,
-                classification: newClassification
+                accountId: this._classificationAccountId(this.selectedNode),
+                justification: null
             });
+            this.cancelClassificationOverride();
+            this._applyClassificationResult(result);
+            this.showToast('Success', 'Classification reverted to ' + result.classification, 'success');
+        } catch (error) {
+            this.showError('Failed to revert classification: ' + this.extractErrorMessage(error));
+        }
+    }
 
-            // Update local state
-            this.selectedNode.classification = newClassification;
-            const node = this.nodes.find(n => n.id === this.selectedNode.id);
+    // Outside account mode, contact nodes carry the account their classification belongs to
+    _classificationAccountId(node) {
+        return this.isAccountMode ? this.recordId : node.accountId;
+    }
+
+    // Copy a saved or reverted classification onto the selected node and its graph node.
+    // A manual role has no provider reasons or votes; a revert brings the provider's back.
+    _applyClassificationResult(result) {
+        const update = {
+            classification: result.classification,
+            confidence: result.confidenceScore,
+            isUserOverride: result.isUserOverride === true,
+            classificationReasons: result.isUserOverride ? null : (result.reasons || null),
+            providerVotes: result.isUserOverride ? null : (result.providerVotes || null)
+        };
+        this.selectedNode = { ...this.selectedNode, ...update };
+        const node = this.nodes.find(n => n.id === this.selectedNode.id);
+        if (node) {
+            Object.assign(node, update);
+            node.color = this.getNodeColor(node);
+        }
+        this.renderCanvas();
+
+        if (this.showOverrideHistory) {
+            this.loadOverrideHistory();
+        }
+    }
+
+    toggleOverrideHistory() {
+        if (this.showOverrideHistory) {
+            this.overrideHistory = null;
+        } else {
+            this.loadOverrideHistory();
+        }
+    }
+
+    async loadOverrideHistory() {
+        const contactId = this.selectedNode?.id;
+        if (!contactId) return;
+        try {
+            const entries = await getOverrideHistory({
+                contactId,
+                accountId: this._classificationAccountId(this.selectedNode)
+            });
+            this.overrideHistory = { contactId, entries: entries || [] };
+        } catch (error) {
+            this.showError('Failed to load change history: ' + this.extractErrorMessage(error));
+        }
+    }
+
+    // ─── Override Review ────────────────────────────────────────────
+
+    toggleReviewPanel() {
+        this.showReviewPanel = !this.showReviewPanel;
+        if (this.showReviewPanel) {
+            this.loadPendingReviews();
+        }
+    }
+
+    closeReviewPanel() {
+        this.showReviewPanel = false;
+    }
+
+    async loadPendingReviews() {
+        try {
+            // Account pages review that account; other pages review every account the manager can see
+            this.pendingReviews = (await getPendingOverrides({
+                accountId: this.isAccountMode ? this.recordId : null
+            })) || [];
+        } catch (error) {
+            this.showError('Failed to load pending overrides: ' + this.extractErrorMessage(error));
+        }
+    }
+
+    async handleReviewDecision(event) {
+        const overrideId = event.currentTarget.dataset.id;
+        const approve = event.currentTarget.dataset.decision === 'approve';
+        const entry = this.pendingReviews.find(e => e.id === overrideId);
+
+        try {
+            const restored = await reviewOverride({ overrideId, approve });
+            this.pendingReviews = this.pendingReviews.filter(e => e.id !== overrideId);
+            this.showToast('Success', approve ? 'Override approved' : 'Override rejected', 'success');
+            // A rejection reverts the contact to the provider's role
+            const node = restored && entry ? this.nodes.find(n => n.id === entry.contactId) : null;
             if (node) {
-                node.classification = newClassification;
+                node.classification = restored.classification;
+                node.confidence = restored.confidenceScore;
+                node.isUserOverride = false;
+                node.classificationReasons = restored.reasons || null;
+                node.providerVotes = restored.providerVotes || null;
                 node.color = this.getNodeColor(node);
+                if (this.selectedNode?.id === node.id) {
+                    this.selectedNode = { ...this.selectedNode, ...node };
+                }
+                this.renderCanvas();
             }
-            this.renderCanvas();
-
-            this.showToast('Success', 'Classification updated', 'success');
         } catch (error) {
-            this.showError('Failed to override classification: ' + this.extractErrorMessage(error));
+            this.showError('Failed to review override: ' + this.extractErrorMessage(error));
         }
     }
 
@@ -1425,26 +3952,164 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
 
     handleRiskAlertToggle() {
         this.showRiskPanel = !this.showRiskPanel;
+        // Risk history is tracked per account; other modes show current alerts only
+        if (this.showRiskPanel && this.isAccountMode) {
+            this.loadRiskHistory();
+        }
+    }
+
+    async loadRiskHistory() {
+        try {
+            this.riskHistory = (await getRiskHistory({ accountId: this.recordId })) || null;
+        } catch (error) {
+            this.showError('Failed to load risk history: ' + this.extractErrorMessage(error));
+        }
     }
 
     closeRiskPanel() {
         this.showRiskPanel = false;
     }
 
+    async loadAccountHealth() {
+        try {
+            this.health = (await getAccountHealth({ accountId: this.recordId })) || null;
+        } catch (error) {
+            // The badge is optional; users without access to snapshots just don't see it
+            this.health = null;
+            console.warn('Failed to load account health:', error);
+        }
+    }
+
     handleRiskAlertClick(event) {
         const contactId = event.currentTarget.dataset.contactId;
         if (!contactId) return;
 
-        // Find and select the node
         const node = this.nodes.find(n => n.id === contactId);
-        if (node) {
-            this.selectedNode = { ...node };
+        if (node) this._revealNode(node);
+    }
 
-            // Center canvas on the node
-            this.transform.x = this.width / 2 - node.x * this.transform.k;
-            this.transform.y = this.height / 2 - node.y * this.transform.k;
-            this.renderCanvas();
+    // Select a node and centre the canvas on it
+    _revealNode(node) {
+        this.selectedNode = { ...node };
+        this.transform.x = this.width / 2 - node.x * this.transform.k;
+        this.transform.y = this.height / 2 - node.y * this.transform.k;
+        this.renderCanvas();
+    }
+
+    togglePathMode() {
+        this.pathMode = !this.pathMode;
+        if (this.pathMode) {
+            this.showInsightsPanel = false;
+            this.showClustersPanel = false;
+            this.showCoveragePanel = false;
+            // Pre-fill the common question: strongest Champion → Economic Buyer
+            const byEngagement = (a, b) => (b.interactionCount || 0) - (a.interactionCount || 0);
+            const contacts = this.nodes.filter(n => n.nodeType === 'Contact').sort(byEngagement);
+            if (!this.pathStartId) {
+                const champion = contacts.find(n => n.classification === 'Champion');
+                this.pathStartId = champion ? champion.id : null;
+            }
+            if (!this.pathTargetId) {
+                const buyer = contacts.find(n => n.classification === 'Economic Buyer');
+                this.pathTargetId = buyer ? buyer.id : null;
+            }
+            this.updatePathResults();
+        } else {
+            this.closePathPanel();
+        }
+    }
+
+    closePathPanel() {
+        this.pathMode = false;
+        this.pathStartId = null;
+        this.pathTargetId = null;
+        this.rankedPaths = [];
+        this.selectedPathIndex = 0;
+        this.renderCanvas();
+    }
+
+    handlePathStartChange(event) {
+        this.pathStartId = event.detail.value;
+        this.updatePathResults();
+    }
+
+    handlePathTargetChange(event) {
+        this.pathTargetId = event.detail.value;
+        this.updatePathResults();
+    }
+
+    handlePathSelect(event) {
+        this.selectedPathIndex = parseInt(event.currentTarget.dataset.index, 10) || 0;
+        this.renderCanvas();
+    }
+
+    async toggleTimelineMode() {
+        if (this.timelineMode) {
+            this.exitTimeline();
+            return;
+        }
+
+        this.isLoading = true;
+        try {
+            const data = await getTimelineData({
+                accountId: this.recordId,
+                periodDays: TIMELINE_PERIOD_DAYS
+            });
+            if (!data || !data.snapshots || data.snapshots.length === 0) {
+                this.showToast('Info', 'No interaction history found for this period', 'info');
+                return;
+            }
+            this.timelineData = data;
+            this.timelineMode = true;
+            this.timelineIndex = data.snapshots.length - 1;
+            this.applyTimelineSnapshot();
+        } catch (error) {
+            this.showError('Failed to load timeline: ' + this.extractErrorMessage(error));
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    exitTimeline() {
+        this.pauseTimeline();
+        this.timelineMode = false;
+        this.timelineData = null;
+        this.timelineIndex = 0;
+        this.clearTimelineState();
+        this.renderCanvas();
+    }
+
+    handleTimelinePlay() {
+        if (this.isTimelinePlaying) {
+            this.pauseTimeline();
+            return;
         }
+        // Restart from the beginning when already at the end
+        if (this.timelineIndex >= this.timelineMaxIndex) {
+            this.timelineIndex = 0;
+            this.applyTimelineSnapshot();
+        }
+        this.isTimelinePlaying = true;
+        this._timelineTimer = setInterval(() => {
+            if (this.timelineIndex >= this.timelineMaxIndex) {
+                this.pauseTimeline();
+                return;
+            }
+            this.timelineIndex++;
+            this.applyTimelineSnapshot();
+        }, TIMELINE_FRAME_MS);
+    }
+
+    pauseTimeline() {
+        clearInterval(this._timelineTimer);
+        this._timelineTimer = null;
+        this.isTimelinePlaying = false;
+    }
+
+    handleTimelineScrub(event) {
+        this.pauseTimeline();
+        this.timelineIndex = parseInt(event.target.value, 10) || 0;
+        this.applyTimelineSnapshot();
     }
 
     handleZoomIn() {
@@ -1497,9 +4162,127 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
     }
 
     handleExport() {
+        this.exportPng();
+    }
+
+    handleExportSelect(event) {
+        const format = event.detail.value;
+        if (format === 'svg') {
+            this.exportSvg();
+        } else if (format === 'pdf') {
+            this.exportPdf();
+        } else if (format === 'csv' || format === 'json' || format === 'graphml' || format === 'gexf') {
+            this.exportData(format);
+        } else {
+            this.exportPng();
+        }
+    }
+
+    // Nodes and edges as data for analysis outside Salesforce
+    exportData(format) {
+        const graph = this._exportGraphData();
+        if (format === 'csv') {
+            const sheets = toCsvSheets(graph);
+            this._saveFile(new Blob([sheets.nodes], { type: 'text/csv' }), this._exportFileName('nodes.csv'));
+            this._saveFile(new Blob([sheets.edges], { type: 'text/csv' }), this._exportFileName('edges.csv'));
+        } else if (format === 'json') {
+            this._saveFile(new Blob([toJson(graph)], { type: 'application/json' }), this._exportFileName('graph.json'));
+        } else if (format === 'graphml') {
+            this._saveFile(new Blob([toGraphMl(graph)], { type: 'application/xml' }), this._exportFileName('graph.graphml'));
+        } else {
+            const title = this._accountName ? this._accountName + ' Relationship Graph' : 'Relationship Graph';
+            this._saveFile(new Blob([toGexf(graph, title)], { type: 'application/xml' }), this._exportFileName('graph.gexf'));
+        }
+        this.showToast(
+            'Success',
+            `Exported ${graph.nodes.length} nodes and ${graph.edges.length} edges as ${format.toUpperCase()}`,
+            'success'
+        );
+    }
+
+    // The nodes and edges on screen, in the GraphData shape
+    _exportGraphData() {
+        // Open seats are placeholders, not records
+        const nodes = this.nodes.filter(n => this._isNodeShown(n) && n.nodeType !== 'Committee_Seat');
+        const edges = this.edges.filter(e => !e.timelineHidden);
+
+        return buildGraphData(nodes, edges, {
+            riskSeverity: this.riskNodeIds,
+            riskAlerts: this.riskAlerts,
+            isTruncated: this.isTruncated,
+            totalContactCount: this.totalContactCount,
+            warnings: (this.graphData && this.graphData.warnings) || []
+        });
+    }
+
+    exportPng() {
+        if (!this.canvas || !this.ctx) return;
+
+        const bounds = this._exportBounds();
+
+        // Create offscreen canvas
+        const offscreen = document.createElement('canvas');
+        offscreen.width = bounds.width;
+        offscreen.height = bounds.height;
+        const offCtx = offscreen.getContext('2d');
+
+        // White background
+        offCtx.fillStyle = '#ffffff';
+        offCtx.fillRect(0, 0, bounds.width, bounds.height);
+
+        this._renderForExport(offCtx, bounds.width, bounds.height, { x: -bounds.minX, y: -bounds.minY, k: 1 });
+
+        offscreen.toBlob((blob) => {
+            if (!blob) {
+                this.showError('Failed to export graph');
+                return;
+            }
+            this._downloadExport(blob, 'png');
+        }, 'image/png');
+    }
+
+    // Same drawing code as the canvas, recorded as SVG elements so it stays sharp at any size
+    exportSvg() {
         if (!this.canvas || !this.ctx) return;
 
-        // Compute bounding box of all nodes
+        const bounds = this._exportBounds();
+        const svgCtx = new SvgContext();
+        this._renderForExport(svgCtx, bounds.width, bounds.height, { x: -bounds.minX, y: -bounds.minY, k: 1 });
+
+        const svg = svgCtx.toSvg(bounds.width, bounds.height, '#ffffff');
+        this._downloadExport(new Blob([svg], { type: 'image/svg+xml' }), 'svg');
+    }
+
+    // Printable account map: the graph with a legend on page 1, then the risk summary
+    exportPdf() {
+        if (!this.canvas || !this.ctx) return;
+
+        const title = this._accountName || 'Relationship Graph';
+        const doc = new PdfDocument(PDF_PAGE_WIDTH, PDF_PAGE_HEIGHT, title + ' Relationship Map');
+        const page = doc.addPage();
+        this._drawPdfHeader(page, title + ' \u2014 Relationship Map');
+
+        // Fit the graph into the area left of the legend column
+        const bounds = this._exportBounds();
+        const areaX = PDF_MARGIN;
+        const areaY = PDF_MARGIN + 36;
+        const areaW = PDF_PAGE_WIDTH - PDF_MARGIN * 3 - PDF_LEGEND_WIDTH;
+        const areaH = PDF_PAGE_HEIGHT - areaY - PDF_MARGIN;
+        const k = Math.min(areaW / bounds.width, areaH / bounds.height, 1.5);
+        this._renderForExport(page, PDF_PAGE_WIDTH, PDF_PAGE_HEIGHT, {
+            x: areaX + (areaW - bounds.width * k) / 2 - bounds.minX * k,
+            y: areaY + (areaH - bounds.height * k) / 2 - bounds.minY * k,
+            k
+        });
+        this._drawPdfLegend(page, PDF_PAGE_WIDTH - PDF_MARGIN - PDF_LEGEND_WIDTH, areaY);
+
+        this._drawPdfRiskSummary(doc, title);
+
+        this._downloadExport(new Blob([doc.toBytes()], { type: 'application/pdf' }), 'pdf');
+    }
+
+    // Bounding box of all nodes with room for labels, at least 800 x 600
+    _exportBounds() {
         let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
         for (const node of this.nodes) {
             const r = node.radius + 20;
@@ -1508,25 +4291,24 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
             if (node.x + r > maxX) maxX = node.x + r;
             if (node.y + r + 30 > maxY) maxY = node.y + r + 30;
         }
+        if (!Number.isFinite(minX)) {
+            minX = 0; minY = 0; maxX = 0; maxY = 0;
+        }
 
         const padding = 60;
         minX -= padding; minY -= padding;
         maxX += padding; maxY += padding;
 
-        const exportWidth = Math.max(maxX - minX, 800);
-        const exportHeight = Math.max(maxY - minY, 600);
-
-        // Create offscreen canvas
-        const offscreen = document.createElement('canvas');
-        offscreen.width = exportWidth;
-        offscreen.height = exportHeight;
-        const offCtx = offscreen.getContext('2d');
-
-        // White background
-        offCtx.fillStyle = '#ffffff';
-        offCtx.fillRect(0, 0, exportWidth, exportHeight);
+        return {
+            minX,
+            minY,
+            width: Math.max(maxX - minX, 800),
+            height: Math.max(maxY - minY, 600)
+        };
+    }
 
-        // Swap context for rendering
+    // Render the graph into an export target by swapping it in for the on-screen context
+    _renderForExport(ctx, width, height, transform) {
         const origCtx = this.ctx;
         const origWidth = this.width;
         const origHeight = this.height;
@@ -1534,10 +4316,10 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         const savedHovered = this.hoveredNode;
         const savedHoveredEdge = this.hoveredEdge;
 
-        this.ctx = offCtx;
-        this.width = exportWidth;
-        this.height = exportHeight;
-        this.transform = { x: -minX, y: -minY, k: 1 };
+        this.ctx = ctx;
+        this.width = width;
+        this.height = height;
+        this.transform = transform;
         this.hoveredNode = null;
         this.hoveredEdge = null;
         this._isExporting = true;
@@ -1553,23 +4335,162 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         this.hoveredNode = savedHovered;
         this.hoveredEdge = savedHoveredEdge;
         this.renderCanvas();
+    }
 
-        // Download
-        offscreen.toBlob((blob) => {
-            if (!blob) {
-                this.showError('Failed to export graph');
-                return;
+    _downloadExport(blob, extension) {
+        this._saveFile(blob, this._exportFileName('graph.' + extension));
+        this.showToast('Success', 'Graph exported as ' + extension.toUpperCase(), 'success');
+    }
+
+    _exportFileName(suffix) {
+        return (this._accountName || 'relationship-graph') + '-' + suffix;
+    }
+
+    _saveFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    _drawPdfHeader(page, heading) {
+        page.fillStyle = '#181818';
+        page.font = 'bold 16px sans-serif';
+        page.textAlign = 'left';
+        page.fillText(heading, PDF_MARGIN, PDF_MARGIN + 12);
+        page.fillStyle = '#706e6b';
+        page.font = '9px sans-serif';
+        page.fillText(
+            'Generated ' + new Date().toLocaleDateString() + ' \u00B7 '
+                + this.nodes.filter(n => n.nodeType === 'Contact').length + ' contacts',
+            PDF_MARGIN, PDF_MARGIN + 26
+        );
+    }
+
+    // Classification colours and node shapes in the graph, then the marker legend from the canvas
+    _drawPdfLegend(page, x, y) {
+        const counts = new Map();
+        for (const node of this.nodes) {
+            if (node.nodeType === 'Contact') {
+                const cls = node.classification || 'Unknown';
+                counts.set(cls, (counts.get(cls) || 0) + 1);
             }
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = (this._accountName || 'relationship-graph') + '-graph.png';
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            this.showToast('Success', 'Graph exported as PNG', 'success');
-        }, 'image/png');
+        }
+        const shapes = Object.entries(NODE_TYPE_SHAPES)
+            .filter(([type]) => type !== 'Moved_To_Company' && type !== 'Committee_Seat'
+                && this.nodes.some(n => n.nodeType === type));
+
+        page.textAlign = 'left';
+        page.fillStyle = '#181818';
+        page.font = 'bold 11px sans-serif';
+        page.fillText('Legend', x, y + 10);
+        let rowY = y + 28;
+
+        page.font = '10px sans-serif';
+        for (const cls of Object.keys(CLASSIFICATION_COLORS)) {
+            if (!counts.has(cls)) continue;
+            page.beginPath();
+            page.arc(x + 6, rowY - 3, 5, 0, 2 * Math.PI);
+            page.fillStyle = CLASSIFICATION_COLORS[cls];
+            page.fill();
+            page.fillStyle = '#333';
+            page.fillText(cls + ' (' + counts.get(cls) + ')', x + 18, rowY);
+            rowY += 15;
+        }
+
+        rowY += 6;
+        for (const [type, shape] of shapes) {
+            page.beginPath();
+            const cx = x + 6, cy = rowY - 3, r = 5;
+            if (shape === 'diamond') {
+                page.moveTo(cx, cy - r);
+                page.lineTo(cx + r, cy);
+                page.lineTo(cx, cy + r);
+                page.lineTo(cx - r, cy);
+                page.closePath();
+            } else if (shape === 'square') {
+                page.rect(cx - r, cy - r, r * 2, r * 2);
+            } else if (shape === 'hexagon') {
+                for (let i = 0; i < 6; i++) {
+                    const angle = (Math.PI / 3) * i - Math.PI / 2;
+                    page.lineTo(cx + r * Math.cos(angle), cy + r * Math.sin(angle));
+                }
+                page.closePath();
+            } else {
+                page.arc(cx, cy, r, 0, 2 * Math.PI);
+            }
+            page.fillStyle = NODE_TYPE_COLORS[type] || '#9e9e9e';
+            page.fill();
+            page.fillStyle = '#333';
+            page.fillText(type.replace('_', ' '), x + 18, rowY);
+            rowY += 15;
+        }
+
+        this.drawLegend(page, x, rowY + 4);
+    }
+
+    // Open risk alerts grouped by severity, continued on further pages when they do not fit
+    _drawPdfRiskSummary(doc, title) {
+        const severityOrder = { high: 0, medium: 1, low: 2 };
+        const rank = alert => (alert.severity in severityOrder ? severityOrder[alert.severity] : 3);
+        const alerts = [...this.riskAlerts].sort((a, b) => rank(a) - rank(b));
+        const lineHeight = 13;
+        const textX = PDF_MARGIN + 64;
+        const maxTextWidth = PDF_PAGE_WIDTH - textX - PDF_MARGIN;
+
+        let page = doc.addPage();
+        this._drawPdfHeader(page, title + ' \u2014 Risk Summary');
+        let y = PDF_MARGIN + 56;
+
+        if (alerts.length === 0) {
+            page.fillStyle = '#333';
+            page.font = '11px sans-serif';
+            page.fillText('No open risk alerts.', PDF_MARGIN, y);
+            return;
+        }
+
+        for (const alert of alerts) {
+            page.font = '10px sans-serif';
+            const lines = this._wrapText(page, alert.message || '', maxTextWidth);
+            const blockHeight = (lines.length + 1) * lineHeight + 8;
+            if (y + blockHeight > PDF_PAGE_HEIGHT - PDF_MARGIN) {
+                page = doc.addPage();
+                this._drawPdfHeader(page, title + ' \u2014 Risk Summary (continued)');
+                y = PDF_MARGIN + 56;
+            }
+
+            page.textAlign = 'left';
+            page.font = 'bold 9px sans-serif';
+            page.fillStyle = alert.severity === 'high' ? '#c62828' : alert.severity === 'medium' ? '#ef6c00' : '#706e6b';
+            page.fillText((alert.severity || '').toUpperCase(), PDF_MARGIN, y);
+            page.fillStyle = '#181818';
+            page.fillText(alert.riskType + (alert.contactName ? ' \u00B7 ' + alert.contactName : ''), textX, y);
+
+            page.font = '10px sans-serif';
+            page.fillStyle = '#333';
+            lines.forEach((line, idx) => page.fillText(line, textX, y + (idx + 1) * lineHeight));
+            y += blockHeight;
+        }
+    }
+
+    _wrapText(ctx, text, maxWidth) {
+        const lines = [];
+        let line = '';
+        for (const word of text.split(/\s+/)) {
+            const candidate = line ? line + ' ' + word : word;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        if (line) lines.push(line);
+        return lines;
     }
 
     navigateToRecord() {
@@ -1638,10 +4559,311 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         return this.showHierarchy ? 'brand' : 'neutral';
     }
 
+    get pathModeVariant() {
+        return this.pathMode ? 'brand' : 'neutral';
+    }
+
+    get pathContactOptions() {
+        return this.nodes
+            .filter(n => n.nodeType === 'Contact')
+            .map(n => ({
+                label: n.classification ? `${n.name} (${n.classification})` : n.name,
+                value: n.id
+            }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    get pathResults() {
+        const nodeMap = new Map(this.nodes.map(n => [n.id, n]));
+        return this.rankedPaths.map((path, idx) => {
+            const hops = path.edges.length;
+            return {
+                key: 'path-' + idx,
+                index: idx,
+                rank: idx + 1,
+                route: path.nodeIds.map(id => (nodeMap.get(id) || {}).name || id).join(' \u2192 '),
+                hopLabel: hops + (hops === 1 ? ' hop' : ' hops'),
+                formattedStrength: Math.round(Math.exp(-path.cost) * 100) + '%',
+                cssClass: 'path-item' + (idx === this.selectedPathIndex ? ' path-item-selected' : '')
+            };
+        });
+    }
+
+    get hasPathResults() {
+        return this.rankedPaths.length > 0;
+    }
+
+    get showNoPathMessage() {
+        return !!this.pathStartId && !!this.pathTargetId
+            && this.pathStartId !== this.pathTargetId
+            && this.rankedPaths.length === 0;
+    }
+
+    get insightsVariant() {
+        return this.showInsightsPanel ? 'brand' : 'neutral';
+    }
+
+    get insightMetricOptions() {
+        return INSIGHT_OPTIONS.map(o => ({ label: o.label, value: o.value }));
+    }
+
+    get insightDescription() {
+        const option = INSIGHT_OPTIONS.find(o => o.value === this.insightMetric);
+        return option ? option.description : '';
+    }
+
+    get nodeSizeOptions() {
+        return NODE_SIZE_OPTIONS.map(o => ({ label: o.label, value: o.value }));
+    }
+
+    get insightItems() {
+        const selectedId = this.selectedNode && this.selectedNode.id;
+        return this._rankedInsights().slice(0, INSIGHT_LIST_SIZE).map((item, idx) => ({
+            key: 'insight-' + item.node.id,
+            id: item.node.id,
+            rank: idx + 1,
+            name: item.node.name,
+            meta: item.node.classification ? item.node.classification + ' \u00b7 ' + item.meta : item.meta,
+            cssClass: 'insight-item' + (item.node.id === selectedId ? ' insight-item-selected' : '')
+        }));
+    }
+
+    get hasInsightItems() {
+        return this.insightItems.length > 0;
+    }
+
+    get insightsEmptyMessage() {
+        if (this.insightMetric === 'brokers') return 'No one connects two clusters.';
+        if (this.insightMetric === 'isolated') return 'Every contact meets with at least one colleague.';
+        return 'No one on the graph has met with a colleague yet.';
+    }
+
+    get layoutMenuLabel() {
+        const option = LAYOUT_OPTIONS.find(o => o.value === this.layoutMode);
+        return (option ? option.label : 'Force') + (this.isLayoutFrozen ? ' (Frozen)' : '');
+    }
+
+    get layoutMenuItems() {
+        return LAYOUT_OPTIONS.map(option => ({
+            ...option,
+            checked: option.value === this.layoutMode
+        }));
+    }
+
+    get isFocusMode() {
+        return !!this.focusNodeId;
+    }
+
+    get focusNodeName() {
+        const node = this._focusNode();
+        return node ? node.name : '';
+    }
+
+    get focusHopButtons() {
+        return FOCUS_HOP_OPTIONS.map(hops => ({
+            key: 'focus-hops-' + hops,
+            hops,
+            label: hops === 1 ? '1 hop' : hops + ' hops',
+            variant: hops === this.focusHops ? 'brand' : 'neutral'
+        }));
+    }
+
+    // Neighbourhoods are loaded per contact, once
+    get expandFocusDisabled() {
+        const node = this._focusNode();
+        return !node || node.nodeType !== 'Contact' || this.isExpandingFocus || this._expandedFocusIds.has(node.id);
+    }
+
+    get expandFocusLabel() {
+        return this.isExpandingFocus ? 'Expanding...' : 'Expand';
+    }
+
+    get timelineVariant() {
+        return this.timelineMode ? 'brand' : 'neutral';
+    }
+
+    // Snapshots are per account, so playback is unavailable in portfolio and opportunity modes
+    get timelineDisabled() {
+        return this.isLoading || !this.isAccountMode;
+    }
+
+    get portfolioSourceOptions() {
+        return PORTFOLIO_SOURCE_OPTIONS;
+    }
+
+    get selectedPortfolioSource() {
+        return this._portfolioSource;
+    }
+
+    get isListViewSource() {
+        return this._portfolioSource === 'list_view';
+    }
+
+    get isSelectedSource() {
+        return this._portfolioSource === 'selected';
+    }
+
+    get portfolioPills() {
+        return this.portfolioAccountIds.map(id => ({
+            type: 'icon',
+            name: id,
+            label: this.portfolioAccountNames[id] || id,
+            iconName: 'standard:account'
+        }));
+    }
+
+    get portfolioSummary() {
+        const count = this.portfolioAccountCount;
+        return count === 1 ? '1 account' : count + ' accounts';
+    }
+
+    get timelineMaxIndex() {
+        return this.timelineData ? this.timelineData.snapshots.length - 1 : 0;
+    }
+
+    get currentTimelineSnapshot() {
+        return this.timelineData ? this.timelineData.snapshots[this.timelineIndex] : null;
+    }
+
+    get timelineDateLabel() {
+        const snapshot = this.currentTimelineSnapshot;
+        return snapshot ? snapshot.snapshotDate : '';
+    }
+
+    get timelineEngagedCount() {
+        const snapshot = this.currentTimelineSnapshot;
+        return snapshot && snapshot.nodes ? snapshot.nodes.length : 0;
+    }
+
+    get timelinePlayIcon() {
+        return this.isTimelinePlaying ? 'utility:pause' : 'utility:play';
+    }
+
+    get timelinePlayLabel() {
+        return this.isTimelinePlaying ? 'Pause' : 'Play';
+    }
+
+    get canLoadMoreContacts() {
+        return this.isTruncated && !this.isPortfolioMode && !this.isOpportunityMode;
+    }
+
+    get loadMoreLabel() {
+        const remaining = this.totalContactCount - this.loadedContactCount;
+        return 'Load next ' + Math.min(CONTACT_PAGE_SIZE, remaining);
+    }
+
     get clusterCount() {
         return this.clusters ? this.clusters.size : 0;
     }
 
+    get formattedModularity() {
+        return this.clusterModularity.toFixed(2);
+    }
+
+    // Cluster edits are saved per account, so the portfolio graph cannot make them
+    get canEditClusters() {
+        return !!this.recordId && !this.isPortfolioMode;
+    }
+
+    get hasClusterEdits() {
+        return !!this._savedClusters;
+    }
+
+    get hasCoverage() {
+        return !!this.coverage;
+    }
+
+    get coverageButtonLabel() {
+        return this.coverage ? 'Coverage: ' + Math.round(this.coverage.score * 100) + '%' : '';
+    }
+
+    get coverageButtonVariant() {
+        return this.showCoveragePanel ? 'brand' : 'neutral';
+    }
+
+    get coverageSummary() {
+        if (!this.coverage) return '';
+        return this.coverage.filledSeats + ' of ' + this.coverage.requiredSeats + ' committee seats filled.';
+    }
+
+    get coverageSeats() {
+        if (!this.coverage) return [];
+        return (this.coverage.seats || []).map(seat => {
+            const filled = Math.min((seat.filledByIds || []).length, seat.required);
+            const isOpen = filled < seat.required;
+            const names = this._nodeNames(seat.filledByIds);
+            const candidates = (seat.candidateIds || [])
+                .map(id => this.nodes.find(n => n.id === id))
+                .filter(Boolean)
+                .map(node => ({ key: seat.key + '-' + node.id, id: node.id, name: node.name, title: node.title }));
+            return {
+                key: seat.key,
+                label: seat.label,
+                count: filled + '/' + seat.required,
+                cssClass: isOpen ? 'coverage-seat coverage-seat-open' : 'coverage-seat',
+                swatchStyle: 'border-color: ' + (CLASSIFICATION_COLORS[seat.classification] || '#706e6b'),
+                filledBy: names.length ? names.join(', ') : null,
+                isOpen,
+                candidates,
+                hasCandidates: isOpen && candidates.length > 0,
+                noCandidates: isOpen && candidates.length === 0
+            };
+        });
+    }
+
+    get isCommitteeSeatNode() {
+        return this.selectedNode && this.selectedNode.nodeType === 'Committee_Seat';
+    }
+
+    get selectedSeatCandidates() {
+        if (!this.isCommitteeSeatNode) return '';
+        const names = this._nodeNames(this.selectedNode.candidateIds);
+        return names.length ? names.join(', ') : 'None on the graph';
+    }
+
+    get clustersButtonVariant() {
+        return this.showClustersPanel ? 'brand' : 'base';
+    }
+
+    // Clusters of more than one contact, or named; lone contacts are summed up below the list
+    get clusterItems() {
+        const clusters = [...this.clusters.values()];
+        return clusters
+            .filter(c => c.nodes.length > 1 || c.name)
+            .map(c => ({
+                key: c.key,
+                name: c.name || '',
+                label: c.label,
+                meta: c.nodes.length === 1 ? '1 contact' : c.nodes.length + ' contacts',
+                swatchStyle: 'background:' + c.color.replace('0.15', '0.6'),
+                mergeOptions: clusters
+                    .filter(other => other !== c)
+                    .map(other => ({ key: c.key + '-' + other.key, value: other.key, label: other.label }))
+            }));
+    }
+
+    get loneContactSummary() {
+        const count = [...this.clusters.values()].filter(c => c.nodes.length === 1 && !c.name).length;
+        if (count === 0) return '';
+        return (count === 1 ? '1 contact meets' : count + ' contacts meet') + ' no one in a cluster.';
+    }
+
+    get nodeClusterValue() {
+        const node = this.selectedNode && this.nodes.find(n => n.id === this.selectedNode.id);
+        const cluster = node && this.clusters.get(node.clusterId);
+        return cluster ? cluster.key : null;
+    }
+
+    get nodeClusterOptions() {
+        return [...this.clusters.values()]
+            .map(c => ({ label: c.label, value: c.key }))
+            .concat([{ label: 'New cluster', value: 'new' }]);
+    }
+
+    get showNodeClusterPicker() {
+        return this.isContactNode && this.canEditClusters && this.clusters.size > 0;
+    }
+
     get isHierarchyAccountNode() {
         return this.selectedNode && this.selectedNode.isHierarchyAccount === true;
     }
@@ -1693,6 +4915,122 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         return Math.round(this.selectedNode.confidence * 100);
     }
 
+    get hasClassificationReasons() {
+        return this.classificationReasons.length > 0;
+    }
+
+    get classificationReasons() {
+        const reasons = this.selectedNode?.classificationReasons;
+        if (!reasons) return [];
+        return reasons.map((r, idx) => ({ ...r, key: 'reason-' + idx }));
+    }
+
+    // Ensemble results keep each provider's vote; show them only when they differ
+    get providerDisagreement() {
+        const votes = this.selectedNode?.providerVotes;
+        if (!votes || votes.length < 2) return null;
+        const distinct = new Set(votes.map(v => v.classification));
+        if (distinct.size < 2) return null;
+        return votes.map(v => `${v.label}: ${v.classification}`).join(' / ');
+    }
+
+    // The combobox shows the staged role until it is saved or cancelled
+    get overrideComboboxValue() {
+        return this.isOverridePending ? this.pendingOverride.classification : this.selectedNode?.classification;
+    }
+
+    get isOverridePending() {
+        return !!this.pendingOverride && this.pendingOverride.contactId === this.selectedNode?.id;
+    }
+
+    get canRevertClassification() {
+        return this.selectedNode?.isUserOverride === true && !this.isOverridePending;
+    }
+
+    get showOverrideHistory() {
+        return !!this.overrideHistory && this.overrideHistory.contactId === this.selectedNode?.id;
+    }
+
+    get overrideHistoryLabel() {
+        return this.showOverrideHistory ? 'Hide History' : 'Change History';
+    }
+
+    get overrideHistoryItems() {
+        if (!this.showOverrideHistory) return [];
+        return this.overrideHistory.entries.map(entry => this._toOverrideItem(entry));
+    }
+
+    get hasOverrideHistory() {
+        return this.overrideHistoryItems.length > 0;
+    }
+
+    get canReviewOverrides() {
+        return this.config?.canReviewOverrides === true;
+    }
+
+    get reviewButtonVariant() {
+        return this.showReviewPanel ? 'brand' : 'neutral';
+    }
+
+    get pendingReviewItems() {
+        return this.pendingReviews.map(entry => this._toOverrideItem(entry));
+    }
+
+    get pendingReviewCount() {
+        return this.pendingReviews.length;
+    }
+
+    get hasPendingReviews() {
+        return this.pendingReviews.length > 0;
+    }
+
+    get viewsButtonVariant() {
+        return this.showViewsPanel ? 'brand' : 'neutral';
+    }
+
+    get savedViewItems() {
+        return this.savedViews.map(view => {
+            let owner = 'Only you';
+            if (!view.isOwner) owner = 'Shared by ' + (view.ownerName || 'Unknown user');
+            else if (view.isShared) owner = 'Shared with account team';
+            return {
+                ...view,
+                key: view.id,
+                meta: owner + ' \u00B7 ' + new Date(view.lastModified).toLocaleDateString()
+            };
+        });
+    }
+
+    get hasSavedViews() {
+        return this.savedViews.length > 0;
+    }
+
+    // Portfolio views have no account team to share with
+    get canShareViews() {
+        return !this.isPortfolioMode;
+    }
+
+    get saveViewDisabled() {
+        return this.isSavingView || !this.newViewName.trim();
+    }
+
+    get isSelectedNodePinned() {
+        return this.selectedNode != null && this.selectedNode.fx != null;
+    }
+
+    _toOverrideItem(entry) {
+        const reviewed = entry.reviewedBy ? ' by ' + entry.reviewedBy : '';
+        return {
+            ...entry,
+            key: entry.id,
+            change: (entry.previousClassification || 'Unknown') + ' \u2192 ' + entry.newClassification,
+            changedLabel: (entry.changedBy || 'Unknown user') + ' \u00B7 '
+                + new Date(entry.changedAt).toLocaleDateString(),
+            statusLabel: entry.action === 'Revert' ? 'Reverted' : entry.reviewStatus + reviewed,
+            statusClass: 'override-status override-status-' + (entry.reviewStatus || '').toLowerCase().replace(/\s+/g, '-')
+        };
+    }
+
     get selectedNodeClassificationClass() {
         const cls = this.selectedNode?.classification || 'Unknown';
         return 'classification-badge classification-' + cls.toLowerCase().replace(/\s+/g, '-');
@@ -1714,6 +5052,140 @@ export default class RelationshipGraph extends NavigationMixin(LightningElement)
         return this.riskAlerts.length + ' Risk' + (this.riskAlerts.length !== 1 ? 's' : '');
     }
 
+    _isSinceLastVisit(dateTime) {
+        return this.lastVisitAt != null && dateTime != null && Date.parse(dateTime) > this.lastVisitAt;
+    }
+
+    get riskAlertItems() {
+        // Alerts whose open history record was first seen after the last visit are flagged as new
+        const newKeys = new Set(
+            (this.riskHistory?.openAlerts || [])
+                .filter(entry => this._isSinceLastVisit(entry.firstSeen))
+                .map(entry => entry.riskType + '|' + (entry.contactId || ''))
+        );
+        return this.riskAlerts.map(alert => ({
+            ...alert,
+            isNew: newKeys.has(alert.riskType + '|' + (alert.contactId || ''))
+        }));
+    }
+
+    get newRiskCount() {
+        return this.riskAlertItems.filter(a => a.isNew).length;
+    }
+
+    get resolvedRiskItems() {
+        return (this.riskHistory?.resolvedAlerts || [])
+            .slice()
+            .sort((a, b) => Date.parse(b.resolvedAt) - Date.parse(a.resolvedAt))
+            .slice(0, MAX_RESOLVED_RISKS)
+            .map((entry, idx) => ({
+                ...entry,
+                key: 'resolved-' + idx,
+                isNew: this._isSinceLastVisit(entry.resolvedAt),
+                resolvedLabel: new Date(entry.resolvedAt).toLocaleDateString()
+            }));
+    }
+
+    get hasResolvedRisks() {
+        return this.resolvedRiskItems.length > 0;
+    }
+
+    get resolvedSinceLastVisitCount() {
+        return (this.riskHistory?.resolvedAlerts || [])
+            .filter(entry => this._isSinceLastVisit(entry.resolvedAt)).length;
+    }
+
+    get riskVisitSummary() {
+        if (this.lastVisitAt == null || !this.riskHistory) return null;
+        return this.newRiskCount + ' new \u00B7 ' + this.resolvedSinceLastVisitCount
+            + ' resolved since last visit';
+    }
+
+    get riskTrendItems() {
+        const icons = { worsening: '\u25B2', improving: '\u25BC', steady: '\u25AC' };
+        return (this.riskHistory?.trends || []).map(trend => ({
+            ...trend,
+            key: 'trend-' + trend.riskType,
+            points: this.buildSparklinePoints(trend.dailyCounts || []),
+            directionIcon: icons[trend.direction] || icons.steady,
+            directionClass: 'risk-trend-direction risk-trend-' + (trend.direction || 'steady')
+        }));
+    }
+
+    get hasRiskTrends() {
+        return this.riskTrendItems.length > 0;
+    }
+
+    get sparklineViewBox() {
+        return '0 0 ' + SPARKLINE_WIDTH + ' ' + SPARKLINE_HEIGHT;
+    }
+
+    /**
+     * SVG polyline points for a daily count series, scaled to the sparkline box
+     * (y is flipped so higher counts sit higher; 1px padding keeps the stroke visible).
+     * @param {number} [maxValue] fixed top of the scale; defaults to the series' own maximum
+     */
+    buildSparklinePoints(counts, maxValue) {
+        if (counts.length === 0) return '';
+        const max = maxValue || Math.max(1, ...counts);
+        const stepX = counts.length > 1 ? SPARKLINE_WIDTH / (counts.length - 1) : 0;
+        return counts.map((count, i) => {
+            const x = Math.round(i * stepX * 10) / 10;
+            const y = Math.round((SPARKLINE_HEIGHT - 1 - (count / max) * (SPARKLINE_HEIGHT - 2)) * 10) / 10;
+            return x + ',' + y;
+        }).join(' ');
+    }
+
+    // ─── Account Health ───────────────────────────────────────────
+
+    get hasHealthScore() {
+        return this.isAccountMode && this.health?.current != null;
+    }
+
+    get healthScore() {
+        return this.health?.current?.score;
+    }
+
+    get healthBadgeClass() {
+        const score = this.healthScore || 0;
+        const band = score >= HEALTH_GOOD ? 'good' : score >= HEALTH_FAIR ? 'fair' : 'poor';
+        return 'health-score health-score-' + band;
+    }
+
+    get healthTitle() {
+        const current = this.health?.current;
+        if (!current) return '';
+        return [
+            'Relationship health ' + current.score + ' / 100',
+            'Strength: ' + current.strengthScore,
+            'Champions: ' + current.championScore + ' (' + current.strongChampionCount + ' strong)',
+            'Risks: ' + current.riskScore + ' (' + current.openRiskCount + ' open)',
+            'Recency: ' + current.recencyScore,
+            'Multi-threading: ' + current.threadingScore + (current.isSingleThreaded ? ' (single-threaded)' : '')
+        ].join('\n');
+    }
+
+    get hasHealthTrend() {
+        return (this.health?.points || []).length > 1;
+    }
+
+    get healthSparklinePoints() {
+        return this.buildSparklinePoints((this.health?.points || []).map(point => point.score || 0), 100);
+    }
+
+    get healthChangeLabel() {
+        const change = this.health?.change || 0;
+        if (change > 0) return '\u25B2 ' + change;
+        if (change < 0) return '\u25BC ' + Math.abs(change);
+        return '\u25AC 0';
+    }
+
+    get healthChangeClass() {
+        const change = this.health?.change || 0;
+        const direction = change > 0 ? 'improving' : change < 0 ? 'worsening' : 'steady';
+        return 'health-change health-change-' + direction;
+    }
+
     get classificationFilters() {
         const hasActiveFilters = this.activeFilters.length > 0;
         return Object.keys(CLASSIFICATION_COLORS).map(cls => {
@@ -0,0 +1,126 @@
+/**
+ * Quadtree over bounding boxes, for hit testing the relationship graph.
+ *
+ * Nodes are indexed by the box around their circle and edges by the box around their segment.
+ * An entry that straddles a split stays in the parent cell, so a query only visits the cells its
+ * box overlaps instead of scanning every node and edge on each mouse move.
+ */
+
+const MAX_ENTRIES = 8;
+const MAX_DEPTH = 8;
+
+export function overlaps(a, b) {
+    return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+function contains(outer, inner) {
+    return inner.minX >= outer.minX && inner.maxX <= outer.maxX
+        && inner.minY >= outer.minY && inner.maxY <= outer.maxY;
+}
+
+export class Quadtree {
+    constructor(bounds, depth = 0) {
+        this.bounds = bounds;
+        this.depth = depth;
+        this.entries = [];
+        this.children = null;
+    }
+
+    /**
+     * @param {Array} items
+     * @param {Function} boxOf - item → { minX, minY, maxX, maxY }
+     * @returns {Quadtree} with one { item, box, order } entry per item; order is the item's index
+     */
+    static fromItems(items, boxOf) {
+        const entries = [];
+        let bounds = null;
+        items.forEach((item, order) => {
+            const box = boxOf(item);
+            if (![box.minX, box.minY, box.maxX, box.maxY].every(Number.isFinite)) return;
+            entries.push({ item, box, order });
+            bounds = bounds
+                ? {
+                    minX: Math.min(bounds.minX, box.minX),
+                    minY: Math.min(bounds.minY, box.minY),
+                    maxX: Math.max(bounds.maxX, box.maxX),
+                    maxY: Math.max(bounds.maxY, box.maxY)
+                }
+                : { ...box };
+        });
+
+        const tree = new Quadtree(bounds || { minX: 0, minY: 0, maxX: 0, maxY: 0 });
+        for (const entry of entries) {
+            tree.insert(entry);
+        }
+        return tree;
+    }
+
+    insert(entry) {
+        if (this.children) {
+            const child = this.children.find(c => contains(c.bounds, entry.box));
+            if (child) {
+                child.insert(entry);
+                return;
+            }
+            this.entries.push(entry);
+            return;
+        }
+
+        this.entries.push(entry);
+        if (this.entries.length > MAX_ENTRIES && this.depth < MAX_DEPTH) {
+            this._split();
+        }
+    }
+
+    /**
+     * Entries whose box overlaps the given box.
+     */
+    query(box, out = []) {
+        if (!overlaps(this.bounds, box)) return out;
+        for (const entry of this.entries) {
+            if (overlaps(entry.box, box)) out.push(entry);
+        }
+        if (this.children) {
+            for (const child of this.children) {
+                child.query(box, out);
+            }
+        }
+        return out;
+    }
+
+    _split() {
+        const { minX, minY, maxX, maxY } = this.bounds;
+        const midX = (minX + maxX) / 2;
+        const midY = (minY + maxY) / 2;
+        const depth = this.depth + 1;
+        this.children = [
+            new Quadtree({ minX, minY, maxX: midX, maxY: midY }, depth),
+            new Quadtree({ minX: midX, minY, maxX, maxY: midY }, depth),
+            new Quadtree({ minX, minY: midY, maxX: midX, maxY }, depth),
+            new Quadtree({ minX: midX, minY: midY, maxX, maxY }, depth)
+        ];
+        const entries = this.entries;
+        this.entries = [];
+        for (const entry of entries) {
+            this.insert(entry);
+        }
+    }
+}
+
+export function nodeBox(node) {
+    return {
+        minX: node.x - node.radius,
+        minY: node.y - node.radius,
+        maxX: node.x + node.radius,
+        maxY: node.y + node.radius
+    };
+}
+
+export function edgeBox(edge) {
+    return {
+        minX: Math.min(edge.source.x, edge.target.x),
+        minY: Math.min(edge.source.y, edge.target.y),
+        maxX: Math.max(edge.source.x, edge.target.x),
+        maxY: Math.max(edge.source.y, edge.target.y)
+    };
+}
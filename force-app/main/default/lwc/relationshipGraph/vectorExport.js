@@ -0,0 +1,531 @@
+/**
+ * Vector export targets for the relationship graph.
+ *
+ * SvgContext and the pages of a PdfDocument implement the subset of CanvasRenderingContext2D
+ * used by renderCanvas/drawEdge/drawNode/drawLegend. Swapping one in for this.ctx replays the
+ * same drawing code as SVG elements or PDF path operators instead of pixels.
+ */
+
+const TWO_PI = 2 * Math.PI;
+
+// Approximate glyph widths (in em) for text measurement and alignment without a real canvas
+const NARROW_CHARS = 'iljtfI.,:;|!\'()[] ';
+const WIDE_CHARS = 'mwMW@';
+
+// Characters outside Latin-1 that the PDF standard fonts can still show (WinAnsiEncoding)
+const WIN_ANSI = {
+    '\u2013': 0x96, '\u2014': 0x97, '\u2018': 0x91, '\u2019': 0x92,
+    '\u201C': 0x93, '\u201D': 0x94, '\u2022': 0x95, '\u2026': 0x85, '\u20AC': 0x80
+};
+
+function parseColor(value) {
+    const fallback = { r: 0, g: 0, b: 0, a: 1 };
+    if (!value || typeof value !== 'string') return fallback;
+    const str = value.trim().toLowerCase();
+    if (str === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+    if (str.startsWith('#')) {
+        let hex = str.slice(1);
+        if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+        const rgb = parseInt(hex.slice(0, 6), 16);
+        if (Number.isNaN(rgb)) return fallback;
+        return { r: (rgb >> 16) & 255, g: (rgb >> 8) & 255, b: rgb & 255, a: 1 };
+    }
+
+    const match = str.match(/^rgba?\(([^)]+)\)$/);
+    if (match) {
+        const parts = match[1].split(',').map(p => parseFloat(p));
+        return {
+            r: parts[0] || 0,
+            g: parts[1] || 0,
+            b: parts[2] || 0,
+            a: parts.length > 3 && !Number.isNaN(parts[3]) ? parts[3] : 1
+        };
+    }
+    return fallback;
+}
+
+function parseFont(font) {
+    const str = font || '';
+    const size = str.match(/(\d+(?:\.\d+)?)px/);
+    return {
+        size: size ? parseFloat(size[1]) : 10,
+        bold: /\bbold\b|\b[6-9]00\b/.test(str)
+    };
+}
+
+function measureWidth(text, font) {
+    const { size, bold } = parseFont(font);
+    let em = 0;
+    for (const ch of String(text)) {
+        if (NARROW_CHARS.includes(ch)) em += 0.28;
+        else if (WIDE_CHARS.includes(ch)) em += 0.83;
+        else if (ch >= 'A' && ch <= 'Z') em += 0.67;
+        else em += 0.55;
+    }
+    return em * size * (bold ? 1.07 : 1);
+}
+
+function num(value) {
+    if (!Number.isFinite(value)) return '0';
+    return String(Math.round(value * 100) / 100);
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function toPdfString(text) {
+    let out = '';
+    for (const ch of String(text)) {
+        let code = ch.charCodeAt(0);
+        if (WIN_ANSI[ch]) code = WIN_ANSI[ch];
+        else if (ch === '\u2192') { out += '->'; continue; }
+        else if (code > 255) code = 63; // '?'
+        const c = String.fromCharCode(code);
+        out += (c === '\\' || c === '(' || c === ')') ? '\\' + c : c;
+    }
+    return '(' + out + ')';
+}
+
+/**
+ * Canvas state, transform and path tracking shared by the SVG and PDF targets.
+ * Paths are stored in output coordinates, with arcs converted to cubic Béziers.
+ */
+class VectorContext {
+    constructor() {
+        this.fillStyle = '#000';
+        this.strokeStyle = '#000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+        this._lineDash = [];
+        this._matrix = [1, 0, 0, 1, 0, 0];
+        this._stack = [];
+        this._path = [];
+        this._hasPoint = false;
+    }
+
+    // ─── State ──────────────────────────────────────────────────────
+
+    save() {
+        this._stack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            lineCap: this.lineCap,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            globalAlpha: this.globalAlpha,
+            lineDash: [...this._lineDash],
+            matrix: [...this._matrix]
+        });
+    }
+
+    restore() {
+        const state = this._stack.pop();
+        if (!state) return;
+        this.fillStyle = state.fillStyle;
+        this.strokeStyle = state.strokeStyle;
+        this.lineWidth = state.lineWidth;
+        this.lineCap = state.lineCap;
+        this.font = state.font;
+        this.textAlign = state.textAlign;
+        this.textBaseline = state.textBaseline;
+        this.globalAlpha = state.globalAlpha;
+        this._lineDash = state.lineDash;
+        this._matrix = state.matrix;
+    }
+
+    translate(x, y) {
+        const m = this._matrix;
+        m[4] += m[0] * x + m[2] * y;
+        m[5] += m[1] * x + m[3] * y;
+    }
+
+    scale(sx, sy) {
+        const m = this._matrix;
+        m[0] *= sx;
+        m[1] *= sx;
+        m[2] *= sy;
+        m[3] *= sy;
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this._matrix = [a, b, c, d, e, f];
+    }
+
+    setLineDash(segments) {
+        this._lineDash = Array.isArray(segments) ? [...segments] : [];
+    }
+
+    getLineDash() {
+        return [...this._lineDash];
+    }
+
+    // The export background is drawn explicitly, so there is nothing to clear
+    clearRect() {}
+
+    measureText(text) {
+        return { width: measureWidth(text, this.font) };
+    }
+
+    // ─── Paths ──────────────────────────────────────────────────────
+
+    beginPath() {
+        this._path = [];
+        this._hasPoint = false;
+    }
+
+    moveTo(x, y) {
+        this._path.push({ op: 'M', pts: this._point(x, y) });
+        this._hasPoint = true;
+    }
+
+    lineTo(x, y) {
+        if (!this._hasPoint) {
+            this.moveTo(x, y);
+            return;
+        }
+        this._path.push({ op: 'L', pts: this._point(x, y) });
+    }
+
+    closePath() {
+        if (this._path.length) this._path.push({ op: 'Z', pts: [] });
+    }
+
+    rect(x, y, w, h) {
+        this.moveTo(x, y);
+        this.lineTo(x + w, y);
+        this.lineTo(x + w, y + h);
+        this.lineTo(x, y + h);
+        this.closePath();
+    }
+
+    roundRect(x, y, w, h, radii) {
+        const r = Math.max(0, Math.min(Array.isArray(radii) ? radii[0] || 0 : radii || 0, w / 2, h / 2));
+        this.moveTo(x + r, y);
+        this.lineTo(x + w - r, y);
+        this.arc(x + w - r, y + r, r, -Math.PI / 2, 0);
+        this.lineTo(x + w, y + h - r);
+        this.arc(x + w - r, y + h - r, r, 0, Math.PI / 2);
+        this.lineTo(x + r, y + h);
+        this.arc(x + r, y + h - r, r, Math.PI / 2, Math.PI);
+        this.lineTo(x, y + r);
+        this.arc(x + r, y + r, r, Math.PI, 1.5 * Math.PI);
+        this.closePath();
+    }
+
+    arc(cx, cy, r, startAngle, endAngle, counterclockwise = false) {
+        let sweep = endAngle - startAngle;
+        if (!counterclockwise) {
+            if (sweep >= TWO_PI) sweep = TWO_PI;
+            else sweep = ((sweep % TWO_PI) + TWO_PI) % TWO_PI;
+        } else if (-sweep >= TWO_PI) {
+            sweep = -TWO_PI;
+        } else {
+            sweep = -((((-sweep) % TWO_PI) + TWO_PI) % TWO_PI);
+        }
+
+        const startX = cx + r * Math.cos(startAngle);
+        const startY = cy + r * Math.sin(startAngle);
+        if (this._hasPoint) this.lineTo(startX, startY);
+        else this.moveTo(startX, startY);
+        if (r <= 0 || sweep === 0) return;
+
+        // One cubic Bézier per quarter turn
+        const segments = Math.ceil(Math.abs(sweep) / (Math.PI / 2));
+        const delta = sweep / segments;
+        const k = (4 / 3) * Math.tan(delta / 4);
+        let a1 = startAngle;
+        for (let i = 0; i < segments; i++) {
+            const a2 = a1 + delta;
+            const cos1 = Math.cos(a1), sin1 = Math.sin(a1);
+            const cos2 = Math.cos(a2), sin2 = Math.sin(a2);
+            this._path.push({
+                op: 'C',
+                pts: [
+                    ...this._point(cx + r * (cos1 - k * sin1), cy + r * (sin1 + k * cos1)),
+                    ...this._point(cx + r * (cos2 + k * sin2), cy + r * (sin2 - k * cos2)),
+                    ...this._point(cx + r * cos2, cy + r * sin2)
+                ]
+            });
+            a1 = a2;
+        }
+    }
+
+    fill() {
+        if (this._path.length) this._emitPath(this._path, 'fill');
+    }
+
+    stroke() {
+        if (this._path.length) this._emitPath(this._path, 'stroke');
+    }
+
+    // fillRect/strokeRect draw without touching the current path, as on a canvas
+    fillRect(x, y, w, h) {
+        this._withRectPath(x, y, w, h, 'fill');
+    }
+
+    strokeRect(x, y, w, h) {
+        this._withRectPath(x, y, w, h, 'stroke');
+    }
+
+    _withRectPath(x, y, w, h, mode) {
+        const path = this._path;
+        const hasPoint = this._hasPoint;
+        this.beginPath();
+        this.rect(x, y, w, h);
+        this._emitPath(this._path, mode);
+        this._path = path;
+        this._hasPoint = hasPoint;
+    }
+
+    // ─── Helpers ────────────────────────────────────────────────────
+
+    _point(x, y) {
+        const m = this._matrix;
+        return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+    }
+
+    // Uniform scale of the current transform, applied to line widths, dashes and font sizes
+    _scale() {
+        const m = this._matrix;
+        return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2])) || 1;
+    }
+
+    _emitPath() {}
+}
+
+/**
+ * Records canvas drawing as SVG elements.
+ */
+export class SvgContext extends VectorContext {
+    constructor() {
+        super();
+        this._elements = [];
+    }
+
+    fillText(text, x, y) {
+        const [px, py] = this._point(x, y);
+        const { size, bold } = parseFont(this.font);
+        const color = parseColor(this.fillStyle);
+        const anchor = this.textAlign === 'center'
+            ? 'middle'
+            : (this.textAlign === 'right' || this.textAlign === 'end') ? 'end' : 'start';
+        let attrs = `x="${num(px)}" y="${num(py)}" font-family="sans-serif" font-size="${num(size * this._scale())}"`;
+        if (bold) attrs += ' font-weight="bold"';
+        if (anchor !== 'start') attrs += ` text-anchor="${anchor}"`;
+        if (this.textBaseline === 'middle') attrs += ' dominant-baseline="middle"';
+        else if (this.textBaseline === 'top' || this.textBaseline === 'hanging') attrs += ' dominant-baseline="hanging"';
+        attrs += this._paint('fill', color);
+        this._elements.push(`<text ${attrs}>${escapeXml(text)}</text>`);
+    }
+
+    /**
+     * Serialize the recorded drawing as a standalone SVG document.
+     */
+    toSvg(width, height, background) {
+        const bg = background ? `<rect width="100%" height="100%" fill="${escapeXml(background)}"/>\n` : '';
+        return '<?xml version="1.0" encoding="UTF-8"?>\n'
+            + `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}" height="${num(height)}" `
+            + `viewBox="0 0 ${num(width)} ${num(height)}">\n`
+            + bg
+            + this._elements.join('\n')
+            + '\n</svg>\n';
+    }
+
+    _emitPath(path, mode) {
+        const d = path.map(seg => seg.op + (seg.pts.length ? ' ' + seg.pts.map(num).join(' ') : '')).join(' ');
+        let attrs = `d="${d}"`;
+        if (mode === 'fill') {
+            attrs += this._paint('fill', parseColor(this.fillStyle));
+        } else {
+            const scale = this._scale();
+            attrs += ' fill="none"' + this._paint('stroke', parseColor(this.strokeStyle));
+            attrs += ` stroke-width="${num(this.lineWidth * scale)}"`;
+            if (this._lineDash.length) {
+                attrs += ` stroke-dasharray="${this._lineDash.map(v => num(v * scale)).join(' ')}"`;
+            }
+            if (this.lineCap && this.lineCap !== 'butt') attrs += ` stroke-linecap="${this.lineCap}"`;
+        }
+        this._elements.push(`<path ${attrs}/>`);
+    }
+
+    _paint(attr, color) {
+        let out = ` ${attr}="rgb(${Math.round(color.r)},${Math.round(color.g)},${Math.round(color.b)})"`;
+        const opacity = color.a * this.globalAlpha;
+        if (opacity < 1) out += ` ${attr}-opacity="${num(opacity)}"`;
+        return out;
+    }
+}
+
+/**
+ * One PDF page. Coordinates are in points from the top-left corner, like a canvas;
+ * they are flipped to PDF's bottom-left origin when written.
+ */
+class PdfPage extends VectorContext {
+    constructor(doc, width, height) {
+        super();
+        this.width = width;
+        this.height = height;
+        this._doc = doc;
+        this._ops = [];
+    }
+
+    fillText(text, x, y) {
+        const [px, py] = this._point(x, y);
+        const { size, bold } = parseFont(this.font);
+        const fontSize = size * this._scale();
+        const width = measureWidth(text, this.font) * this._scale();
+
+        let tx = px;
+        if (this.textAlign === 'center') tx -= width / 2;
+        else if (this.textAlign === 'right' || this.textAlign === 'end') tx -= width;
+        let ty = py;
+        if (this.textBaseline === 'middle') ty += fontSize * 0.35;
+        else if (this.textBaseline === 'top' || this.textBaseline === 'hanging') ty += fontSize * 0.8;
+
+        const color = parseColor(this.fillStyle);
+        this._ops.push(...[
+            'q',
+            this._alphaOp(color.a * this.globalAlpha, 1),
+            this._colorOp(color, 'rg'),
+            `BT /${bold ? 'F2' : 'F1'} ${num(fontSize)} Tf ${num(tx)} ${num(this.height - ty)} Td ${toPdfString(text)} Tj ET`,
+            'Q'
+        ].filter(Boolean));
+    }
+
+    _emitPath(path, mode) {
+        const ops = ['q'];
+        if (mode === 'fill') {
+            const color = parseColor(this.fillStyle);
+            ops.push(this._alphaOp(color.a * this.globalAlpha, 1), this._colorOp(color, 'rg'));
+        } else {
+            const color = parseColor(this.strokeStyle);
+            const scale = this._scale();
+            ops.push(
+                this._alphaOp(1, color.a * this.globalAlpha),
+                this._colorOp(color, 'RG'),
+                `${num(this.lineWidth * scale)} w`,
+                `${this.lineCap === 'round' ? 1 : this.lineCap === 'square' ? 2 : 0} J`,
+                `[${this._lineDash.map(v => num(v * scale)).join(' ')}] 0 d`
+            );
+        }
+        for (const seg of path) {
+            const pts = [];
+            for (let i = 0; i < seg.pts.length; i += 2) {
+                pts.push(num(seg.pts[i]), num(this.height - seg.pts[i + 1]));
+            }
+            if (seg.op === 'M') ops.push(`${pts.join(' ')} m`);
+            else if (seg.op === 'L') ops.push(`${pts.join(' ')} l`);
+            else if (seg.op === 'C') ops.push(`${pts.join(' ')} c`);
+            else ops.push('h');
+        }
+        ops.push(mode === 'fill' ? 'f' : 'S', 'Q');
+        this._ops.push(...ops.filter(Boolean));
+    }
+
+    _colorOp(color, op) {
+        return `${num(color.r / 255)} ${num(color.g / 255)} ${num(color.b / 255)} ${op}`;
+    }
+
+    _alphaOp(fillAlpha, strokeAlpha) {
+        if (fillAlpha >= 1 && strokeAlpha >= 1) return null;
+        return `/${this._doc._alphaState(fillAlpha, strokeAlpha)} gs`;
+    }
+
+    _content() {
+        return this._ops.join('\n');
+    }
+}
+
+/**
+ * Minimal multi-page PDF writer: vector paths plus the standard Helvetica fonts.
+ */
+export class PdfDocument {
+    constructor(pageWidth, pageHeight, title) {
+        this.pageWidth = pageWidth;
+        this.pageHeight = pageHeight;
+        this.title = title || '';
+        this.pages = [];
+        this._alphaStates = new Map(); // "fill|stroke" → resource name
+    }
+
+    addPage() {
+        const page = new PdfPage(this, this.pageWidth, this.pageHeight);
+        this.pages.push(page);
+        return page;
+    }
+
+    /**
+     * Serialize to PDF bytes. Every string written is Latin-1, so one char = one byte.
+     */
+    toBytes() {
+        const objects = [];
+        const add = body => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = add(null);
+        const pagesId = add(null);
+        const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        const infoId = add(`<< /Title ${toPdfString(this.title)} /Producer (Relationship Graph) >>`);
+
+        const gsEntries = [...this._alphaStates.entries()].map(([key, name]) => {
+            const [fill, stroke] = key.split('|');
+            return `/${name} << /Type /ExtGState /ca ${fill} /CA ${stroke} >>`;
+        }).join(' ');
+        const resources = `<< /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> /ExtGState << ${gsEntries} >> >>`;
+
+        const pageIds = this.pages.map(page => {
+            const content = page._content();
+            const contentId = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+            return add(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(this.pageWidth)} ${num(this.pageHeight)}] `
+                + `/Resources ${resources} /Contents ${contentId} 0 R >>`
+            );
+        });
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => id + ' 0 R').join(' ')}] /Count ${pageIds.length} >>`;
+
+        let out = '%PDF-1.4\n';
+        const offsets = [];
+        objects.forEach((body, idx) => {
+            offsets.push(out.length);
+            out += `${idx + 1} 0 obj\n${body}\nendobj\n`;
+        });
+        const xrefOffset = out.length;
+        out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        offsets.forEach(offset => {
+            out += String(offset).padStart(10, '0') + ' 00000 n \n';
+        });
+        out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`
+            + `startxref\n${xrefOffset}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(out.length);
+        for (let i = 0; i < out.length; i++) {
+            bytes[i] = out.charCodeAt(i) & 255;
+        }
+        return bytes;
+    }
+
+    _alphaState(fillAlpha, strokeAlpha) {
+        const key = num(Math.max(0, Math.min(1, fillAlpha))) + '|' + num(Math.max(0, Math.min(1, strokeAlpha)));
+        if (!this._alphaStates.has(key)) {
+            this._alphaStates.set(key, 'GS' + this._alphaStates.size);
+        }
+        return this._alphaStates.get(key);
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * View state for the relationship graph: toggles, filters, search, selection, zoom/pan
+ * and node positions.
+ *
+ * Saved views (Graph_View__c.View_State__c) store it as JSON. Shareable links carry the same
+ * JSON as base64url in a page state parameter; Lightning only keeps state parameters with
+ * a namespace prefix, hence "c__".
+ */
+
+export const VIEW_STATE_PARAM = 'c__graphView';
+
+const VIEW_STATE_VERSION = 1;
+
+function toBase64Url(text) {
+    // UTF-8 bytes as a binary string, since btoa only accepts Latin-1
+    const binary = encodeURIComponent(text).replace(
+        /%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))
+    );
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(token) {
+    const binary = atob(token.replace(/-/g, '+').replace(/_/g, '/'));
+    let escaped = '';
+    for (let i = 0; i < binary.length; i++) {
+        escaped += '%' + binary.charCodeAt(i).toString(16).padStart(2, '0');
+    }
+    return decodeURIComponent(escaped);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * @param {Object} view - { hidePassive, minInteractions, showExternalContacts, showHierarchy,
+ *   activeFilters, searchTerm, selectedNodeId, transform: {x, y, k}, positions: {id: [x, y]},
+ *   portfolio: {source, listViewId, accountIds}, layout }
+ * @returns {String} JSON
+ */
+export function serializeViewState(view) {
+    const positions = {};
+    for (const [id, pos] of Object.entries(view.positions || {})) {
+        positions[id] = [Math.round(pos[0]), Math.round(pos[1])];
+    }
+    const t = view.transform || { x: 0, y: 0, k: 1 };
+    return JSON.stringify({
+        v: VIEW_STATE_VERSION,
+        hidePassive: !!view.hidePassive,
+        minInteractions: view.minInteractions,
+        showExternalContacts: !!view.showExternalContacts,
+        showHierarchy: !!view.showHierarchy,
+        filters: view.activeFilters || [],
+        search: view.searchTerm || '',
+        selected: view.selectedNodeId || null,
+        transform: [round(t.x), round(t.y), round(t.k)],
+        positions,
+        portfolio: view.portfolio || null,
+        layout: view.layout || 'force'
+    });
+}
+
+/**
+ * Parse JSON from serializeViewState. Returns null for anything malformed or from a
+ * newer version, so a bad link or saved view falls back to the default view.
+ */
+export function parseViewState(json) {
+    if (!json || typeof json !== 'string') return null;
+    let raw;
+    try {
+        raw = JSON.parse(json);
+    } catch (e) {
+        return null;
+    }
+    if (!raw || raw.v !== VIEW_STATE_VERSION) return null;
+
+    const positions = {};
+    if (raw.positions && typeof raw.positions === 'object') {
+        for (const [id, pos] of Object.entries(raw.positions)) {
+            if (Array.isArray(pos) && isFiniteNumber(pos[0]) && isFiniteNumber(pos[1])) {
+                positions[id] = [pos[0], pos[1]];
+            }
+        }
+    }
+    const t = Array.isArray(raw.transform) ? raw.transform : [];
+    const portfolio = raw.portfolio && typeof raw.portfolio === 'object' ? raw.portfolio : null;
+
+    return {
+        hidePassive: raw.hidePassive === true,
+        minInteractions: isFiniteNumber(raw.minInteractions) ? Math.max(0, Math.round(raw.minInteractions)) : null,
+        showExternalContacts: raw.showExternalContacts === true,
+        showHierarchy: raw.showHierarchy === true,
+        activeFilters: Array.isArray(raw.filters) ? raw.filters.filter(f => typeof f === 'string') : [],
+        searchTerm: typeof raw.search === 'string' ? raw.search : '',
+        selectedNodeId: typeof raw.selected === 'string' ? raw.selected : null,
+        transform: isFiniteNumber(t[0]) && isFiniteNumber(t[1]) && isFiniteNumber(t[2]) && t[2] > 0
+            ? { x: t[0], y: t[1], k: t[2] }
+            : null,
+        positions,
+        portfolio: portfolio && typeof portfolio.source === 'string'
+            ? {
+                source: portfolio.source,
+                listViewId: typeof portfolio.listViewId === 'string' ? portfolio.listViewId : null,
+                accountIds: Array.isArray(portfolio.accountIds)
+                    ? portfolio.accountIds.filter(id => typeof id === 'string')
+                    : []
+            }
+            : null,
+        // Checked against the layouts the component offers when applied
+        layout: typeof raw.layout === 'string' ? raw.layout : 'force'
+    };
+}
+
+// URL-safe token for a shareable link
+export function encodeViewState(view) {
+    return toBase64Url(serializeViewState(view));
+}
+
+export function decodeViewState(token) {
+    if (!token || typeof token !== 'string') return null;
+    try {
+        return parseViewState(fromBase64Url(token));
+    } catch (e) {
+        return null;
+    }
+}